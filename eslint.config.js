@@ -8,7 +8,7 @@ export default defineConfig([
 	globalIgnores(["dist"]),
 	{
 		files: ["**/*.{js,jsx}"],
-		ignores: ["server.js", "routes/**", "utils/**"],
+		ignores: ["server.js", "routes/**", "utils/**", "scripts/**"],
 		extends: [
 			js.configs.recommended,
 			reactHooks.configs["recommended-latest"],
@@ -28,7 +28,12 @@ export default defineConfig([
 		},
 	},
 	{
-		files: ["server.js", "routes/**/*.js", "utils/**/*.js"],
+		files: [
+			"server.js",
+			"routes/**/*.js",
+			"utils/**/*.js",
+			"scripts/**/*.js",
+		],
 		languageOptions: {
 			ecmaVersion: 2020,
 			globals: {
@@ -0,0 +1,72 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { authenticateToken } from "./auth.js";
+import { ACHIEVEMENT_BADGES } from "../utils/analysisHelpers.js";
+import { awardAchievements } from "../utils/backendHelpers.js";
+import { fields, validate } from "../utils/validation.js";
+
+const router = express.Router();
+
+// Streak days are counted in the caller's timezone
+const validateTimezone = validate({ query: { timezone: fields.timezone() } });
+
+// Get every badge with whether the authenticated user has earned it
+router.get("/", authenticateToken, validateTimezone, async (req, res) => {
+	try {
+		// Catch up on badges earned before awarding existed
+		const { stats } = await awardAchievements(req.db, req.user.id, {
+			timezone: req.query.timezone,
+		});
+
+		const awarded = await req.db
+			.collection("achievements")
+			.find({ userId: new ObjectId(req.user.id) })
+			.toArray();
+		const awardedAt = new Map(
+			awarded.map((achievement) => [
+				achievement.badgeId,
+				achievement.awardedAt,
+			])
+		);
+
+		const badges = ACHIEVEMENT_BADGES.map((badge) => {
+			const current = stats?.[badge.stat] || 0;
+
+			return {
+				id: badge.id,
+				category: badge.category,
+				title: badge.title,
+				description: badge.description,
+				icon: badge.icon,
+				points: badge.points,
+				earned: awardedAt.has(badge.id),
+				awardedAt: awardedAt.get(badge.id) || null,
+				progress: {
+					current: Math.min(current, badge.threshold),
+					target: badge.threshold,
+					percentage: Math.min(
+						Math.round((current / badge.threshold) * 100),
+						100
+					),
+				},
+			};
+		});
+
+		const earned = badges.filter((badge) => badge.earned);
+
+		res.json({
+			message: "Achievements retrieved successfully",
+			badges,
+			earnedCount: earned.length,
+			totalPoints: earned.reduce((sum, badge) => sum + badge.points, 0),
+			stats,
+		});
+	} catch (error) {
+		console.error("Error retrieving achievements:", error);
+		res.status(500).json({
+			message: "Server error retrieving achievements",
+		});
+	}
+});
+
+export default router;
@@ -1,23 +1,53 @@
 import express from "express";
 import { ObjectId } from "mongodb";
-import { authenticateToken } from "./auth.js";
+import { authenticateToken, requireRole } from "./auth.js";
 import {
 	analysisCache,
+	analysisRateLimiter,
+	awardAchievements,
+	calculateEmissionCharts,
+	calculateLoggingStreaks,
 	calculateQuickStats,
 	calculateWeeklyComparison,
+	formatAchievement,
+	rateLimit,
 } from "../utils/backendHelpers.js";
+import { fields, validate } from "../utils/validation.js";
 
 const router = express.Router();
 
+// Middleware for the per-user analysis routes: analysis queries are
+// expensive, so each user gets a request budget
+const userAnalysisRoute = [
+	authenticateToken,
+	rateLimit(analysisRateLimiter, (req) => req.user.id.toString()),
+	validate({ params: { userId: fields.objectId({ required: true }) } }),
+];
+
+// Streak days are counted in the caller's timezone
+const validateTimezone = validate({ query: { timezone: fields.timezone() } });
+
+// Chart filters match the emissions history filters; months are calendar
+// months in the caller's timezone
+const validateCharts = validate({
+	query: {
+		startDate: fields.date(),
+		endDate: fields.date(),
+		category: fields.string({ maxLength: 100 }),
+		timezone: fields.timezone(),
+	},
+});
+
 // Simple helper to calculate weekly trend
 const getWeeklyTrend = (emissions) => {
 	const now = new Date();
 	const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 	const twoWeeksAgo = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
 
-	const thisWeek = emissions.filter(
-		(e) => new Date(e.timestamp) >= oneWeekAgo
-	);
+	const thisWeek = emissions.filter((e) => {
+		const date = new Date(e.timestamp);
+		return date >= oneWeekAgo && date <= now;
+	});
 	const lastWeek = emissions.filter((e) => {
 		const date = new Date(e.timestamp);
 		return date >= twoWeeksAgo && date < oneWeekAgo;
@@ -67,74 +97,103 @@ const getSimpleRecommendations = (topCategory) => {
 };
 
 // Main insights endpoint - simplified version
-router.get("/insights/:userId", authenticateToken, async (req, res) => {
-	try {
-		const { userId } = req.params;
-
-		// Check user access
-		if (userId !== req.user.id.toString()) {
-			return res.status(403).json({
-				message: "Cannot access another user's insights",
+router.get(
+	"/insights/:userId",
+	userAnalysisRoute,
+	validateTimezone,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
+
+			// Check user access
+			if (userId !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot access another user's insights",
+				});
+			}
+
+			const timezone = req.query.timezone || "UTC";
+
+			// Check cache
+			const cacheType = `insights-${timezone}`;
+			const cached = analysisCache.get(userId, cacheType);
+			if (cached) {
+				return res.json({ insights: cached, fromCache: true });
+			}
+
+			// Get user's emissions
+			const emissions = await req.db
+				.collection("emissions")
+				.find({ userId: new ObjectId(userId) })
+				.sort({ timestamp: -1 })
+				.toArray();
+
+			if (emissions.length === 0) {
+				return res.json({
+					insights: {
+						message: "Start tracking activities to see your insights!",
+						hasData: false,
+					},
+				});
+			}
+
+			// Calculate simple insights
+			const weeklyTrend = getWeeklyTrend(emissions);
+			const topCategories = getTopCategories(emissions);
+			const topCategory = topCategories[0]?.category;
+			const recommendations = getSimpleRecommendations(topCategory);
+
+			// Basic stats
+			const totalEmissions = emissions.reduce((sum, e) => sum + e.value, 0);
+			const averageDaily = totalEmissions / 30; // Rough daily average
+
+			// Earned badges, newest first, and the next badge in each category
+			const { milestones } = await awardAchievements(req.db, userId, {
+				timezone,
 			});
-		}
-
-		// Check cache
-		const cached = analysisCache.get(userId, "insights");
-		if (cached) {
-			return res.json({ insights: cached, fromCache: true });
-		}
-
-		// Get user's emissions
-		const emissions = await req.db
-			.collection("emissions")
-			.find({ userId: new ObjectId(userId) })
-			.sort({ timestamp: -1 })
-			.toArray();
-
-		if (emissions.length === 0) {
-			return res.json({
-				insights: {
-					message: "Start tracking activities to see your insights!",
-					hasData: false,
-				},
+			const achievements = await req.db
+				.collection("achievements")
+				.find({ userId: new ObjectId(userId) })
+				.sort({ awardedAt: -1 })
+				.toArray();
+
+			const insights = {
+				hasData: true,
+				totalEmissions: Math.round(totalEmissions * 10) / 10,
+				totalActivities: emissions.length,
+				averageDaily: Math.round(averageDaily * 10) / 10,
+				weeklyTrend,
+				topCategories,
+				recommendations,
+				achievements: achievements.map(formatAchievement),
+				milestones: milestones
+					.filter((milestone) => !milestone.achieved)
+					.map((milestone) => ({
+						id: milestone.id,
+						category: milestone.type,
+						title: milestone.title,
+						message: milestone.description,
+						points: milestone.points,
+						progress: milestone.progress,
+					})),
+				generatedAt: new Date(),
+			};
+
+			// Cache for 5 minutes
+			analysisCache.set(userId, cacheType, {}, insights);
+
+			res.json({ insights });
+		} catch (error) {
+			console.error("Error generating insights:", error);
+			res.status(500).json({
+				message: "Server error generating insights",
 			});
 		}
-
-		// Calculate simple insights
-		const weeklyTrend = getWeeklyTrend(emissions);
-		const topCategories = getTopCategories(emissions);
-		const topCategory = topCategories[0]?.category;
-		const recommendations = getSimpleRecommendations(topCategory);
-
-		// Basic stats
-		const totalEmissions = emissions.reduce((sum, e) => sum + e.value, 0);
-		const averageDaily = totalEmissions / 30; // Rough daily average
-
-		const insights = {
-			hasData: true,
-			totalEmissions: Math.round(totalEmissions * 10) / 10,
-			totalActivities: emissions.length,
-			averageDaily: Math.round(averageDaily * 10) / 10,
-			weeklyTrend,
-			topCategories,
-			recommendations,
-			generatedAt: new Date(),
-		};
-
-		// Cache for 5 minutes
-		analysisCache.set(userId, "insights", {}, insights);
-
-		res.json({ insights });
-	} catch (error) {
-		console.error("Error generating insights:", error);
-		res.status(500).json({
-			message: "Server error generating insights",
-		});
 	}
-});
+);
 
 // Simple recommendations endpoint
-router.get("/recommendations/:userId", authenticateToken, async (req, res) => {
+router.get("/recommendations/:userId", userAnalysisRoute, async (req, res) => {
 	try {
 		const { userId } = req.params;
 
@@ -175,63 +234,112 @@ router.get("/recommendations/:userId", authenticateToken, async (req, res) => {
 });
 
 // Quick stats endpoint
-router.get("/quick-stats/:userId", authenticateToken, async (req, res) => {
-	try {
-		const { userId } = req.params;
-
-		if (userId !== req.user.id.toString()) {
-			return res.status(403).json({
-				message: "Cannot access another user's statistics",
+router.get(
+	"/quick-stats/:userId",
+	userAnalysisRoute,
+	validateTimezone,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
+
+			if (userId !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot access another user's statistics",
+				});
+			}
+
+			const timezone = req.query.timezone || "UTC";
+
+			// Check cache
+			const cacheType = `quick-stats-${timezone}`;
+			const cached = analysisCache.get(userId, cacheType);
+			if (cached) {
+				return res.json({ ...cached, fromCache: true });
+			}
+
+			// Get basic stats
+			const stats = await calculateQuickStats(req.db, userId);
+			const weeklyComparison = await calculateWeeklyComparison(req.db, userId);
+			const streaks = await calculateLoggingStreaks(req.db, userId, timezone);
+
+			const response = {
+				...stats,
+				weeklyComparison,
+				streaks,
+			};
+
+			// Cache for 2 minutes
+			analysisCache.set(userId, cacheType, {}, response);
+
+			res.json(response);
+		} catch (error) {
+			console.error("Error getting quick stats:", error);
+			res.status(500).json({
+				message: "Server error getting statistics",
 			});
 		}
-
-		// Check cache
-		const cached = analysisCache.get(userId, "quick-stats");
-		if (cached) {
-			return res.json({ ...cached, fromCache: true });
+	}
+);
+
+// Chart data for the analytics page, aggregated on the server
+// Query: startDate, endDate, category, timezone
+router.get(
+	"/charts/:userId",
+	userAnalysisRoute,
+	validateCharts,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
+
+			if (userId !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot access another user's charts",
+				});
+			}
+
+			const { startDate, endDate, category } = req.query;
+
+			const charts = await calculateEmissionCharts(
+				req.db,
+				userId,
+				{ startDate, endDate, category },
+				req.query.timezone || "UTC"
+			);
+
+			res.json(charts);
+		} catch (error) {
+			console.error("Error getting chart data:", error);
+			res.status(500).json({
+				message: "Server error getting chart data",
+			});
 		}
-
-		// Get basic stats
-		const stats = await calculateQuickStats(req.db, userId);
-		const weeklyComparison = await calculateWeeklyComparison(req.db, userId);
-
-		const response = {
-			...stats,
-			weeklyComparison,
-		};
-
-		// Cache for 2 minutes
-		analysisCache.set(userId, "quick-stats", {}, response);
-
-		res.json(response);
-	} catch (error) {
-		console.error("Error getting quick stats:", error);
-		res.status(500).json({
-			message: "Server error getting statistics",
-		});
 	}
-});
+);
 
 // Weekly comparison endpoint
-router.get("/weekly-comparison/:userId", authenticateToken, async (req, res) => {
-	try {
-		const { userId } = req.params;
-
-		if (userId !== req.user.id.toString()) {
-			return res.status(403).json({
-				message: "Cannot access another user's comparison",
+router.get(
+	"/weekly-comparison/:userId",
+	userAnalysisRoute,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
+
+			if (userId !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot access another user's comparison",
+				});
+			}
+
+			const comparison = await calculateWeeklyComparison(req.db, userId);
+			res.json(comparison);
+		} catch (error) {
+			console.error("Error getting weekly comparison:", error);
+			res.status(500).json({
+				message: "Server error getting comparison",
 			});
 		}
-
-		const comparison = await calculateWeeklyComparison(req.db, userId);
-		res.json(comparison);
-	} catch (error) {
-		console.error("Error getting weekly comparison:", error);
-		res.status(500).json({
-			message: "Server error getting comparison",
-		});
 	}
-});
+);
 
 // Simple health check
 router.get("/health", (req, res) => {
@@ -241,30 +349,35 @@ router.get("/health", (req, res) => {
 	});
 });
 
-// Simple database status
-router.get("/db-status", async (req, res) => {
-	try {
-		const emissionsCount = await req.db
-			.collection("emissions")
-			.countDocuments();
-		const usersCount = await req.db.collection("users").countDocuments();
-
-		res.json({
-			status: "connected",
-			collections: {
-				emissions: emissionsCount,
-				users: usersCount,
-			},
-			timestamp: new Date(),
-		});
-	} catch (error) {
-		console.error("Database status check error:", error);
-		res.status(500).json({
-			status: "error",
-			message: "Database connection issue",
-			timestamp: new Date(),
-		});
+// Simple database status (admins only)
+router.get(
+	"/db-status",
+	authenticateToken,
+	requireRole("admin"),
+	async (req, res) => {
+		try {
+			const emissionsCount = await req.db
+				.collection("emissions")
+				.countDocuments();
+			const usersCount = await req.db.collection("users").countDocuments();
+
+			res.json({
+				status: "connected",
+				collections: {
+					emissions: emissionsCount,
+					users: usersCount,
+				},
+				timestamp: new Date(),
+			});
+		} catch (error) {
+			console.error("Database status check error:", error);
+			res.status(500).json({
+				status: "error",
+				message: "Database connection issue",
+				timestamp: new Date(),
+			});
+		}
 	}
-});
+);
 
 export default router;
@@ -1,10 +1,137 @@
 import express from "express";
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { ObjectId } from "mongodb";
+import {
+	clearFailedLogins,
+	collectUserData,
+	deleteUserAccount,
+	getLoginLockout,
+	LEADERBOARD_VISIBILITIES,
+	rateLimit,
+	RateLimiter,
+	recordFailedLogin,
+	sendTooManyRequests,
+	updateUserTotalsEligibility,
+} from "../utils/backendHelpers.js";
+import { getAppUrl, sendMail } from "../utils/mailer.js";
+import {
+	fields,
+	sendValidationError,
+	validate,
+} from "../utils/validation.js";
+import { createZip } from "../utils/zipHelpers.js";
 
 const router = express.Router();
 
+// Access tokens are short-lived; sessions are kept alive by refresh tokens
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing at once may both present the same token
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Brute-force protection for the public auth routes, per client IP and
+// per target email
+const AUTH_RATE_WINDOW_MS = 15 * 60 * 1000;
+const authIpLimiter = new RateLimiter(30, AUTH_RATE_WINDOW_MS);
+const authEmailLimiter = new RateLimiter(10, AUTH_RATE_WINDOW_MS);
+
+const limitByIp = rateLimit(authIpLimiter, (req) => req.ip);
+const limitByEmail = rateLimit(authEmailLimiter, (req) =>
+	typeof req.body?.email === "string"
+		? req.body.email.trim().toLowerCase()
+		: null
+);
+// For signed-in routes that mail the user's own address
+const limitByUserEmail = rateLimit(authEmailLimiter, (req) => req.user.email);
+
+// Roles from least to most access; each role can do everything the roles
+// before it can
+export const ROLES = ["user", "team-admin", "admin"];
+
+// Emails in ADMIN_EMAILS are always admins so a new deployment can
+// bootstrap its first admin; everyone else gets the role stored on them
+// Only once verified, so nobody can claim an admin address by signing up
+// with it or switching to it
+const getUserRole = (user) => {
+	const adminEmails = (process.env.ADMIN_EMAILS || "")
+		.split(",")
+		.map((email) => email.trim().toLowerCase())
+		.filter(Boolean);
+
+	if (user.emailVerified === true && adminEmails.includes(user.email)) {
+		return "admin";
+	}
+	return ROLES.includes(user.role) ? user.role : "user";
+};
+
+// Request schemas - checks that need the database stay in the handlers
+const newPasswordField = (options) =>
+	fields.string({
+		...options,
+		minLength: 6,
+		message: "Password must be at least 6 characters long",
+	});
+const nameField = (options) => fields.string({ ...options, maxLength: 100 });
+
+const validateRegister = validate({
+	body: {
+		name: nameField({ required: true }),
+		surname: nameField({ required: true }),
+		email: fields.email({ required: true }),
+		password: newPasswordField({ required: true }),
+	},
+});
+const validateLogin = validate({
+	body: {
+		email: fields.string({ required: true }),
+		password: fields.string({ required: true }),
+	},
+});
+const validateProfile = validate({
+	body: {
+		name: nameField(),
+		surname: nameField(),
+		email: fields.email(),
+		currentPassword: fields.string(),
+		displayName: fields.string({ maxLength: 50 }),
+		leaderboardVisibility: fields.oneOf(LEADERBOARD_VISIBILITIES),
+	},
+});
+const validatePasswordChange = validate({
+	body: {
+		currentPassword: fields.string({ required: true }),
+		newPassword: newPasswordField({ required: true }),
+	},
+});
+const validateDeletion = validate({
+	body: { password: fields.string({ required: true }) },
+});
+const validateVerifyToken = validate({
+	params: { token: fields.string({ maxLength: 200 }) },
+});
+const validateRefresh = validate({
+	body: { refreshToken: fields.string({ required: true }) },
+});
+const validateForgot = validate({
+	body: { email: fields.string({ required: true }) },
+});
+const validateRoleChange = validate({
+	params: { userId: fields.objectId({ required: true }) },
+	body: { role: fields.oneOf(ROLES, { required: true }) },
+});
+const validateReset = validate({
+	body: {
+		token: fields.string({ required: true, maxLength: 200 }),
+		password: newPasswordField({ required: true }),
+	},
+});
+
 // Helper function to generate basic analysis for login
 const generateBasicAnalysis = async (userId, db) => {
 	try {
@@ -26,7 +153,10 @@ const generateBasicAnalysis = async (userId, db) => {
 		const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
 		const thisWeekEmissions = emissions
-			.filter((e) => new Date(e.timestamp) >= oneWeekAgo)
+			.filter((e) => {
+				const date = new Date(e.timestamp);
+				return date >= oneWeekAgo && date <= now;
+			})
 			.reduce((sum, e) => sum + e.value, 0);
 
 		const categoryTotals = emissions.reduce((acc, e) => {
@@ -52,162 +182,253 @@ const generateBasicAnalysis = async (userId, db) => {
 };
 
 // Generate JWT token
-const generateToken = (userId) => {
-	return jwt.sign({ userId }, process.env.JWT_SECRET || "your-secret-key", {
-		expiresIn: "24h",
+const generateToken = (userId, sessionId) => {
+	return jwt.sign(
+		{ userId, sessionId },
+		process.env.JWT_SECRET || "your-secret-key",
+		{ expiresIn: ACCESS_TOKEN_TTL }
+	);
+};
+
+// Refresh tokens are random strings; only their hash is stored
+const generateRefreshToken = () =>
+	crypto.randomBytes(48).toString("base64url");
+
+const hashToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+// Start a session and issue its first access and refresh tokens
+const createSession = async (db, userId, req) => {
+	const refreshToken = generateRefreshToken();
+	const now = new Date();
+
+	const result = await db.collection("sessions").insertOne({
+		userId: new ObjectId(userId),
+		refreshTokenHash: hashToken(refreshToken),
+		userAgent: req.headers["user-agent"],
+		createdAt: now,
+		lastUsedAt: now,
+		expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+		revokedAt: null,
 	});
+
+	return {
+		token: generateToken(userId, result.insertedId),
+		refreshToken,
+	};
 };
 
-// Register route - matches Register.jsx form fields
-router.post("/register", async (req, res) => {
-	try {
-		console.log("Register request received from:", req.headers.origin);
-		console.log("Database connected:", req.dbConnected);
-		console.log("Database object exists:", !!req.db);
-
-		// Check if database is connected
-		if (!req.dbConnected || !req.db) {
-			console.log("Database not available for registration");
-			return res.status(503).json({
-				message:
-					"Database not available. Please install and start MongoDB.",
-				error: "Database connection required for registration",
-			});
-		}
+// Shape a user document for API responses
+// Accounts created before verification existed have no flag and count as
+// verified
+const formatUser = (user) => ({
+	id: user._id,
+	name: user.name,
+	surname: user.surname,
+	email: user.email,
+	emailVerified: user.emailVerified !== false,
+	role: getUserRole(user),
+	displayName: user.displayName || "",
+	leaderboardVisibility: user.leaderboardVisibility || "public",
+});
 
-		const { name, surname, email, password } = req.body;
+// Mail a link that confirms the user owns their current email address
+const sendVerificationEmail = async (db, user) => {
+	const verifyToken = generateRefreshToken();
+	const now = new Date();
+	const verifications = db.collection("emailVerifications");
 
-		// Validation to match Register.jsx frontend validation
-		if (!name || !surname || !email || !password) {
-			return res.status(400).json({ message: "All fields are required" });
-		}
+	// Only the most recent link works
+	await verifications.deleteMany({ userId: user._id, usedAt: null });
+	await verifications.insertOne({
+		userId: user._id,
+		email: user.email,
+		tokenHash: hashToken(verifyToken),
+		createdAt: now,
+		expiresAt: new Date(now.getTime() + EMAIL_VERIFICATION_TTL_MS),
+		usedAt: null,
+	});
 
-		if (password.length < 6) {
-			return res.status(400).json({
-				message: "Password must be at least 6 characters long",
-			});
-		}
+	await sendMail({
+		to: user.email,
+		subject: "Verify your Footprint Logger email",
+		text: [
+			`Hi ${user.name},`,
+			"",
+			"Please confirm your email address by opening the link below:",
+			"",
+			`${getAppUrl()}/verify-email/${verifyToken}`,
+			"",
+			"This link expires in 24 hours.",
+		].join("\n"),
+	});
+};
 
-		// Check if user already exists
-		const existingUser = await req.db
-			.collection("users")
-			.findOne({ email: email.toLowerCase() });
+// Register route - matches Register.jsx form fields
+router.post(
+	"/register",
+	limitByIp,
+	limitByEmail,
+	validateRegister,
+	async (req, res) => {
+		try {
+			console.log("Register request received from:", req.headers.origin);
+			console.log("Database connected:", req.dbConnected);
+			console.log("Database object exists:", !!req.db);
 
-		if (existingUser) {
-			return res.status(400).json({
-				message: "User already exists with this email",
-			});
-		}
+			// Check if database is connected
+			if (!req.dbConnected || !req.db) {
+				console.log("Database not available for registration");
+				return res.status(503).json({
+					message:
+						"Database not available. Please install and start MongoDB.",
+					error: "Database connection required for registration",
+				});
+			}
 
-		// Hash password
-		const hashedPassword = await bcrypt.hash(password, 12);
+			const { name, surname, email, password } = req.body;
 
-		// Create user document
-		const newUser = {
-			name,
-			surname,
-			email: email.toLowerCase(),
-			password: hashedPassword,
-			createdAt: new Date(),
-		};
+			// Check if user already exists
+			const existingUser = await req.db
+				.collection("users")
+				.findOne({ email: email.toLowerCase() });
 
-		const result = await req.db.collection("users").insertOne(newUser);
+			if (existingUser) {
+				return sendValidationError(
+					res,
+					"User already exists with this email"
+				);
+			}
 
-		// Generate token
-		const token = generateToken(result.insertedId);
+			// Hash password
+			const hashedPassword = await bcrypt.hash(password, 12);
 
-		// Response format expected by Register.jsx
-		res.status(201).json({
-			message: "User registered successfully",
-			token,
-			user: {
-				id: result.insertedId,
+			// Create user document
+			const newUser = {
 				name,
 				surname,
 				email: email.toLowerCase(),
-			},
-		});
-	} catch (error) {
-		console.error("Registration error:", error);
+				password: hashedPassword,
+				emailVerified: false,
+				role: "user",
+				leaderboardVisibility: "public",
+				createdAt: new Date(),
+			};
 
-		// Handle duplicate email error
-		if (error.code === 11000) {
-			return res.status(400).json({
-				message: "User already exists with this email",
-			});
-		}
+			const result = await req.db.collection("users").insertOne(newUser);
 
-		res.status(500).json({
-			message: "Server error during registration",
-		});
-	}
-});
+			// A mail failure shouldn't block signing up; the user can ask for
+			// another link later
+			try {
+				await sendVerificationEmail(req.db, {
+					...newUser,
+					_id: result.insertedId,
+				});
+			} catch (mailError) {
+				console.error("Verification email error:", mailError);
+			}
 
-// Login route - matches Login.jsx form fields
-router.post("/login", async (req, res) => {
-	try {
-		// Check if database is connected
-		if (!req.dbConnected || !req.db) {
-			return res.status(503).json({
-				message:
-					"Database not available. Please install and start MongoDB.",
-				error: "Database connection required for login",
+			// Generate tokens
+			const { token, refreshToken } = await createSession(
+				req.db,
+				result.insertedId,
+				req
+			);
+
+			// Response format expected by Register.jsx
+			res.status(201).json({
+				message: "User registered successfully",
+				token,
+				refreshToken,
+				user: formatUser({ ...newUser, _id: result.insertedId }),
 			});
-		}
+		} catch (error) {
+			console.error("Registration error:", error);
 
-		const { email, password } = req.body;
+			// Handle duplicate email error
+			if (error.code === 11000) {
+				return sendValidationError(
+					res,
+					"User already exists with this email"
+				);
+			}
 
-		// Validation to match Login.jsx frontend validation
-		if (!email || !password) {
-			return res.status(400).json({
-				message: "Email and password are required",
+			res.status(500).json({
+				message: "Server error during registration",
 			});
 		}
+	}
+);
 
-		// Find user by email
-		const user = await req.db
-			.collection("users")
-			.findOne({ email: email.toLowerCase() });
+// Login route - matches Login.jsx form fields
+router.post(
+	"/login",
+	limitByIp,
+	limitByEmail,
+	validateLogin,
+	async (req, res) => {
+		try {
+			// Check if database is connected
+			if (!req.dbConnected || !req.db) {
+				return res.status(503).json({
+					message:
+						"Database not available. Please install and start MongoDB.",
+					error: "Database connection required for login",
+				});
+			}
 
-		if (!user) {
-			return res.status(400).json({
-				message: "Invalid email or password",
-			});
-		}
+			const { email, password } = req.body;
 
-		// Verify password
-		const isPasswordValid = await bcrypt.compare(password, user.password);
-		if (!isPasswordValid) {
-			return res.status(400).json({
-				message: "Invalid email or password",
-			});
-		}
+			const normalizedEmail = email.toLowerCase();
 
-		// Generate token
-		const token = generateToken(user._id);
+			// Locked out after too many wrong passwords in a row
+			const lockoutMs = await getLoginLockout(req.db, normalizedEmail);
+			if (lockoutMs > 0) {
+				return sendTooManyRequests(res, lockoutMs);
+			}
 
-		// Generate basic analysis for login
-		const basicAnalysis = await generateBasicAnalysis(user._id, req.db);
+			// Find user by email
+			const user = await req.db
+				.collection("users")
+				.findOne({ email: normalizedEmail });
 
-		// Response format expected by Login.jsx with analysis
-		res.json({
-			message: "Login successful",
-			token,
-			user: {
-				id: user._id,
-				name: user.name,
-				surname: user.surname,
-				email: user.email,
-			},
-			analysis: basicAnalysis,
-		});
-	} catch (error) {
-		console.error("Login error:", error);
-		res.status(500).json({
-			message: "Server error during login",
-		});
+			// Verify password; unknown emails count as failures too, so lockouts
+			// don't reveal which emails are registered
+			const isPasswordValid =
+				user && (await bcrypt.compare(password, user.password));
+			if (!isPasswordValid) {
+				await recordFailedLogin(req.db, normalizedEmail, req.ip);
+				return sendValidationError(res, "Invalid email or password");
+			}
+
+			await clearFailedLogins(req.db, normalizedEmail);
+
+			// Generate tokens
+			const { token, refreshToken } = await createSession(
+				req.db,
+				user._id,
+				req
+			);
+
+			// Generate basic analysis for login
+			const basicAnalysis = await generateBasicAnalysis(user._id, req.db);
+
+			// Response format expected by Login.jsx with analysis
+			res.json({
+				message: "Login successful",
+				token,
+				refreshToken,
+				user: formatUser(user),
+				analysis: basicAnalysis,
+			});
+		} catch (error) {
+			console.error("Login error:", error);
+			res.status(500).json({
+				message: "Server error during login",
+			});
+		}
 	}
-});
+);
 
 // Middleware to verify JWT token
 export const authenticateToken = (req, res, next) => {
@@ -222,11 +443,29 @@ export const authenticateToken = (req, res, next) => {
 		token,
 		process.env.JWT_SECRET || "your-secret-key",
 		async (err, decoded) => {
+			// Expired or tampered tokens are an authentication failure, so
+			// clients can refresh on 401 and treat 403 as "not allowed"
 			if (err) {
-				return res.status(403).json({ message: "Invalid token" });
+				return res.status(401).json({ message: "Invalid token" });
 			}
 
 			try {
+				// Tokens from a revoked or expired session stop working
+				// immediately, not when the token itself expires
+				const session =
+					decoded.sessionId &&
+					(await req.db.collection("sessions").findOne({
+						_id: new ObjectId(decoded.sessionId),
+						revokedAt: null,
+						expiresAt: { $gt: new Date() },
+					}));
+
+				if (!session) {
+					return res.status(401).json({
+						message: "Session has expired or was revoked",
+					});
+				}
+
 				const user = await req.db
 					.collection("users")
 					.findOne({ _id: new ObjectId(decoded.userId) });
@@ -235,12 +474,8 @@ export const authenticateToken = (req, res, next) => {
 					return res.status(404).json({ message: "User not found" });
 				}
 
-				req.user = {
-					id: user._id,
-					name: user.name,
-					surname: user.surname,
-					email: user.email,
-				};
+				req.user = formatUser(user);
+				req.sessionId = session._id;
 				next();
 			} catch (error) {
 				console.error("Token verification error:", error);
@@ -252,14 +487,597 @@ export const authenticateToken = (req, res, next) => {
 	);
 };
 
+// Middleware allowing only users with at least the given role
+// Must run after authenticateToken
+export const requireRole = (role) => (req, res, next) => {
+	if (!req.user || ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+		return res.status(403).json({ message: `Requires ${role} role` });
+	}
+
+	next();
+};
+
 // Get current user route (used by AuthContext to verify token)
 router.get("/me", authenticateToken, (req, res) => {
 	res.json({ user: req.user });
 });
 
-// Logout route (for NavBar logout functionality)
-router.post("/logout", authenticateToken, (req, res) => {
-	res.json({ message: "Logout successful" });
+// Update the current user's name, surname, email or leaderboard privacy
+// Changing the email needs the current password and a new verification
+router.patch("/me", authenticateToken, validateProfile, async (req, res) => {
+	try {
+		const {
+			name,
+			surname,
+			email,
+			currentPassword,
+			displayName,
+			leaderboardVisibility,
+		} = req.body;
+		const updates = {};
+
+		for (const [field, value] of Object.entries({ name, surname })) {
+			if (value === undefined) continue;
+			if (!value.trim()) {
+				return sendValidationError(res, `${field} cannot be empty`);
+			}
+			updates[field] = value.trim();
+		}
+
+		// An empty display name falls back to the first name on leaderboards
+		if (typeof displayName === "string") {
+			updates.displayName = displayName.trim();
+		}
+		if (leaderboardVisibility !== undefined) {
+			updates.leaderboardVisibility = leaderboardVisibility;
+		}
+
+		const users = req.db.collection("users");
+		const newEmail = email?.trim().toLowerCase();
+		const emailChanged =
+			newEmail !== undefined && newEmail !== req.user.email;
+
+		if (emailChanged) {
+			const user = await users.findOne({ _id: req.user.id });
+			const isPasswordValid =
+				typeof currentPassword === "string" &&
+				(await bcrypt.compare(currentPassword, user.password));
+
+			if (!isPasswordValid) {
+				return sendValidationError(
+					res,
+					"Current password is incorrect"
+				);
+			}
+
+			updates.email = newEmail;
+			updates.emailVerified = false;
+		}
+
+		if (Object.keys(updates).length === 0) {
+			return sendValidationError(res, "No changes provided");
+		}
+
+		const updatedUser = await users.findOneAndUpdate(
+			{ _id: req.user.id },
+			{ $set: updates },
+			{ returnDocument: "after" }
+		);
+
+		// Emissions keep a copy of the name for leaderboards
+		if (updates.name) {
+			await req.db
+				.collection("emissions")
+				.updateMany(
+					{ userId: req.user.id },
+					{ $set: { userName: updates.name } }
+				);
+		}
+
+		// Totals carry a copy of leaderboard eligibility
+		if (
+			updates.leaderboardVisibility !== undefined ||
+			updates.emailVerified !== undefined
+		) {
+			await updateUserTotalsEligibility(req.db, req.user.id);
+		}
+
+		if (emailChanged) {
+			try {
+				await sendVerificationEmail(req.db, updatedUser);
+			} catch (mailError) {
+				console.error("Verification email error:", mailError);
+			}
+		}
+
+		res.json({
+			message: emailChanged
+				? "Profile updated. Check your inbox to verify your new email."
+				: "Profile updated successfully",
+			user: formatUser(updatedUser),
+		});
+	} catch (error) {
+		console.error("Profile update error:", error);
+
+		if (error.code === 11000) {
+			return sendValidationError(
+				res,
+				"User already exists with this email"
+			);
+		}
+
+		res.status(500).json({
+			message: "Server error updating profile",
+		});
+	}
+});
+
+// Change the password; other devices are signed out, this one stays in
+router.post(
+	"/change-password",
+	authenticateToken,
+	validatePasswordChange,
+	async (req, res) => {
+		try {
+			const { currentPassword, newPassword } = req.body;
+
+			const users = req.db.collection("users");
+			const user = await users.findOne({ _id: req.user.id });
+
+			const isPasswordValid = await bcrypt.compare(
+				currentPassword,
+				user.password
+			);
+			if (!isPasswordValid) {
+				return sendValidationError(res, "Current password is incorrect");
+			}
+
+			const now = new Date();
+			const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+			await users.updateOne(
+				{ _id: user._id },
+				{ $set: { password: hashedPassword, passwordChangedAt: now } }
+			);
+
+			await req.db.collection("sessions").updateMany(
+				{
+					userId: user._id,
+					_id: { $ne: req.sessionId },
+					revokedAt: null,
+				},
+				{ $set: { revokedAt: now, revokedReason: "password_change" } }
+			);
+
+			res.json({ message: "Password changed successfully" });
+		} catch (error) {
+			console.error("Change password error:", error);
+			res.status(500).json({
+				message: "Server error changing password",
+			});
+		}
+	}
+);
+
+// Download everything stored about the current user as a ZIP archive
+// with one JSON file per collection
+router.get("/me/data-export", authenticateToken, async (req, res) => {
+	try {
+		const data = await collectUserData(req.db, req.user.id);
+		const exportedAt = new Date();
+
+		const files = [
+			{
+				name: "manifest.json",
+				data: JSON.stringify(
+					{
+						exportedAt,
+						userId: req.user.id,
+						files: Object.keys(data).map((name) => ({
+							name: `${name}.json`,
+							records: Array.isArray(data[name])
+								? data[name].length
+								: 1,
+						})),
+					},
+					null,
+					2
+				),
+			},
+			...Object.entries(data).map(([name, records]) => ({
+				name: `${name}.json`,
+				data: JSON.stringify(records, null, 2),
+			})),
+		];
+
+		const fileName = `footprint-data-export-${
+			exportedAt.toISOString().split("T")[0]
+		}.zip`;
+
+		res.setHeader("Content-Type", "application/zip");
+		res.setHeader(
+			"Content-Disposition",
+			`attachment; filename="${fileName}"`
+		);
+		res.send(createZip(files, exportedAt));
+	} catch (error) {
+		console.error("Data export error:", error);
+		res.status(500).json({
+			message: "Server error exporting account data",
+		});
+	}
+});
+
+// Delete the current user and all of their data
+// The password is asked for again so a stolen session can't do this
+router.delete("/me", authenticateToken, validateDeletion, async (req, res) => {
+	try {
+		const { password } = req.body;
+
+		const user = await req.db
+			.collection("users")
+			.findOne({ _id: req.user.id });
+
+		const isPasswordValid = await bcrypt.compare(password, user.password);
+
+		if (!isPasswordValid) {
+			return sendValidationError(res, "Password is incorrect");
+		}
+
+		const deleted = await deleteUserAccount(req.db, user._id);
+
+		res.json({
+			message: "Account deleted successfully",
+			deleted,
+		});
+	} catch (error) {
+		console.error("Account deletion error:", error);
+		res.status(500).json({
+			message: "Server error deleting account",
+		});
+	}
+});
+
+// Give a user a different role
+// Admins can't change their own role, so there is always one left
+router.patch(
+	"/users/:userId/role",
+	authenticateToken,
+	requireRole("admin"),
+	validateRoleChange,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
+			const { role } = req.body;
+
+			if (userId === req.user.id.toString()) {
+				return sendValidationError(res, "You can't change your own role");
+			}
+
+			const updatedUser = await req.db
+				.collection("users")
+				.findOneAndUpdate(
+					{ _id: new ObjectId(userId) },
+					{ $set: { role, updatedAt: new Date() } },
+					{ returnDocument: "after" }
+				);
+
+			if (!updatedUser) {
+				return res.status(404).json({ message: "User not found" });
+			}
+
+			res.json({
+				message: "Role updated successfully",
+				user: formatUser(updatedUser),
+			});
+		} catch (error) {
+			console.error("Role update error:", error);
+			res.status(500).json({
+				message: "Server error updating role",
+			});
+		}
+	}
+);
+
+// Confirm an email address using the token from a verification email
+router.get("/verify/:token", validateVerifyToken, async (req, res) => {
+	try {
+		const now = new Date();
+
+		const verification = await req.db
+			.collection("emailVerifications")
+			.findOneAndUpdate(
+				{
+					tokenHash: hashToken(req.params.token),
+					usedAt: null,
+					expiresAt: { $gt: now },
+				},
+				{ $set: { usedAt: now } }
+			);
+
+		if (!verification) {
+			return sendValidationError(
+				res,
+				"This verification link is invalid or has expired"
+			);
+		}
+
+		// The link only counts for the address it was sent to
+		const result = await req.db
+			.collection("users")
+			.updateOne(
+				{ _id: verification.userId, email: verification.email },
+				{ $set: { emailVerified: true, emailVerifiedAt: now } }
+			);
+
+		if (result.matchedCount === 0) {
+			return sendValidationError(
+				res,
+				"This verification link is no longer valid"
+			);
+		}
+
+		await updateUserTotalsEligibility(req.db, verification.userId);
+
+		res.json({ message: "Email verified successfully" });
+	} catch (error) {
+		console.error("Email verification error:", error);
+		res.status(500).json({
+			message: "Server error during email verification",
+		});
+	}
+});
+
+// Send a fresh verification link to the current user
+router.post(
+	"/resend-verification",
+	limitByIp,
+	authenticateToken,
+	limitByUserEmail,
+	async (req, res) => {
+		try {
+			if (req.user.emailVerified) {
+				return sendValidationError(
+					res,
+					"Email is already verified"
+				);
+			}
+
+			await sendVerificationEmail(req.db, {
+				_id: req.user.id,
+				name: req.user.name,
+				email: req.user.email,
+			});
+
+			res.json({ message: "Verification email sent" });
+		} catch (error) {
+			console.error("Resend verification error:", error);
+			res.status(500).json({
+				message: "Server error sending verification email",
+			});
+		}
+	}
+);
+
+// Exchange a refresh token for a new access token and refresh token
+// Each refresh token can only be used once
+router.post("/refresh", validateRefresh, async (req, res) => {
+	try {
+		const { refreshToken } = req.body;
+
+		const tokenHash = hashToken(refreshToken);
+		const nextRefreshToken = generateRefreshToken();
+		const now = new Date();
+		const sessions = req.db.collection("sessions");
+
+		// Rotate atomically so two requests can't both use the same token
+		const session = await sessions.findOneAndUpdate(
+			{
+				refreshTokenHash: tokenHash,
+				revokedAt: null,
+				expiresAt: { $gt: now },
+			},
+			{
+				$set: {
+					refreshTokenHash: hashToken(nextRefreshToken),
+					previousRefreshTokenHash: tokenHash,
+					lastUsedAt: now,
+					expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+				},
+			},
+			{ returnDocument: "after" }
+		);
+
+		if (!session) {
+			// A token that was already rotated out is being replayed, so it
+			// may have been stolen - end the session it belonged to
+			await sessions.updateOne(
+				{
+					previousRefreshTokenHash: tokenHash,
+					revokedAt: null,
+					lastUsedAt: {
+						$lt: new Date(now.getTime() - REFRESH_REUSE_GRACE_MS),
+					},
+				},
+				{ $set: { revokedAt: now, revokedReason: "token_reuse" } }
+			);
+
+			return res.status(401).json({
+				message: "Invalid or expired refresh token",
+			});
+		}
+
+		res.json({
+			message: "Token refreshed successfully",
+			token: generateToken(session.userId, session._id),
+			refreshToken: nextRefreshToken,
+		});
+	} catch (error) {
+		console.error("Token refresh error:", error);
+		res.status(500).json({
+			message: "Server error during token refresh",
+		});
+	}
+});
+
+// Logout route - revokes the current session
+router.post("/logout", authenticateToken, async (req, res) => {
+	try {
+		await req.db
+			.collection("sessions")
+			.updateOne(
+				{ _id: req.sessionId },
+				{ $set: { revokedAt: new Date(), revokedReason: "logout" } }
+			);
+
+		res.json({ message: "Logout successful" });
+	} catch (error) {
+		console.error("Logout error:", error);
+		res.status(500).json({
+			message: "Server error during logout",
+		});
+	}
+});
+
+// Log out of every device by revoking all of the user's sessions
+router.post("/logout-all", authenticateToken, async (req, res) => {
+	try {
+		const result = await req.db
+			.collection("sessions")
+			.updateMany(
+				{ userId: new ObjectId(req.user.id), revokedAt: null },
+				{
+					$set: {
+						revokedAt: new Date(),
+						revokedReason: "logout_all",
+					},
+				}
+			);
+
+		res.json({
+			message: "Logged out of all devices",
+			revokedCount: result.modifiedCount,
+		});
+	} catch (error) {
+		console.error("Logout all error:", error);
+		res.status(500).json({
+			message: "Server error during logout",
+		});
+	}
+});
+
+// Request a password reset link by email
+// The response is the same whether or not the email is registered, so it
+// can't be used to find out who has an account
+router.post(
+	"/forgot-password",
+	limitByIp,
+	limitByEmail,
+	validateForgot,
+	async (req, res) => {
+		try {
+			const { email } = req.body;
+
+			const user = await req.db
+				.collection("users")
+				.findOne({ email: email.toLowerCase() });
+
+			if (user) {
+				const resetToken = generateRefreshToken();
+				const now = new Date();
+				const resets = req.db.collection("passwordResets");
+
+				// Only the most recent link works
+				await resets.deleteMany({ userId: user._id, usedAt: null });
+				await resets.insertOne({
+					userId: user._id,
+					tokenHash: hashToken(resetToken),
+					createdAt: now,
+					expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MS),
+					usedAt: null,
+				});
+
+				const resetUrl = `${getAppUrl()}/reset-password?token=${resetToken}`;
+
+				await sendMail({
+					to: user.email,
+					subject: "Reset your Footprint Logger password",
+					text: [
+						`Hi ${user.name},`,
+						"",
+						"We received a request to reset your password. Use the link below to choose a new one:",
+						"",
+						resetUrl,
+						"",
+						"This link expires in 1 hour and can only be used once.",
+						"If you didn't ask for a reset, you can ignore this email.",
+					].join("\n"),
+				});
+			}
+
+			res.json({
+				message:
+					"If an account exists for that email, a reset link has been sent",
+			});
+		} catch (error) {
+			console.error("Forgot password error:", error);
+			res.status(500).json({
+				message: "Server error during password reset request",
+			});
+		}
+	}
+);
+
+// Set a new password using the token from a reset email
+router.post("/reset-password", limitByIp, validateReset, async (req, res) => {
+	try {
+		const { token, password } = req.body;
+
+		const now = new Date();
+
+		// Mark the token used in the same step that checks it
+		const reset = await req.db
+			.collection("passwordResets")
+			.findOneAndUpdate(
+				{
+					tokenHash: hashToken(token),
+					usedAt: null,
+					expiresAt: { $gt: now },
+				},
+				{ $set: { usedAt: now } }
+			);
+
+		if (!reset) {
+			return sendValidationError(
+				res,
+				"This reset link is invalid or has expired"
+			);
+		}
+
+		const hashedPassword = await bcrypt.hash(password, 12);
+
+		await req.db
+			.collection("users")
+			.updateOne(
+				{ _id: reset.userId },
+				{ $set: { password: hashedPassword, passwordChangedAt: now } }
+			);
+
+		// Sign out everywhere in case the old password was compromised
+		await req.db
+			.collection("sessions")
+			.updateMany(
+				{ userId: reset.userId, revokedAt: null },
+				{ $set: { revokedAt: now, revokedReason: "password_reset" } }
+			);
+
+		res.json({ message: "Password reset successful. Please log in." });
+	} catch (error) {
+		console.error("Reset password error:", error);
+		res.status(500).json({
+			message: "Server error during password reset",
+		});
+	}
 });
 
 export default router;
@@ -1,20 +1,203 @@
 import express from "express";
+import { once } from "events";
 import { ObjectId } from "mongodb";
 import { authenticateToken } from "./auth.js";
+import {
+	calculateEmissionValue,
+	validateEmissionData,
+} from "../utils/analysisHelpers.js";
+import {
+	analysisCache,
+	awardAchievements,
+	buildCursorQuery,
+	buildEmissionsQuery,
+	decodeCursor,
+	encodeCursor,
+	findCurrentEmissionFactor,
+	getLeaderboard,
+	LEADERBOARD_NORMALISATIONS,
+	LEADERBOARD_RANKINGS,
+	LEADERBOARD_SCOPES,
+	LEADERBOARD_WINDOWS,
+	processBatch,
+	updateUserTotals,
+} from "../utils/backendHelpers.js";
+import { parseCsvWithHeader, toCsvRow } from "../utils/csvHelpers.js";
+import {
+	REPORT_END,
+	renderReportRow,
+	renderReportStart,
+} from "../utils/reportHelpers.js";
+import {
+	fields,
+	sendValidationError,
+	validate,
+} from "../utils/validation.js";
 
 const router = express.Router();
 
+const IMPORT_COLUMNS = ["date", "category", "activity", "quantity", "unit"];
+const MAX_IMPORT_ROWS = 5000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const HISTORY_SORT_FIELDS = ["timestamp", "value", "createdAt"];
+const MAX_BULK_DELETE = 500;
+
+// Columns written by exports - the first five round-trip through /import
+const EXPORT_COLUMNS = [
+	"date",
+	"category",
+	"activity",
+	"quantity",
+	"unit",
+	"value",
+	"factor",
+	"factorKey",
+	"factorVersion",
+	"id",
+];
+
+const EXPORT_FORMATS = {
+	csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+	json: {
+		contentType: "application/json; charset=utf-8",
+		extension: "json",
+	},
+	ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+	// Printable HTML, saved as PDF from the browser's print dialog
+	report: { contentType: "text/html; charset=utf-8", extension: "html" },
+};
+
+const quantityField = (options) =>
+	fields.positiveNumber({
+		...options,
+		message: "Quantity must be a positive number",
+	});
+const userIdParams = { userId: fields.objectId({ required: true }) };
+const emissionIdParams = { emissionId: fields.objectId({ required: true }) };
+
+// Filters understood by buildEmissionsQuery
+const filterFields = {
+	startDate: fields.date(),
+	endDate: fields.date(),
+	category: fields.string({ maxLength: 100 }),
+	activity: fields.string({ maxLength: 100 }),
+	search: fields.string({ maxLength: 100 }),
+	minValue: fields.number(),
+	maxValue: fields.number(),
+};
+
+const validateUserId = validate({ params: userIdParams });
+const validateEmissionId = validate({ params: emissionIdParams });
+const validateCreate = validate({
+	body: {
+		category: fields.string({ required: true, maxLength: 100 }),
+		activity: fields.string({ required: true, maxLength: 100 }),
+		quantity: quantityField({ required: true }),
+		factorId: fields.objectId({ required: true }),
+		timestamp: fields.date(),
+		userId: fields.objectId({ required: true }),
+	},
+	query: { timezone: fields.timezone() },
+});
+const validateImport = validate({
+	query: { dryRun: fields.boolean(), timezone: fields.timezone() },
+});
+const validateHistory = validate({
+	params: userIdParams,
+	query: {
+		...filterFields,
+		limit: fields.number({ integer: true, min: 1, max: 1000 }),
+		cursor: fields.string({ maxLength: 500 }),
+		sortBy: fields.oneOf(HISTORY_SORT_FIELDS),
+		order: fields.oneOf(["asc", "desc"]),
+	},
+});
+const validateExport = validate({
+	params: userIdParams,
+	query: {
+		format: fields.oneOf(Object.keys(EXPORT_FORMATS)),
+		startDate: filterFields.startDate,
+		endDate: filterFields.endDate,
+		category: filterFields.category,
+	},
+});
+const validateUpdate = validate({
+	params: emissionIdParams,
+	body: {
+		category: fields.string({ maxLength: 100 }),
+		activity: fields.string({ maxLength: 100 }),
+		quantity: quantityField(),
+		factorId: fields.objectId(),
+		timestamp: fields.date(),
+	},
+});
+const rankingFields = {
+	window: fields.oneOf(LEADERBOARD_WINDOWS),
+	ranking: fields.oneOf(LEADERBOARD_RANKINGS),
+	normalise: fields.oneOf(LEADERBOARD_NORMALISATIONS),
+};
+const validateUserTotals = validate({ query: rankingFields });
+const validateLeaderboard = validate({
+	query: {
+		...rankingFields,
+		scope: fields.oneOf(LEADERBOARD_SCOPES),
+		teamId: fields.objectId(),
+	},
+});
+
+// Reduction is measured against the time before the window, so it needs
+// a week or month window
+const rankingOptionsError = ({ window, ranking }) =>
+	ranking === "reduction" && window === "all"
+		? "Reduction ranking needs a week or month window"
+		: null;
+const validateBulkDelete = validate({
+	body: {
+		emissionIds: fields.array(fields.objectId(), {
+			required: true,
+			minItems: 1,
+			maxItems: MAX_BULK_DELETE,
+		}),
+	},
+});
+
+// Flatten an emission document into an export record
+const toExportRecord = (emission) => ({
+	date: emission.timestamp,
+	category: emission.category,
+	activity: emission.activity,
+	quantity: emission.quantity,
+	unit: emission.unit,
+	value: emission.value,
+	factor: emission.factor,
+	factorKey: emission.factorKey,
+	factorVersion: emission.factorVersion,
+	id: emission._id.toString(),
+});
+
+// Shape an emission document for frontend consumption
+const formatEmission = (emission) => ({
+	id: emission._id.toString(),
+	category: emission.category,
+	activity: emission.activity,
+	quantity: emission.quantity,
+	unit: emission.unit,
+	factor: emission.factor,
+	factorId: emission.factorId?.toString(),
+	factorVersion: emission.factorVersion,
+	value: emission.value,
+	timestamp: emission.timestamp,
+	userId: emission.userId.toString(),
+	userName: emission.userName,
+});
+
 // Save emission data for a user
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, validateCreate, async (req, res) => {
 	try {
-		const { category, activity, value, timestamp, userId } = req.body;
-
-		// Validate input
-		if (!category || !activity || value === undefined) {
-			return res.status(400).json({
-				message: "Category, activity, and value are required",
-			});
-		}
+		const { category, activity, quantity, factorId, timestamp, userId } =
+			req.body;
+		const parsedQuantity = parseFloat(quantity);
 
 		// Ensure the userId matches the authenticated user
 		if (userId !== req.user.id.toString()) {
@@ -23,24 +206,62 @@ router.post("/", authenticateToken, async (req, res) => {
 			});
 		}
 
-		// Create emission document
+		// Resolve the factor from the registry - never trust client factors
+		const factor = await findCurrentEmissionFactor(req.db, factorId);
+
+		if (!factor) {
+			return sendValidationError(res, "Unknown emission factor");
+		}
+
+		if (factor.category !== category) {
+			return sendValidationError(
+				res,
+				"Emission factor does not belong to this category"
+			);
+		}
+
+		// Create emission document - value is always derived from quantity
 		const emissionData = {
 			category,
 			activity,
-			value: parseFloat(value),
-			timestamp: new Date(timestamp),
+			quantity: parsedQuantity,
+			unit: factor.unit,
+			factor: factor.factor,
+			factorId: factor._id,
+			factorKey: factor.key,
+			factorVersion: factor.version,
+			value: calculateEmissionValue(parsedQuantity, factor.factor),
+			timestamp: timestamp ? new Date(timestamp) : undefined,
 			userId: new ObjectId(userId),
 			userName: req.user.name,
 			createdAt: new Date(),
 		};
 
+		// Rejects missing, malformed and far-future timestamps
+		const validation = validateEmissionData(emissionData);
+		if (!validation.isValid) {
+			return sendValidationError(res, validation.errors);
+		}
+
 		const result = await req.db
 			.collection("emissions")
 			.insertOne(emissionData);
+		await updateUserTotals(req.db, { added: [emissionData] });
+		analysisCache.invalidateUser(userId);
+
+		// Streaks count days in the timezone the entry was logged from
+		const { newlyAwarded } = await awardAchievements(req.db, userId, {
+			timezone: req.query.timezone,
+		});
 
 		res.status(201).json({
 			message: "Emission saved successfully",
 			emissionId: result.insertedId,
+			emission: formatEmission({
+				_id: result.insertedId,
+				...emissionData,
+			}),
+			newAchievements: newlyAwarded,
 		});
 	} catch (error) {
 		console.error("Error saving emission:", error);
@@ -50,154 +271,306 @@ router.post("/", authenticateToken, async (req, res) => {
 	}
 });
 
-// Get all emissions grouped by username with totals
-router.get("/user-totals", async (req, res) => {
-	try {
-		const db = req.db;
-		const emissionsCollection = db.collection("emissions");
+// Import historical activity data from CSV
+// Columns: date, category, activity, quantity, unit
+// Send ?dryRun=true to get the per-row report without saving anything
+router.post(
+	"/import",
+	authenticateToken,
+	validateImport,
+	express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+	async (req, res) => {
+		try {
+			const dryRun = req.query.dryRun === "true";
+
+			if (typeof req.body !== "string" || !req.body.trim()) {
+				return sendValidationError(
+					res,
+					"CSV body is required (Content-Type: text/csv)"
+				);
+			}
+
+			const { columns, records } = parseCsvWithHeader(req.body);
+
+			const missingColumns = IMPORT_COLUMNS.filter(
+				(column) => !columns.includes(column)
+			);
+			if (missingColumns.length > 0) {
+				return sendValidationError(
+					res,
+					`Missing CSV columns: ${missingColumns.join(", ")}`
+				);
+			}
+
+			if (records.length > MAX_IMPORT_ROWS) {
+				return sendValidationError(
+					res,
+					`Imports are limited to ${MAX_IMPORT_ROWS} rows`
+				);
+			}
+
+			// Index current factors by category and activity, case-insensitive
+			const factors = await req.db
+				.collection("factors")
+				.find({ isCurrent: true })
+				.toArray();
+			const factorIndex = new Map(
+				factors.map((factor) => [
+					`${factor.category}.${factor.activity}`.toLowerCase(),
+					factor,
+				])
+			);
+
+			const report = records.map((record, index) => {
+				const row = index + 1;
+				const errors = [];
+
+				// Unknown activities fall back to the category's "other" factor
+				const categoryKey = record.category.toLowerCase();
+				const factor =
+					factorIndex.get(
+						`${categoryKey}.${record.activity.toLowerCase()}`
+					) || factorIndex.get(`${categoryKey}.other`);
 
-		// Get all emissions
-		const allEmissions = await emissionsCollection.find({}).toArray();
+				const quantity = parseFloat(record.quantity);
 
-		// Group by userName and calculate totals
-		const userTotals = {};
+				if (!record.activity) errors.push("Activity is required");
+				if (isNaN(quantity) || quantity <= 0) {
+					errors.push("Quantity must be a positive number");
+				}
+				if (!factor) {
+					errors.push(`Unknown category "${record.category}"`);
+				} else if (
+					record.unit.toLowerCase() !== factor.unit.toLowerCase()
+				) {
+					errors.push(
+						`Unit "${record.unit}" does not match factor unit "${factor.unit}"`
+					);
+				}
 
-		allEmissions.forEach((emission) => {
-			const userName = emission.userName || "Unknown";
-			const value = parseFloat(emission.value) || 0;
+				if (errors.length > 0) {
+					return { row, status: "rejected", errors, record };
+				}
 
-			if (!userTotals[userName]) {
-				userTotals[userName] = {
-					userName: userName,
-					totalEmissions: 0,
-					activityCount: 0,
-					userId: emission.userId,
+				const emissionData = {
+					category: factor.category,
+					activity: record.activity,
+					quantity,
+					unit: factor.unit,
+					factor: factor.factor,
+					factorId: factor._id,
+					factorKey: factor.key,
+					factorVersion: factor.version,
+					value: calculateEmissionValue(quantity, factor.factor),
+					timestamp: record.date ? new Date(record.date) : undefined,
+					userId: new ObjectId(req.user.id),
+					userName: req.user.name,
+					source: "csv-import",
+					createdAt: new Date(),
 				};
+
+				const validation = validateEmissionData(emissionData);
+				if (!validation.isValid) {
+					return {
+						row,
+						status: "rejected",
+						errors: validation.errors,
+						record,
+					};
+				}
+
+				return { row, status: "accepted", errors: [], emissionData };
+			});
+
+			if (!dryRun) {
+				const emissionsCollection = req.db.collection("emissions");
+
+				await processBatch(
+					report.filter((result) => result.status === "accepted"),
+					async (result) => {
+						try {
+							const inserted =
+								await emissionsCollection.insertOne(
+									result.emissionData
+								);
+							result.emissionId = inserted.insertedId;
+						} catch (error) {
+							result.status = "rejected";
+							result.errors = [
+								`Could not save row: ${error.message}`,
+							];
+						}
+						return result;
+					}
+				);
 			}
 
-			userTotals[userName].totalEmissions += value;
-			userTotals[userName].activityCount += 1;
-		});
+			const rows = report.map(({ emissionData, ...result }) => ({
+				...result,
+				emission: emissionData && {
+					category: emissionData.category,
+					activity: emissionData.activity,
+					quantity: emissionData.quantity,
+					unit: emissionData.unit,
+					value: emissionData.value,
+					timestamp: emissionData.timestamp,
+				},
+			}));
+			const acceptedCount = rows.filter(
+				(result) => result.status === "accepted"
+			).length;
 
-		// Convert to array and sort by lowest emissions
-		const sortedUsers = Object.values(userTotals)
-			.map((user) => ({
-				...user,
-				totalEmissions: Math.round(user.totalEmissions * 100) / 100,
-			}))
-			.sort((a, b) => a.totalEmissions - b.totalEmissions);
-
-		res.json({
-			success: true,
-			users: sortedUsers,
-		});
-	} catch (error) {
-		console.error("Error calculating user totals:", error);
-		res.status(500).json({
-			success: false,
-			message: "Error calculating user totals",
-		});
-	}
-});
+			if (!dryRun && acceptedCount > 0) {
+				await updateUserTotals(req.db, {
+					added: report
+						.filter((result) => result.status === "accepted")
+						.map((result) => result.emissionData),
+				});
+				analysisCache.invalidateUser(req.user.id);
+			}
 
-// Get leaderboard (all users sorted by lowest total emissions)
-router.get("/leaderboard", authenticateToken, async (req, res) => {
-	console.log("=== LEADERBOARD ENDPOINT HIT ===");
-	console.log("Authenticated user:", req.user);
+			const { newlyAwarded } =
+				!dryRun && acceptedCount > 0
+					? await awardAchievements(req.db, req.user.id, {
+							timezone: req.query.timezone,
+					  })
+					: { newlyAwarded: [] };
 
-	try {
-		const db = req.db;
-		const emissionsCollection = db.collection("emissions");
+			res.status(dryRun ? 200 : 201).json({
+				message: dryRun
+					? "Import preview generated"
+					: `Imported ${acceptedCount} of ${rows.length} rows`,
+				dryRun,
+				totalRows: rows.length,
+				acceptedCount,
+				rejectedCount: rows.length - acceptedCount,
+				rows,
+				newAchievements: newlyAwarded,
+			});
+		} catch (error) {
+			console.error("Error importing emissions:", error);
+			res.status(500).json({
+				message: "Server error importing emissions",
+			});
+		}
+	}
+);
+
+// Get every ranked user with their totals
+// Query: window (week|month|all), ranking (lowest|reduction),
+// normalise (total|day|activity)
+router.get(
+	"/user-totals",
+	authenticateToken,
+	validateUserTotals,
+	async (req, res) => {
+		try {
+			const {
+				window = "all",
+				ranking = "lowest",
+				normalise,
+			} = req.query;
 
-		console.log("=== LEADERBOARD DEBUG START ===");
+			const optionsError = rankingOptionsError({ window, ranking });
+			if (optionsError) {
+				return sendValidationError(res, optionsError);
+			}
 
-		// Check if we have any emissions at all
-		const totalCount = await emissionsCollection.countDocuments();
-		console.log("Total emissions in database:", totalCount);
+			const { leaderboard, eligibility } = await getLeaderboard(
+				req.db,
+				req.user.id,
+				{ window, ranking, normalise, limit: null }
+			);
 
-		if (totalCount === 0) {
-			console.log("No emissions found in database");
-			return res.json({
+			res.json({
 				success: true,
-				leaderboard: [],
-				message: "No emissions data found",
+				users: leaderboard,
+				eligibility,
+			});
+		} catch (error) {
+			console.error("Error calculating user totals:", error);
+			res.status(500).json({
+				success: false,
+				message: "Error calculating user totals",
 			});
 		}
+	}
+);
 
-		// Get a few sample emissions to check data structure
-		const samples = await emissionsCollection.find({}).limit(3).toArray();
-		console.log("Sample emissions structure:");
-		samples.forEach((sample, index) => {
-			console.log(`Sample ${index + 1}:`, {
-				userId: sample.userId,
-				userIdType: typeof sample.userId,
-				value: sample.value,
-				valueType: typeof sample.value,
-				userName: sample.userName,
-				category: sample.category,
-				activity: sample.activity,
-			});
-		});
+// Get the leaderboard with the current user's own rank, even when they
+// are outside the top, and the rules for who gets ranked
+// Query: window (week|month|all), ranking (lowest|reduction),
+// normalise (total|day|activity), scope (global|team), teamId
+router.get(
+	"/leaderboard",
+	authenticateToken,
+	validateLeaderboard,
+	async (req, res) => {
+		try {
+			const {
+				window = "all",
+				ranking = "lowest",
+				scope = "global",
+				normalise = "total",
+				teamId,
+			} = req.query;
 
-		// Simple aggregation - group by userId (which is stored as string) and sum emissions
-		const pipeline = [
-			{
-				$group: {
-					_id: "$userId", // userId is stored as string in your data
-					totalEmissions: { $sum: "$value" },
-					activityCount: { $sum: 1 },
-					userName: { $first: "$userName" },
-				},
-			},
-			{
-				$match: {
-					totalEmissions: { $gt: 0 },
-				},
-			},
-			{
-				$sort: { totalEmissions: 1 }, // Sort by lowest emissions first
-			},
-			{
-				$limit: 15, // Show more users
-			},
-			{
-				$project: {
-					_id: 0,
-					userId: "$_id", // This will be the string userId
-					totalEmissions: { $round: ["$totalEmissions", 2] },
-					activityCount: 1,
-					userName: 1,
-				},
-			},
-		];
+			const optionsError = rankingOptionsError({ window, ranking });
+			if (optionsError) {
+				return sendValidationError(res, optionsError);
+			}
 
-		console.log("Running aggregation pipeline...");
-		const results = await emissionsCollection.aggregate(pipeline).toArray();
-		console.log("Aggregation results:", results.length, "users found");
-		console.log("Results:", JSON.stringify(results, null, 2));
+			// Team leaderboards only include members who share their emissions
+			let memberIds;
+			if (scope === "team") {
+				if (!teamId) {
+					return sendValidationError(
+						res,
+						"teamId is required for team leaderboards"
+					);
+				}
 
-		console.log("=== LEADERBOARD DEBUG END ===");
+				const members = await req.db
+					.collection("teamMembers")
+					.find({ teamId: new ObjectId(teamId) })
+					.toArray();
 
-		res.json({
-			success: true,
-			leaderboard: results,
-			debug: {
-				totalEmissions: totalCount,
-				sampleCount: samples.length,
-			},
-		});
-	} catch (error) {
-		console.error("Error getting leaderboard:", error);
-		res.status(500).json({
-			success: false,
-			message: "Error getting leaderboard data",
-			error: error.message,
-		});
+				if (!members.some((m) => m.userId.equals(req.user.id))) {
+					return res.status(404).json({ message: "Team not found" });
+				}
+
+				memberIds = members
+					.filter((member) => member.shareEmissions)
+					.map((member) => member.userId);
+			}
+
+			const result = await getLeaderboard(req.db, req.user.id, {
+				window,
+				ranking,
+				normalise,
+				memberIds,
+			});
+
+			res.json({
+				success: true,
+				...result,
+				options: { window, ranking, scope, normalise },
+			});
+		} catch (error) {
+			console.error("Error getting leaderboard:", error);
+			res.status(500).json({
+				success: false,
+				message: "Error getting leaderboard data",
+				error: error.message,
+			});
+		}
 	}
-});
+);
 
-// Get all emissions for a specific user
-router.get("/:userId", authenticateToken, async (req, res) => {
+// Get a page of emissions for a specific user
+// Query: limit, cursor, sortBy (timestamp|value|createdAt), order (asc|desc),
+// startDate, endDate, category, activity, search, minValue, maxValue
+router.get("/:userId", authenticateToken, validateHistory, async (req, res) => {
 	try {
 		const { userId } = req.params;
 
@@ -208,29 +581,88 @@ router.get("/:userId", authenticateToken, async (req, res) => {
 			});
 		}
 
-		const emissions = await req.db
-			.collection("emissions")
-			.find({ userId: new ObjectId(userId) })
-			.sort({ timestamp: -1 }) // Most recent first
+		const {
+			cursor,
+			sortBy = "timestamp",
+			order = "desc",
+			startDate,
+			endDate,
+			category,
+			activity,
+			search,
+			minValue,
+			maxValue,
+		} = req.query;
+		const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+
+		const filterQuery = buildEmissionsQuery(userId, {
+			startDate,
+			endDate,
+			category,
+			activity,
+			search,
+			minValue,
+			maxValue,
+		});
+
+		let pageQuery = filterQuery;
+		if (cursor) {
+			const decoded = decodeCursor(cursor);
+			if (!decoded) {
+				return sendValidationError(res, "Invalid cursor");
+			}
+			pageQuery = {
+				$and: [filterQuery, buildCursorQuery(decoded, sortBy, order)],
+			};
+		}
+
+		const direction = order === "asc" ? 1 : -1;
+		const emissionsCollection = req.db.collection("emissions");
+
+		// Fetch one extra document to know whether there is another page
+		const documents = await emissionsCollection
+			.find(pageQuery)
+			.sort({ [sortBy]: direction, _id: direction })
+			.limit(limit + 1)
 			.toArray();
 
-		// Transform the data for frontend consumption
-		const transformedEmissions = emissions.map((emission) => ({
-			id: emission._id.toString(),
-			category: emission.category,
-			activity: emission.activity,
-			value: emission.value,
-			timestamp: emission.timestamp,
-			userId: emission.userId.toString(),
-			userName: emission.userName,
-		}));
-
-		res.json({
+		const hasMore = documents.length > limit;
+		const page = hasMore ? documents.slice(0, limit) : documents;
+
+		const response = {
 			message: "Emissions retrieved successfully",
-			emissions: transformedEmissions,
-			totalEmissions: emissions.reduce((sum, e) => sum + e.value, 0),
-			count: emissions.length,
-		});
+			emissions: page.map(formatEmission),
+			pagination: {
+				limit,
+				sortBy,
+				order,
+				hasMore,
+				nextCursor: hasMore
+					? encodeCursor(page[page.length - 1], sortBy)
+					: null,
+			},
+		};
+
+		// Totals for the whole filtered set are only computed on the first page
+		if (!cursor) {
+			const [totals] = await emissionsCollection
+				.aggregate([
+					{ $match: filterQuery },
+					{
+						$group: {
+							_id: null,
+							totalEmissions: { $sum: "$value" },
+							count: { $sum: 1 },
+						},
+					},
+				])
+				.toArray();
+
+			response.totalEmissions = totals?.totalEmissions || 0;
+			response.count = totals?.count || 0;
+		}
+
+		res.json(response);
 	} catch (error) {
 		console.error("Error retrieving emissions:", error);
 		res.status(500).json({
@@ -239,110 +671,434 @@ router.get("/:userId", authenticateToken, async (req, res) => {
 	}
 });
 
-// Get emissions summary for a user (totals by category)
-router.get("/:userId/summary", authenticateToken, async (req, res) => {
-	try {
+// Export a user's emissions as csv, json, ndjson or a printable report,
+// streamed from the cursor
+router.get(
+	"/:userId/export",
+	authenticateToken,
+	validateExport,
+	async (req, res) => {
 		const { userId } = req.params;
+		const { format = "csv", startDate, endDate, category } = req.query;
 
 		if (userId !== req.user.id.toString()) {
 			return res.status(403).json({
-				message: "Cannot access another user's data",
+				message: "Cannot export another user's emissions",
 			});
 		}
 
-		const summary = await req.db
-			.collection("emissions")
-			.aggregate([
-				{ $match: { userId: new ObjectId(userId) } },
-				{
-					$group: {
-						_id: "$category",
-						totalEmissions: { $sum: "$value" },
-						count: { $sum: 1 },
-						avgEmission: { $avg: "$value" },
-					},
-				},
-				{ $sort: { totalEmissions: -1 } },
-			])
-			.toArray();
+		const exportFormat = EXPORT_FORMATS[format];
 
-		const totalEmissions = summary.reduce(
-			(sum, cat) => sum + cat.totalEmissions,
-			0
-		);
+		// Respect backpressure so large exports don't buffer in memory.
+		// Resolves false once the client has gone, so the export can stop
+		const write = async (chunk) => {
+			if (res.destroyed) return false;
+			if (res.write(chunk)) return true;
 
-		res.json({
-			message: "Summary retrieved successfully",
-			summary,
-			totalEmissions,
-			categoriesTracked: summary.length,
-		});
-	} catch (error) {
-		console.error("Error retrieving summary:", error);
-		res.status(500).json({
-			message: "Server error retrieving summary",
-		});
+			const waiting = new AbortController();
+			const { signal } = waiting;
+			try {
+				return await Promise.race([
+					once(res, "drain", { signal }).then(() => true),
+					once(res, "close", { signal }).then(() => false),
+				]);
+			} finally {
+				waiting.abort();
+			}
+		};
+
+		try {
+			const query = buildEmissionsQuery(userId, {
+				startDate,
+				endDate,
+				category,
+			});
+			const cursor = req.db
+				.collection("emissions")
+				.find(query)
+				.sort({ timestamp: 1 });
+
+			// Stop reading from Mongo if the client goes away
+			res.on("close", () => cursor.close());
+
+			const fileName = `emissions-${
+				new Date().toISOString().split("T")[0]
+			}.${exportFormat.extension}`;
+
+			res.setHeader("Content-Type", exportFormat.contentType);
+			res.setHeader(
+				"Content-Disposition",
+				`attachment; filename="${fileName}"`
+			);
+
+			let connected = true;
+			if (format === "csv") {
+				connected = await write(toCsvRow(EXPORT_COLUMNS));
+			} else if (format === "json") {
+				connected = await write("[");
+			} else if (format === "report") {
+				// The report opens with totals, so those are aggregated first
+				const categories = await req.db
+					.collection("emissions")
+					.aggregate([
+						{ $match: query },
+						{
+							$group: {
+								_id: "$category",
+								totalEmissions: { $sum: "$value" },
+								activityCount: { $sum: 1 },
+							},
+						},
+						{ $sort: { totalEmissions: -1 } },
+					])
+					.toArray();
+
+				connected = await write(
+					renderReportStart({
+						userName: req.user.name,
+						generatedAt: new Date(),
+						filters: { startDate, endDate, category },
+						totals: {
+							totalEmissions: categories.reduce(
+								(sum, c) => sum + c.totalEmissions,
+								0
+							),
+							activityCount: categories.reduce(
+								(sum, c) => sum + c.activityCount,
+								0
+							),
+						},
+						categories: categories.map(({ _id, ...totals }) => ({
+							category: _id,
+							...totals,
+						})),
+					})
+				);
+			}
+
+			let first = true;
+			for await (const emission of cursor) {
+				if (!connected) break;
+
+				const record = toExportRecord(emission);
+				let chunk;
+
+				if (format === "csv") {
+					chunk = toCsvRow(EXPORT_COLUMNS.map((column) => record[column]));
+				} else if (format === "json") {
+					chunk = `${first ? "" : ","}\n${JSON.stringify(record)}`;
+				} else if (format === "report") {
+					chunk = renderReportRow(record);
+				} else {
+					chunk = `${JSON.stringify(record)}\n`;
+				}
+
+				connected = await write(chunk);
+				first = false;
+			}
+
+			// The client disconnected part way through
+			if (!connected) {
+				await cursor.close();
+				return;
+			}
+
+			if (format === "json") await write("\n]\n");
+			if (format === "report") await write(REPORT_END);
+			res.end();
+		} catch (error) {
+			console.error("Error exporting emissions:", error);
+
+			// Headers are gone once streaming starts, so just cut the response
+			if (res.headersSent) {
+				res.destroy(error);
+			} else {
+				res.status(500).json({
+					message: "Server error exporting emissions",
+				});
+			}
+		}
 	}
-});
+);
 
-// Delete a specific emission
-router.delete("/:emissionId", authenticateToken, async (req, res) => {
-	try {
-		const { emissionId } = req.params;
+// Get emissions summary for a user (totals by category)
+router.get(
+	"/:userId/summary",
+	authenticateToken,
+	validateUserId,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
 
-		// First, verify the emission belongs to the authenticated user
-		const emission = await req.db
-			.collection("emissions")
-			.findOne({ _id: new ObjectId(emissionId) });
+			if (userId !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot access another user's data",
+				});
+			}
+
+			// Read from the user's category totals rather than grouping
+			// their whole history
+			const buckets = await req.db
+				.collection("userTotals")
+				.find({ userId: new ObjectId(userId), period: "category" })
+				.sort({ totalEmissions: -1 })
+				.toArray();
+
+			const summary = buckets.map((bucket) => ({
+				_id: bucket.key,
+				totalEmissions: bucket.totalEmissions,
+				count: bucket.activityCount,
+				avgEmission: bucket.totalEmissions / bucket.activityCount,
+			}));
+
+			const totalEmissions = summary.reduce(
+				(sum, cat) => sum + cat.totalEmissions,
+				0
+			);
 
-		if (!emission) {
-			return res.status(404).json({ message: "Emission not found" });
+			res.json({
+				message: "Summary retrieved successfully",
+				summary,
+				totalEmissions,
+				categoriesTracked: summary.length,
+			});
+		} catch (error) {
+			console.error("Error retrieving summary:", error);
+			res.status(500).json({
+				message: "Server error retrieving summary",
+			});
 		}
+	}
+);
 
-		if (emission.userId.toString() !== req.user.id.toString()) {
-			return res.status(403).json({
-				message: "Cannot delete another user's emission",
+// Update a specific emission
+router.patch(
+	"/:emissionId",
+	authenticateToken,
+	validateUpdate,
+	async (req, res) => {
+		try {
+			const { emissionId } = req.params;
+
+			// First, verify the emission belongs to the authenticated user
+			const emission = await req.db
+				.collection("emissions")
+				.findOne({ _id: new ObjectId(emissionId) });
+
+			if (!emission) {
+				return res.status(404).json({ message: "Emission not found" });
+			}
+
+			if (emission.userId.toString() !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot update another user's emission",
+				});
+			}
+
+			const { category, activity, quantity, factorId, timestamp } = req.body;
+			const updates = {};
+
+			if (category !== undefined) updates.category = category;
+			if (activity !== undefined) updates.activity = activity;
+			if (timestamp !== undefined) updates.timestamp = new Date(timestamp);
+
+			if (quantity !== undefined) updates.quantity = parseFloat(quantity);
+
+			// A new factor is needed whenever the category changes
+			let factor = null;
+			if (factorId !== undefined) {
+				factor = await findCurrentEmissionFactor(req.db, factorId);
+
+				if (!factor) {
+					return sendValidationError(res, "Unknown emission factor");
+				}
+			} else if (category !== undefined && category !== emission.category) {
+				return sendValidationError(
+					res,
+					"A factor is required when changing category"
+				);
+			}
+
+			// Entries logged before the factor registry have no factor, and
+			// a quantity can't be converted to emissions without one
+			if (
+				updates.quantity !== undefined &&
+				!factor &&
+				emission.factor === undefined
+			) {
+				return sendValidationError(
+					res,
+					"A factor is required to set a quantity on this entry"
+				);
+			}
+
+			if (factor) {
+				if (factor.category !== (updates.category ?? emission.category)) {
+					return sendValidationError(
+						res,
+						"Emission factor does not belong to this category"
+					);
+				}
+
+				updates.unit = factor.unit;
+				updates.factor = factor.factor;
+				updates.factorId = factor._id;
+				updates.factorKey = factor.key;
+				updates.factorVersion = factor.version;
+			}
+
+			// Re-derive the value from quantity and factor
+			const newQuantity = updates.quantity ?? emission.quantity;
+			const newFactor = updates.factor ?? emission.factor;
+			if (newQuantity !== undefined && newFactor !== undefined) {
+				updates.value = calculateEmissionValue(newQuantity, newFactor);
+			}
+
+			const validation = validateEmissionData({ ...emission, ...updates });
+			if (!validation.isValid) {
+				return sendValidationError(res, validation.errors);
+			}
+
+			updates.updatedAt = new Date();
+
+			const updated = await req.db
+				.collection("emissions")
+				.findOneAndUpdate(
+					{ _id: emission._id },
+					{ $set: updates },
+					{ returnDocument: "after" }
+				);
+			await updateUserTotals(req.db, {
+				added: [updated],
+				removed: [emission],
+			});
+			analysisCache.invalidateUser(req.user.id);
+
+			res.json({
+				message: "Emission updated successfully",
+				emission: formatEmission(updated),
+			});
+		} catch (error) {
+			console.error("Error updating emission:", error);
+			res.status(500).json({
+				message: "Server error updating emission",
 			});
 		}
+	}
+);
 
-		await req.db
-			.collection("emissions")
-			.deleteOne({ _id: new ObjectId(emissionId) });
+// Delete a specific emission
+router.delete(
+	"/:emissionId",
+	authenticateToken,
+	validateEmissionId,
+	async (req, res) => {
+		try {
+			const { emissionId } = req.params;
 
-		res.json({ message: "Emission deleted successfully" });
-	} catch (error) {
-		console.error("Error deleting emission:", error);
-		res.status(500).json({
-			message: "Server error deleting emission",
-		});
+			// First, verify the emission belongs to the authenticated user
+			const emission = await req.db
+				.collection("emissions")
+				.findOne({ _id: new ObjectId(emissionId) });
+
+			if (!emission) {
+				return res.status(404).json({ message: "Emission not found" });
+			}
+
+			if (emission.userId.toString() !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot delete another user's emission",
+				});
+			}
+
+			await req.db
+				.collection("emissions")
+				.deleteOne({ _id: new ObjectId(emissionId) });
+			await updateUserTotals(req.db, { removed: [emission] });
+			analysisCache.invalidateUser(req.user.id);
+
+			res.json({ message: "Emission deleted successfully" });
+		} catch (error) {
+			console.error("Error deleting emission:", error);
+			res.status(500).json({
+				message: "Server error deleting emission",
+			});
+		}
 	}
-});
+);
 
-// Clear all emissions for a user
-router.delete("/:userId/all", authenticateToken, async (req, res) => {
-	try {
-		const { userId } = req.params;
+// Delete a selection of the authenticated user's emissions
+router.post(
+	"/bulk-delete",
+	authenticateToken,
+	validateBulkDelete,
+	async (req, res) => {
+		try {
+			const { emissionIds } = req.body;
 
-		if (userId !== req.user.id.toString()) {
-			return res.status(403).json({
-				message: "Cannot delete another user's emissions",
+			// Scoping by userId means ids belonging to other users are ignored.
+			// Loaded first so the totals can be reduced by what gets deleted
+			const emissions = await req.db
+				.collection("emissions")
+				.find({
+					_id: { $in: emissionIds.map((id) => new ObjectId(id)) },
+					userId: new ObjectId(req.user.id),
+				})
+				.toArray();
+
+			const result = await req.db.collection("emissions").deleteMany({
+				_id: { $in: emissions.map((emission) => emission._id) },
+			});
+			await updateUserTotals(req.db, { removed: emissions });
+			analysisCache.invalidateUser(req.user.id);
+
+			res.json({
+				message: "Emissions deleted successfully",
+				deletedCount: result.deletedCount,
+			});
+		} catch (error) {
+			console.error("Error deleting emissions:", error);
+			res.status(500).json({
+				message: "Server error deleting emissions",
 			});
 		}
+	}
+);
 
-		const result = await req.db
-			.collection("emissions")
-			.deleteMany({ userId: new ObjectId(userId) });
+// Clear all emissions for a user
+router.delete(
+	"/:userId/all",
+	authenticateToken,
+	validateUserId,
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
 
-		res.json({
-			message: "All emissions cleared successfully",
-			deletedCount: result.deletedCount,
-		});
-	} catch (error) {
-		console.error("Error clearing emissions:", error);
-		res.status(500).json({
-			message: "Server error clearing emissions",
-		});
+			if (userId !== req.user.id.toString()) {
+				return res.status(403).json({
+					message: "Cannot delete another user's emissions",
+				});
+			}
+
+			const result = await req.db
+				.collection("emissions")
+				.deleteMany({ userId: new ObjectId(userId) });
+			await req.db
+				.collection("userTotals")
+				.deleteMany({ userId: new ObjectId(userId) });
+			analysisCache.invalidateUser(userId);
+
+			res.json({
+				message: "All emissions cleared successfully",
+				deletedCount: result.deletedCount,
+			});
+		} catch (error) {
+			console.error("Error clearing emissions:", error);
+			res.status(500).json({
+				message: "Server error clearing emissions",
+			});
+		}
 	}
-});
+);
 
 export default router;
@@ -0,0 +1,242 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { authenticateToken, requireRole } from "./auth.js";
+import {
+	formatFactor,
+	publishFactorVersion,
+	runEmissionRecalculation,
+} from "../utils/backendHelpers.js";
+import {
+	fields,
+	sendValidationError,
+	validate,
+} from "../utils/validation.js";
+
+const router = express.Router();
+
+// Get the current version of every emission factor in the registry
+router.get("/", async (req, res) => {
+	try {
+		if (!req.dbConnected || !req.db) {
+			return res.status(503).json({
+				message: "Database not available",
+			});
+		}
+
+		const factors = await req.db
+			.collection("factors")
+			.find({ isCurrent: true })
+			.sort({ category: 1, activity: 1 })
+			.toArray();
+
+		res.json({
+			message: "Emission factors retrieved successfully",
+			factors: factors.map(formatFactor),
+			count: factors.length,
+		});
+	} catch (error) {
+		console.error("Error retrieving emission factors:", error);
+		res.status(500).json({
+			message: "Server error retrieving emission factors",
+		});
+	}
+});
+
+// Start a recalculation of stored emissions under a factor version
+router.post(
+	"/recalculations",
+	authenticateToken,
+	requireRole("admin"),
+	validate({
+		body: {
+			factorKey: fields.string({ required: true, maxLength: 100 }),
+			version: fields.number({ integer: true, min: 1 }),
+			startDate: fields.date({ required: true }),
+			endDate: fields.date({ required: true }),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { factorKey, version, startDate, endDate } = req.body;
+
+			const range = {
+				startDate: new Date(startDate),
+				endDate: new Date(endDate),
+			};
+
+			if (range.startDate >= range.endDate) {
+				return sendValidationError(
+					res,
+					"Start date must be before end date"
+				);
+			}
+
+			// Default to the current version of the factor
+			const factor = await req.db
+				.collection("factors")
+				.findOne(
+					version !== undefined
+						? { key: factorKey, version: parseInt(version) }
+						: { key: factorKey, isCurrent: true }
+				);
+
+			if (!factor) {
+				return res.status(404).json({
+					message: "Factor version not found",
+				});
+			}
+
+			const job = {
+				factorKey,
+				factorVersion: factor.version,
+				factor: factor.factor,
+				startDate: range.startDate,
+				endDate: range.endDate,
+				status: "running",
+				requestedBy: req.user.id,
+				createdAt: new Date(),
+			};
+
+			const result = await req.db
+				.collection("recalculations")
+				.insertOne(job);
+
+			// Run in the background; progress is polled via the job id
+			runEmissionRecalculation(
+				req.db,
+				result.insertedId,
+				factor,
+				range
+			).catch((error) => {
+				console.error("Error running recalculation:", error);
+			});
+
+			res.status(202).json({
+				message: "Recalculation started",
+				jobId: result.insertedId,
+				job: { _id: result.insertedId, ...job },
+			});
+		} catch (error) {
+			console.error("Error starting recalculation:", error);
+			res.status(500).json({
+				message: "Server error starting recalculation",
+			});
+		}
+	}
+);
+
+// Get the status and before/after totals of a recalculation job
+router.get(
+	"/recalculations/:jobId",
+	authenticateToken,
+	requireRole("admin"),
+	validate({ params: { jobId: fields.objectId({ required: true }) } }),
+	async (req, res) => {
+		try {
+			const { jobId } = req.params;
+
+			const job = await req.db
+				.collection("recalculations")
+				.findOne({ _id: new ObjectId(jobId) });
+
+			if (!job) {
+				return res.status(404).json({ message: "Job not found" });
+			}
+
+			res.json({ job });
+		} catch (error) {
+			console.error("Error retrieving recalculation:", error);
+			res.status(500).json({
+				message: "Server error retrieving recalculation",
+			});
+		}
+	}
+);
+
+// Get every version of a factor, newest first
+router.get(
+	"/:key/versions",
+	validate({ params: { key: fields.string({ maxLength: 100 }) } }),
+	async (req, res) => {
+		try {
+			const versions = await req.db
+				.collection("factors")
+				.find({ key: req.params.key })
+				.sort({ version: -1 })
+				.toArray();
+
+			if (versions.length === 0) {
+				return res.status(404).json({ message: "Factor not found" });
+			}
+
+			res.json({
+				message: "Factor versions retrieved successfully",
+				versions: versions.map((version) => ({
+					...formatFactor(version),
+					isCurrent: version.isCurrent,
+					reason: version.reason,
+					createdAt: version.createdAt,
+				})),
+			});
+		} catch (error) {
+			console.error("Error retrieving factor versions:", error);
+			res.status(500).json({
+				message: "Server error retrieving factor versions",
+			});
+		}
+	}
+);
+
+// Publish a corrected value for a factor as a new version
+router.post(
+	"/:key/versions",
+	authenticateToken,
+	requireRole("admin"),
+	validate({
+		params: { key: fields.string({ maxLength: 100 }) },
+		body: {
+			factor: fields.number({
+				required: true,
+				min: 0,
+				message: "Factor must be a non-negative number",
+			}),
+			reason: fields.string({ maxLength: 500 }),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const factor = parseFloat(req.body.factor);
+
+			const published = await publishFactorVersion(
+				req.db,
+				req.params.key,
+				{ factor, reason: req.body.reason },
+				req.user
+			);
+
+			if (!published) {
+				return res.status(404).json({ message: "Factor not found" });
+			}
+
+			res.status(201).json({
+				message: "Factor version published successfully",
+				factor: formatFactor(published),
+			});
+		} catch (error) {
+			console.error("Error publishing factor version:", error);
+
+			// Another version was published at the same time
+			if (error.code === 11000) {
+				return res.status(409).json({
+					message: "Factor was updated concurrently, please retry",
+				});
+			}
+
+			res.status(500).json({
+				message: "Server error publishing factor version",
+			});
+		}
+	}
+);
+
+export default router;
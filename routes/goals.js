@@ -0,0 +1,225 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { authenticateToken } from "./auth.js";
+import { GOAL_PERIODS } from "../utils/analysisHelpers.js";
+import { calculateGoalsProgress } from "../utils/backendHelpers.js";
+import { fields, validate } from "../utils/validation.js";
+
+const router = express.Router();
+
+// Targets are kg CO₂ for the whole period and must be positive
+const targetField = fields.positiveNumber({
+	required: true,
+	message: "Target must be a positive number",
+});
+const goalIdParams = { goalId: fields.objectId({ required: true }) };
+
+// Goal periods are calendar days, weeks, months and years in the
+// caller's timezone
+const timezoneQuery = { timezone: fields.timezone() };
+
+const validateGoalId = validate({ params: goalIdParams });
+const validateGoal = validate({ params: goalIdParams, query: timezoneQuery });
+const validateList = validate({ query: timezoneQuery });
+const validateCreate = validate({
+	body: {
+		period: fields.oneOf(GOAL_PERIODS, { required: true }),
+		target: targetField,
+	},
+	query: timezoneQuery,
+});
+const validateUpdate = validate({
+	params: goalIdParams,
+	body: { target: targetField },
+	query: timezoneQuery,
+});
+
+// Load a goal and make sure it belongs to the authenticated user
+const findOwnedGoal = async (req, res) => {
+	const { goalId } = req.params;
+
+	const goal = await req.db
+		.collection("goals")
+		.findOne({ _id: new ObjectId(goalId) });
+
+	if (!goal) {
+		res.status(404).json({ message: "Goal not found" });
+		return null;
+	}
+
+	if (goal.userId.toString() !== req.user.id.toString()) {
+		res.status(403).json({
+			message: "Cannot access another user's goal",
+		});
+		return null;
+	}
+
+	return goal;
+};
+
+// Get the authenticated user's goals with progress for the current period,
+// and the periods a goal can be set for
+router.get("/", authenticateToken, validateList, async (req, res) => {
+	try {
+		const goals = await req.db
+			.collection("goals")
+			.find({ userId: new ObjectId(req.user.id) })
+			.toArray();
+
+		// Keep the daily -> yearly order the UI displays them in
+		goals.sort(
+			(a, b) =>
+				GOAL_PERIODS.indexOf(a.period) - GOAL_PERIODS.indexOf(b.period)
+		);
+
+		const progress = await calculateGoalsProgress(
+			req.db,
+			req.user.id,
+			goals,
+			{ timezone: req.query.timezone }
+		);
+
+		res.json({
+			message: "Goals retrieved successfully",
+			goals: progress,
+			count: progress.length,
+			periods: GOAL_PERIODS,
+		});
+	} catch (error) {
+		console.error("Error retrieving goals:", error);
+		res.status(500).json({
+			message: "Server error retrieving goals",
+		});
+	}
+});
+
+// Create a goal - each user has at most one goal per period
+router.post("/", authenticateToken, validateCreate, async (req, res) => {
+	try {
+		const { period } = req.body;
+		const target = parseFloat(req.body.target);
+
+		const goal = {
+			userId: new ObjectId(req.user.id),
+			period,
+			target,
+			createdAt: new Date(),
+			updatedAt: new Date(),
+		};
+
+		const result = await req.db.collection("goals").insertOne(goal);
+
+		const [created] = await calculateGoalsProgress(
+			req.db,
+			req.user.id,
+			[{ _id: result.insertedId, ...goal }],
+			{ timezone: req.query.timezone }
+		);
+
+		res.status(201).json({
+			message: "Goal created successfully",
+			goal: created,
+		});
+	} catch (error) {
+		console.error("Error creating goal:", error);
+
+		if (error.code === 11000) {
+			return res.status(409).json({
+				message: "A goal already exists for this period",
+			});
+		}
+
+		res.status(500).json({
+			message: "Server error creating goal",
+		});
+	}
+});
+
+// Get a single goal with its progress
+router.get("/:goalId", authenticateToken, validateGoal, async (req, res) => {
+	try {
+		const goal = await findOwnedGoal(req, res);
+		if (!goal) return;
+
+		const [progress] = await calculateGoalsProgress(
+			req.db,
+			req.user.id,
+			[goal],
+			{ timezone: req.query.timezone }
+		);
+
+		res.json({
+			message: "Goal retrieved successfully",
+			goal: progress,
+		});
+	} catch (error) {
+		console.error("Error retrieving goal:", error);
+		res.status(500).json({
+			message: "Server error retrieving goal",
+		});
+	}
+});
+
+// Change a goal's target
+router.patch(
+	"/:goalId",
+	authenticateToken,
+	validateUpdate,
+	async (req, res) => {
+		try {
+			const goal = await findOwnedGoal(req, res);
+			if (!goal) return;
+
+			const target = parseFloat(req.body.target);
+
+			const updated = await req.db
+				.collection("goals")
+				.findOneAndUpdate(
+					{ _id: goal._id },
+					{ $set: { target, updatedAt: new Date() } },
+					{ returnDocument: "after" }
+				);
+
+			const [progress] = await calculateGoalsProgress(
+				req.db,
+				req.user.id,
+				[updated],
+				{ timezone: req.query.timezone }
+			);
+
+			res.json({
+				message: "Goal updated successfully",
+				goal: progress,
+			});
+		} catch (error) {
+			console.error("Error updating goal:", error);
+			res.status(500).json({
+				message: "Server error updating goal",
+			});
+		}
+	}
+);
+
+// Delete a goal
+router.delete(
+	"/:goalId",
+	authenticateToken,
+	validateGoalId,
+	async (req, res) => {
+		try {
+			const goal = await findOwnedGoal(req, res);
+			if (!goal) return;
+
+			await req.db.collection("goals").deleteOne({ _id: goal._id });
+
+			res.json({ message: "Goal deleted successfully" });
+		} catch (error) {
+			console.error("Error deleting goal:", error);
+			res.status(500).json({
+				message: "Server error deleting goal",
+			});
+		}
+	}
+);
+
+export default router;
@@ -0,0 +1,435 @@
+import express from "express";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { authenticateToken, requireRole } from "./auth.js";
+import { calculateTeamSummary } from "../utils/backendHelpers.js";
+import { fields, validate } from "../utils/validation.js";
+
+const router = express.Router();
+
+// Unambiguous characters only, since invite codes get read out and typed
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 8;
+
+const generateInviteCode = () =>
+	Array.from({ length: INVITE_CODE_LENGTH }, () =>
+		INVITE_CODE_ALPHABET.charAt(
+			crypto.randomInt(INVITE_CODE_ALPHABET.length)
+		)
+	).join("");
+
+const nameBody = { name: fields.string({ required: true, maxLength: 100 }) };
+const teamIdParams = { teamId: fields.objectId({ required: true }) };
+
+const validateJoin = validate({
+	body: { inviteCode: fields.string({ required: true, maxLength: 20 }) },
+});
+const validateOrganisation = validate({ body: nameBody });
+const validateTeam = validate({
+	params: { organisationId: fields.objectId({ required: true }) },
+	body: nameBody,
+});
+const validateSummary = validate({
+	params: teamIdParams,
+	query: { startDate: fields.date(), endDate: fields.date() },
+});
+const validateSharing = validate({
+	params: teamIdParams,
+	body: { shareEmissions: fields.boolean({ required: true }) },
+});
+const validateTeamId = validate({ params: teamIdParams });
+
+const formatTeam = (team, organisation) => ({
+	id: team._id,
+	name: team.name,
+	organisation: { id: organisation._id, name: organisation.name },
+});
+
+// Load the authenticated user's membership of a team
+// Non-members get a 404 so team ids can't be probed
+const findMembership = async (req, res) => {
+	const membership = await req.db.collection("teamMembers").findOne({
+		teamId: new ObjectId(req.params.teamId),
+		userId: req.user.id,
+	});
+
+	if (!membership) {
+		res.status(404).json({ message: "Team not found" });
+		return null;
+	}
+
+	return membership;
+};
+
+// Load an organisation the authenticated user manages
+const findManagedOrganisation = async (req, res) => {
+	const organisation = await req.db
+		.collection("organisations")
+		.findOne({ _id: new ObjectId(req.params.organisationId) });
+
+	if (!organisation) {
+		res.status(404).json({ message: "Organisation not found" });
+		return null;
+	}
+
+	if (
+		organisation.createdBy.toString() !== req.user.id.toString() &&
+		req.user.role !== "admin"
+	) {
+		res.status(403).json({
+			message: "Cannot manage another user's organisation",
+		});
+		return null;
+	}
+
+	return organisation;
+};
+
+// Get the teams the authenticated user belongs to
+router.get("/", authenticateToken, async (req, res) => {
+	try {
+		const memberships = await req.db
+			.collection("teamMembers")
+			.find({ userId: req.user.id })
+			.sort({ joinedAt: 1 })
+			.toArray();
+
+		const teams = await req.db
+			.collection("teams")
+			.find({ _id: { $in: memberships.map((m) => m.teamId) } })
+			.toArray();
+		const organisations = await req.db
+			.collection("organisations")
+			.find({ _id: { $in: teams.map((team) => team.organisationId) } })
+			.toArray();
+
+		const teamsById = new Map(
+			teams.map((team) => [team._id.toString(), team])
+		);
+		const organisationsById = new Map(
+			organisations.map((org) => [org._id.toString(), org])
+		);
+
+		const result = memberships
+			.filter((membership) =>
+				teamsById.has(membership.teamId.toString())
+			)
+			.map((membership) => {
+				const team = teamsById.get(membership.teamId.toString());
+				return {
+					...formatTeam(
+						team,
+						organisationsById.get(team.organisationId.toString())
+					),
+					shareEmissions: membership.shareEmissions,
+					joinedAt: membership.joinedAt,
+				};
+			});
+
+		res.json({
+			message: "Teams retrieved successfully",
+			teams: result,
+			count: result.length,
+		});
+	} catch (error) {
+		console.error("Error retrieving teams:", error);
+		res.status(500).json({
+			message: "Server error retrieving teams",
+		});
+	}
+});
+
+// Join a team with its invite code
+// Sharing starts switched off; members opt in from the team page
+router.post("/join", authenticateToken, validateJoin, async (req, res) => {
+	try {
+		const inviteCode = req.body.inviteCode.trim().toUpperCase();
+
+		const team = await req.db.collection("teams").findOne({ inviteCode });
+
+		if (!team) {
+			return res.status(404).json({ message: "Invalid invite code" });
+		}
+
+		await req.db.collection("teamMembers").insertOne({
+			teamId: team._id,
+			organisationId: team.organisationId,
+			userId: req.user.id,
+			shareEmissions: false,
+			joinedAt: new Date(),
+		});
+
+		const organisation = await req.db
+			.collection("organisations")
+			.findOne({ _id: team.organisationId });
+
+		res.status(201).json({
+			message: "Joined team successfully",
+			team: formatTeam(team, organisation),
+		});
+	} catch (error) {
+		console.error("Error joining team:", error);
+
+		if (error.code === 11000) {
+			return res.status(409).json({
+				message: "You are already a member of this team",
+			});
+		}
+
+		res.status(500).json({
+			message: "Server error joining team",
+		});
+	}
+});
+
+// Get the organisations the authenticated user manages, with their teams,
+// invite codes and member counts
+router.get(
+	"/organisations",
+	authenticateToken,
+	requireRole("team-admin"),
+	async (req, res) => {
+		try {
+			const organisations = await req.db
+				.collection("organisations")
+				.find({ createdBy: req.user.id })
+				.sort({ createdAt: 1 })
+				.toArray();
+
+			const organisationIds = organisations.map((org) => org._id);
+			const teams = await req.db
+				.collection("teams")
+				.find({ organisationId: { $in: organisationIds } })
+				.sort({ createdAt: 1 })
+				.toArray();
+
+			const teamIds = teams.map((team) => team._id);
+			const memberCounts = await req.db
+				.collection("teamMembers")
+				.aggregate([
+					{ $match: { teamId: { $in: teamIds } } },
+					{ $group: { _id: "$teamId", count: { $sum: 1 } } },
+				])
+				.toArray();
+			const countsByTeam = new Map(
+				memberCounts.map(({ _id, count }) => [_id.toString(), count])
+			);
+
+			res.json({
+				message: "Organisations retrieved successfully",
+				organisations: organisations.map((organisation) => ({
+					id: organisation._id,
+					name: organisation.name,
+					createdAt: organisation.createdAt,
+					teams: teams
+						.filter((team) =>
+							team.organisationId.equals(organisation._id)
+						)
+						.map((team) => ({
+							id: team._id,
+							name: team.name,
+							inviteCode: team.inviteCode,
+							memberCount:
+								countsByTeam.get(team._id.toString()) || 0,
+						})),
+				})),
+			});
+		} catch (error) {
+			console.error("Error retrieving organisations:", error);
+			res.status(500).json({
+				message: "Server error retrieving organisations",
+			});
+		}
+	}
+);
+
+// Create an organisation
+router.post(
+	"/organisations",
+	authenticateToken,
+	requireRole("team-admin"),
+	validateOrganisation,
+	async (req, res) => {
+		try {
+			const organisation = {
+				name: req.body.name.trim(),
+				createdBy: req.user.id,
+				createdAt: new Date(),
+			};
+
+			const result = await req.db
+				.collection("organisations")
+				.insertOne(organisation);
+
+			res.status(201).json({
+				message: "Organisation created successfully",
+				organisation: {
+					id: result.insertedId,
+					name: organisation.name,
+					createdAt: organisation.createdAt,
+					teams: [],
+				},
+			});
+		} catch (error) {
+			console.error("Error creating organisation:", error);
+			res.status(500).json({
+				message: "Server error creating organisation",
+			});
+		}
+	}
+);
+
+// Create a team in an organisation; its creator joins it straight away
+router.post(
+	"/organisations/:organisationId/teams",
+	authenticateToken,
+	requireRole("team-admin"),
+	validateTeam,
+	async (req, res) => {
+		try {
+			const organisation = await findManagedOrganisation(req, res);
+			if (!organisation) return;
+
+			const team = {
+				organisationId: organisation._id,
+				name: req.body.name.trim(),
+				inviteCode: generateInviteCode(),
+				createdBy: req.user.id,
+				createdAt: new Date(),
+			};
+
+			const result = await req.db.collection("teams").insertOne(team);
+
+			await req.db.collection("teamMembers").insertOne({
+				teamId: result.insertedId,
+				organisationId: organisation._id,
+				userId: req.user.id,
+				shareEmissions: false,
+				joinedAt: new Date(),
+			});
+
+			res.status(201).json({
+				message: "Team created successfully",
+				team: {
+					id: result.insertedId,
+					name: team.name,
+					inviteCode: team.inviteCode,
+					memberCount: 1,
+				},
+			});
+		} catch (error) {
+			console.error("Error creating team:", error);
+
+			// Invite code collision
+			if (error.code === 11000) {
+				return res.status(409).json({
+					message: "Could not create team, please retry",
+				});
+			}
+
+			res.status(500).json({
+				message: "Server error creating team",
+			});
+		}
+	}
+);
+
+// Get a team's aggregated footprint
+// Query: startDate, endDate
+router.get(
+	"/:teamId/summary",
+	authenticateToken,
+	validateSummary,
+	async (req, res) => {
+		try {
+			const membership = await findMembership(req, res);
+			if (!membership) return;
+
+			const team = await req.db
+				.collection("teams")
+				.findOne({ _id: membership.teamId });
+			const organisation = await req.db
+				.collection("organisations")
+				.findOne({ _id: team.organisationId });
+
+			const summary = await calculateTeamSummary(req.db, team._id, {
+				startDate: req.query.startDate,
+				endDate: req.query.endDate,
+			});
+
+			res.json({
+				message: "Team summary retrieved successfully",
+				team: formatTeam(team, organisation),
+				shareEmissions: membership.shareEmissions,
+				summary,
+			});
+		} catch (error) {
+			console.error("Error retrieving team summary:", error);
+			res.status(500).json({
+				message: "Server error retrieving team summary",
+			});
+		}
+	}
+);
+
+// Opt in to or out of counting your emissions in the team's totals
+router.patch(
+	"/:teamId/membership",
+	authenticateToken,
+	validateSharing,
+	async (req, res) => {
+		try {
+			const membership = await findMembership(req, res);
+			if (!membership) return;
+
+			const shareEmissions = [true, "true"].includes(
+				req.body.shareEmissions
+			);
+
+			await req.db
+				.collection("teamMembers")
+				.updateOne(
+					{ _id: membership._id },
+					{ $set: { shareEmissions } }
+				);
+
+			res.json({
+				message: shareEmissions
+					? "Your emissions now count towards the team's totals"
+					: "Your emissions no longer count towards the team's totals",
+				shareEmissions,
+			});
+		} catch (error) {
+			console.error("Error updating team membership:", error);
+			res.status(500).json({
+				message: "Server error updating team membership",
+			});
+		}
+	}
+);
+
+// Leave a team
+router.delete(
+	"/:teamId/membership",
+	authenticateToken,
+	validateTeamId,
+	async (req, res) => {
+		try {
+			const membership = await findMembership(req, res);
+			if (!membership) return;
+
+			await req.db
+				.collection("teamMembers")
+				.deleteOne({ _id: membership._id });
+
+			res.json({ message: "Left team successfully" });
+		} catch (error) {
+			console.error("Error leaving team:", error);
+			res.status(500).json({
+				message: "Server error leaving team",
+			});
+		}
+	}
+);
+
+export default router;
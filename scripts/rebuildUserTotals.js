@@ -0,0 +1,37 @@
+// Rebuild the userTotals collection from every stored emission
+// Usage: npm run rebuild:user-totals (reads MONGODB_URI from .env)
+
+import dotenv from "dotenv";
+import { MongoClient } from "mongodb";
+import {
+	ensureIndexes,
+	rebuildUserTotals,
+} from "../utils/backendHelpers.js";
+
+dotenv.config();
+
+const uri =
+	process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/footprint-logger";
+
+const client = new MongoClient(uri, { serverSelectionTimeoutMS: 10000 });
+
+try {
+	await client.connect();
+	const db = client.db();
+
+	// The rebuild merges on the unique userId/period/key index
+	await ensureIndexes(db);
+
+	console.log("🔄 Rebuilding user totals...");
+	const counts = await rebuildUserTotals(db);
+
+	console.log("✅ User totals rebuilt:");
+	for (const [period, count] of Object.entries(counts)) {
+		console.log(`   ${period}: ${count} buckets`);
+	}
+} catch (error) {
+	console.error("❌ Error rebuilding user totals:", error.message);
+	process.exitCode = 1;
+} finally {
+	await client.close();
+}
@@ -4,10 +4,18 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { MongoClient } from "mongodb";
-import authRoutes from "./routes/auth.js";
+import authRoutes, { authenticateToken, requireRole } from "./routes/auth.js";
 import emissionsRoutes from "./routes/emissions.js";
 import analysisRoutes from "./routes/analysis.js";
-import { ensureIndexes } from "./utils/backendHelpers.js";
+import factorsRoutes from "./routes/factors.js";
+import goalsRoutes from "./routes/goals.js";
+import achievementsRoutes from "./routes/achievements.js";
+import teamsRoutes from "./routes/teams.js";
+import {
+	ensureIndexes,
+	failInterruptedRecalculations,
+	seedEmissionFactors,
+} from "./utils/backendHelpers.js";
 
 // ES module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +27,10 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// The app runs behind one reverse proxy (Render); trust it so req.ip is the
+// client's address, which the auth rate limits are keyed on
+app.set("trust proxy", 1);
+
 // Handle favicon requests early to avoid CSP issues
 app.get("/favicon.ico", (req, res) => {
 	console.log("Favicon request received from:", req.get("User-Agent"));
@@ -76,7 +88,7 @@ app.use(
 app.use((req, res, next) => {
 	res.header("Access-Control-Allow-Origin", req.headers.origin || "*");
 	res.header("Access-Control-Allow-Credentials", "true");
-	res.header("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+	res.header("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
 	res.header("Access-Control-Allow-Headers", "Content-Type,Authorization");
 
 	// Additional headers to override platform CSP
@@ -183,6 +195,8 @@ const connectDB = async () => {
 		if (!connected) throw new Error("Could not connect to MongoDB");
 
 		await ensureIndexes(db);
+		await seedEmissionFactors(db);
+		await failInterruptedRecalculations(db);
 	} catch (error) {
 		console.error("❌ MongoDB connection error:", error.message);
 		dbConnected = false;
@@ -200,6 +214,10 @@ app.use((req, res, next) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/emissions", emissionsRoutes);
 app.use("/api/analysis", analysisRoutes);
+app.use("/api/factors", factorsRoutes);
+app.use("/api/goals", goalsRoutes);
+app.use("/api/achievements", achievementsRoutes);
+app.use("/api/teams", teamsRoutes);
 
 // Serve static files from React build (production)
 if (process.env.NODE_ENV === "production") {
@@ -245,6 +263,10 @@ if (process.env.NODE_ENV === "production") {
 				auth: "/api/auth/*",
 				emissions: "/api/emissions/*",
 				analysis: "/api/analysis/*",
+				factors: "/api/factors",
+				goals: "/api/goals",
+				achievements: "/api/achievements",
+				teams: "/api/teams",
 			},
 			timestamp: new Date(),
 		});
@@ -274,14 +296,19 @@ app.get("/api/test", (req, res) => {
 
 // Favicon route moved to top of file to avoid CSP issues
 
-// Debug route to check headers
-app.get("/debug-headers", (req, res) => {
-	res.json({
-		headers: res.getHeaders(),
-		csp: res.getHeader("Content-Security-Policy"),
-		timestamp: new Date(),
-	});
-});
+// Debug route to check headers (admins only)
+app.get(
+	"/debug-headers",
+	authenticateToken,
+	requireRole("admin"),
+	(req, res) => {
+		res.json({
+			headers: res.getHeaders(),
+			csp: res.getHeader("Content-Security-Policy"),
+			timestamp: new Date(),
+		});
+	}
+);
 
 // Serve React Frontend (removed for API-only deployment)
 // API-only server - no static file serving needed for Render deployment
@@ -3,10 +3,18 @@ import { Routes, Route } from "react-router";
 import Welcome from "./components/Welcome";
 import Login from "./components/Login";
 import Register from "./components/Register";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import VerifyEmail from "./components/VerifyEmail";
 import Dashboard from "./components/Dashboard";
 import Track from "./components/Track";
+import ImportEmissions from "./components/ImportEmissions";
+import History from "./components/History";
 import Leaderboard from "./components/Leaderboard";
 import Analytics from "./components/Analytics";
+import Achievements from "./components/Achievements";
+import Profile from "./components/Profile";
+import Teams from "./components/Teams";
 import { AuthProvider } from "./context/AuthContext";
 import ProtectedRoute from "./components/ProtectedRoute";
 
@@ -17,6 +25,9 @@ function App() {
 				<Route path="/" element={<Welcome />} />
 				<Route path="/register" element={<Register />} />
 				<Route path="/login" element={<Login />} />
+				<Route path="/forgot-password" element={<ForgotPassword />} />
+				<Route path="/reset-password" element={<ResetPassword />} />
+				<Route path="/verify-email/:token" element={<VerifyEmail />} />
 				<Route
 					path="/dashboard"
 					element={
@@ -33,6 +44,22 @@ function App() {
 						</ProtectedRoute>
 					}
 				/>
+				<Route
+					path="/track/import"
+					element={
+						<ProtectedRoute>
+							<ImportEmissions />
+						</ProtectedRoute>
+					}
+				/>
+				<Route
+					path="/history"
+					element={
+						<ProtectedRoute>
+							<History />
+						</ProtectedRoute>
+					}
+				/>
 				<Route
 					path="/leaderboard"
 					element={
@@ -41,6 +68,14 @@ function App() {
 						</ProtectedRoute>
 					}
 				/>
+				<Route
+					path="/teams"
+					element={
+						<ProtectedRoute>
+							<Teams />
+						</ProtectedRoute>
+					}
+				/>
 				<Route
 					path="/analytics"
 					element={
@@ -49,6 +84,22 @@ function App() {
 						</ProtectedRoute>
 					}
 				/>
+				<Route
+					path="/achievements"
+					element={
+						<ProtectedRoute>
+							<Achievements />
+						</ProtectedRoute>
+					}
+				/>
+				<Route
+					path="/profile"
+					element={
+						<ProtectedRoute>
+							<Profile />
+						</ProtectedRoute>
+					}
+				/>
 				{/* Legacy route redirect */}
 				<Route
 					path="/footprint"
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from "react";
+import NavBar from "./NavBar";
+import { Link } from "react-router";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+const CATEGORY_LABELS = {
+	activity: "Tracking",
+	consistency: "Logging Streaks",
+	reduction: "Week-over-Week Reductions",
+	low_carbon: "Low-Carbon Weeks",
+};
+
+export default function Achievements() {
+	const [data, setData] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState("");
+
+	useEffect(() => {
+		const loadAchievements = async () => {
+			try {
+				// Streak progress counts days in the browser's timezone
+				const timezone =
+					Intl.DateTimeFormat().resolvedOptions().timeZone;
+				const response = await authFetch(
+					`${API_ENDPOINTS.ACHIEVEMENTS.BASE}?timezone=${encodeURIComponent(
+						timezone
+					)}`
+				);
+
+				const result = await response.json();
+
+				if (response.ok) {
+					setData(result);
+				} else {
+					setError(result.message || "Could not load achievements");
+				}
+			} catch (error) {
+				console.error("Error loading achievements:", error);
+				setError("Network error. Please try again.");
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		loadAchievements();
+	}, []);
+
+	return (
+		<>
+			<NavBar />
+			<div className="container mx-auto px-4 mt-[120px] mb-12">
+				<div className="flex justify-between items-center mb-8">
+					<div className="text-4xl italic font-semibold">
+						Badge Gallery
+					</div>
+					<Link
+						to="/dashboard"
+						className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+					>
+						Back to Dashboard
+					</Link>
+				</div>
+
+				{loading && (
+					<div className="text-center py-12">
+						<div className="text-4xl mb-4">🏆</div>
+						<div className="text-xl font-semibold">
+							Loading Badges...
+						</div>
+					</div>
+				)}
+
+				{error && (
+					<div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+						{error}
+					</div>
+				)}
+
+				{data && (
+					<div className="space-y-8">
+						<div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+							<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1 text-center">
+								<div className="text-3xl font-bold text-green-600">
+									{data.earnedCount} / {data.badges.length}
+								</div>
+								<div className="text-gray-600">Badges Earned</div>
+							</div>
+							<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1 text-center">
+								<div className="text-3xl font-bold text-purple-600">
+									{data.totalPoints}
+								</div>
+								<div className="text-gray-600">Points</div>
+							</div>
+						</div>
+
+						{Object.entries(CATEGORY_LABELS).map(
+							([category, label]) => (
+								<div
+									key={category}
+									className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1"
+								>
+									<h2 className="text-2xl font-semibold mb-4">
+										{label}
+									</h2>
+									<div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+										{data.badges
+											.filter(
+												(badge) =>
+													badge.category === category
+											)
+											.map((badge) => (
+												<BadgeCard
+													key={badge.id}
+													badge={badge}
+												/>
+											))}
+									</div>
+								</div>
+							)
+						)}
+					</div>
+				)}
+			</div>
+		</>
+	);
+}
+
+function BadgeCard({ badge }) {
+	return (
+		<div
+			className={`p-4 rounded-xl border text-center ${
+				badge.earned
+					? "bg-green-50 border-green-300"
+					: "bg-gray-50 border-gray-200 opacity-70"
+			}`}
+		>
+			<div className={`text-4xl mb-2 ${badge.earned ? "" : "grayscale"}`}>
+				{badge.icon}
+			</div>
+			<div className="font-semibold">{badge.title}</div>
+			<div className="text-sm text-gray-600 mb-3">
+				{badge.description}
+			</div>
+
+			{badge.earned ? (
+				<div className="text-xs text-green-700 font-medium">
+					Earned {new Date(badge.awardedAt).toLocaleDateString()} · +
+					{badge.points}
+				</div>
+			) : (
+				<div className="space-y-1">
+					<div className="w-full bg-gray-200 rounded-full h-2">
+						<div
+							className="bg-green-500 h-2 rounded-full transition-all duration-300"
+							style={{ width: `${badge.progress.percentage}%` }}
+						></div>
+					</div>
+					<div className="text-xs text-gray-600">
+						{badge.progress.current} / {badge.progress.target}
+					</div>
+				</div>
+			)}
+		</div>
+	);
+}
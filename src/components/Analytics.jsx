@@ -3,15 +3,54 @@ import NavBar from "./NavBar";
 import { useAuth } from "../hooks/useAuth";
 import { Link } from "react-router";
 import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+// Shape the server's chart aggregates for the chart components
+const toChartData = (charts) =>
+	charts.activityCount === 0
+		? null
+		: {
+				totalEmissions: charts.totalEmissions,
+				activityCount: charts.activityCount,
+				monthly: charts.monthly.map((month) => ({
+					month: new Date(`${month.month}-01T00:00`).toLocaleDateString(
+						"en-US",
+						{ month: "short", year: "numeric" }
+					),
+					total: month.totalEmissions,
+					activities: month.activityCount,
+				})),
+				categories: Object.fromEntries(
+					charts.categories.map((c) => [c.category, c.totalEmissions])
+				),
+				categoryActivities: Object.fromEntries(
+					charts.categories.map((c) => [c.category, c.activityCount])
+				),
+				weekly: charts.weekly.map((week, index) => ({
+					week: `Week ${index + 1}`,
+					total: week.totalEmissions,
+					activities: week.activityCount,
+				})),
+		  };
 
 export default function Analytics() {
-	const [emissions, setEmissions] = useState([]);
+	const [quickStats, setQuickStats] = useState(null);
+	const [chartData, setChartData] = useState(null);
 	const [loading, setLoading] = useState(true);
 	const [insights, setInsights] = useState(null);
 	const [comparisons, setComparisons] = useState(null);
 	const [activeTab, setActiveTab] = useState("overview");
+	const [filters, setFilters] = useState({
+		startDate: "",
+		endDate: "",
+		category: "",
+	});
+	const [exportFormat, setExportFormat] = useState("csv");
+	const [exporting, setExporting] = useState(false);
 	const { user } = useAuth();
 
+	const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 	// Load data
 	useEffect(() => {
 		const loadAnalyticsData = async () => {
@@ -20,33 +59,23 @@ export default function Analytics() {
 			try {
 				setLoading(true);
 
-				// Fetch emissions
-				const emissionsResponse = await fetch(
-					API_ENDPOINTS.EMISSIONS.getUserEmissions(user.id),
-					{
-						headers: {
-							Authorization: `Bearer ${localStorage.getItem(
-								"token"
-							)}`,
-						},
-					}
+				// Fetch overall stats - whether there is any data, and the
+				// categories logged so far
+				const statsResponse = await authFetch(
+					`${API_ENDPOINTS.ANALYSIS.getQuickStats(
+						user.id
+					)}?timezone=${encodeURIComponent(timezone)}`
 				);
 
-				if (emissionsResponse.ok) {
-					const emissionsData = await emissionsResponse.json();
-					setEmissions(emissionsData.emissions || []);
+				if (statsResponse.ok) {
+					setQuickStats(await statsResponse.json());
 				}
 
 				// Fetch detailed insights
-				const insightsResponse = await fetch(
-					API_ENDPOINTS.ANALYSIS.getInsights(user.id),
-					{
-						headers: {
-							Authorization: `Bearer ${localStorage.getItem(
-								"token"
-							)}`,
-						},
-					}
+				const insightsResponse = await authFetch(
+					`${API_ENDPOINTS.ANALYSIS.getInsights(
+						user.id
+					)}?timezone=${encodeURIComponent(timezone)}`
 				);
 
 				if (insightsResponse.ok) {
@@ -55,15 +84,8 @@ export default function Analytics() {
 				}
 
 				// Fetch comparisons
-				const comparisonsResponse = await fetch(
-					API_ENDPOINTS.ANALYSIS.getWeeklyComparison(user.id),
-					{
-						headers: {
-							Authorization: `Bearer ${localStorage.getItem(
-								"token"
-							)}`,
-						},
-					}
+				const comparisonsResponse = await authFetch(
+					API_ENDPOINTS.ANALYSIS.getWeeklyComparison(user.id)
 				);
 
 				if (comparisonsResponse.ok) {
@@ -78,87 +100,95 @@ export default function Analytics() {
 		};
 
 		loadAnalyticsData();
-	}, [user?.id]);
-
-	// Calculate chart data
-	const chartData = useMemo(() => {
-		if (!emissions.length) return null;
+	}, [user?.id, timezone]);
+
+	// Date filters cover whole local days; end date is inclusive
+	const filterRange = useMemo(
+		() => ({
+			start: filters.startDate
+				? new Date(`${filters.startDate}T00:00`)
+				: null,
+			end: filters.endDate
+				? new Date(
+						new Date(`${filters.endDate}T00:00`).getTime() +
+							24 * 60 * 60 * 1000
+				  )
+				: null,
+		}),
+		[filters.startDate, filters.endDate]
+	);
 
-		// Monthly emissions for the last 6 months
-		const monthlyData = [];
-		const now = new Date();
+	// Chart data for the current filtered view, aggregated on the server
+	useEffect(() => {
+		const loadCharts = async () => {
+			if (!user?.id) return;
 
-		for (let i = 5; i >= 0; i--) {
-			const monthStart = new Date(
-				now.getFullYear(),
-				now.getMonth() - i,
-				1
-			);
-			const monthEnd = new Date(
-				now.getFullYear(),
-				now.getMonth() - i + 1,
-				0
-			);
+			try {
+				const params = new URLSearchParams({ timezone });
+				if (filterRange.start)
+					params.set("startDate", filterRange.start.toISOString());
+				if (filterRange.end)
+					params.set("endDate", filterRange.end.toISOString());
+				if (filters.category) params.set("category", filters.category);
+
+				const response = await authFetch(
+					`${API_ENDPOINTS.ANALYSIS.getCharts(user.id)}?${params}`
+				);
 
-			const monthEmissions = emissions.filter((e) => {
-				const date = new Date(e.timestamp);
-				return date >= monthStart && date <= monthEnd;
-			});
+				if (response.ok) {
+					setChartData(toChartData(await response.json()));
+				}
+			} catch (error) {
+				console.error("Error loading chart data:", error);
+			}
+		};
 
-			const monthTotal = monthEmissions.reduce(
-				(sum, e) => sum + e.value,
-				0
-			);
+		loadCharts();
+	}, [user?.id, timezone, filterRange, filters.category]);
 
-			monthlyData.push({
-				month: monthStart.toLocaleDateString("en-US", {
-					month: "short",
-					year: "numeric",
-				}),
-				total: monthTotal,
-				activities: monthEmissions.length,
-			});
-		}
+	const categories = quickStats?.categories || [];
 
-		// Category breakdown
-		const categoryData = emissions.reduce((acc, e) => {
-			acc[e.category] = (acc[e.category] || 0) + e.value;
-			return acc;
-		}, {});
-
-		// Weekly data for the last 8 weeks
-		const weeklyData = [];
-		for (let i = 7; i >= 0; i--) {
-			const weekStart = new Date(
-				now.getTime() - (i + 1) * 7 * 24 * 60 * 60 * 1000
-			);
-			const weekEnd = new Date(
-				now.getTime() - i * 7 * 24 * 60 * 60 * 1000
-			);
+	// Download the current filtered view from the export endpoint
+	const handleExport = async () => {
+		setExporting(true);
 
-			const weekEmissions = emissions.filter((e) => {
-				const date = new Date(e.timestamp);
-				return date >= weekStart && date < weekEnd;
-			});
+		try {
+			const params = new URLSearchParams({ format: exportFormat });
+			if (filterRange.start)
+				params.set("startDate", filterRange.start.toISOString());
+			if (filterRange.end)
+				params.set("endDate", filterRange.end.toISOString());
+			if (filters.category) params.set("category", filters.category);
 
-			const weekTotal = weekEmissions.reduce(
-				(sum, e) => sum + e.value,
-				0
+			const response = await authFetch(
+				`${API_ENDPOINTS.EMISSIONS.exportUserEmissions(
+					user.id
+				)}?${params}`
 			);
 
-			weeklyData.push({
-				week: `Week ${8 - i}`,
-				total: weekTotal,
-				activities: weekEmissions.length,
-			});
-		}
+			if (!response.ok) {
+				const data = await response.json();
+				alert(data.message || "Export failed");
+				return;
+			}
 
-		return {
-			monthly: monthlyData,
-			categories: categoryData,
-			weekly: weeklyData,
-		};
-	}, [emissions]);
+			const blob = await response.blob();
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement("a");
+			link.href = url;
+			link.download =
+				exportFormat === "report"
+					? "emissions-report.html"
+					: `emissions.${exportFormat}`;
+			link.click();
+			URL.revokeObjectURL(url);
+		} catch (error) {
+			console.error("Error exporting emissions:", error);
+			alert("Export failed. Please try again.");
+		} finally {
+			setExporting(false);
+		}
+	};
 
 	if (loading) {
 		return (
@@ -178,7 +208,7 @@ export default function Analytics() {
 		);
 	}
 
-	if (!emissions.length) {
+	if (!quickStats?.hasData) {
 		return (
 			<>
 				<NavBar />
@@ -199,6 +229,11 @@ export default function Analytics() {
 							Track Your First Activity
 						</Link>
 					</div>
+
+					{/* Goals can be set before anything is logged */}
+					<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
+						<GoalsTab />
+					</div>
 				</div>
 			</>
 		);
@@ -219,6 +254,84 @@ export default function Analytics() {
 					</p>
 				</div>
 
+				{/* Filters and Export */}
+				<div className="mb-8 bg-white rounded-xl p-4 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
+					<div className="flex flex-wrap items-end gap-4">
+						<label className="flex flex-col text-sm font-medium">
+							From
+							<input
+								type="date"
+								value={filters.startDate}
+								onChange={(e) =>
+									setFilters((prev) => ({
+										...prev,
+										startDate: e.target.value,
+									}))
+								}
+								className="mt-1 px-3 py-2 rounded-lg border font-normal"
+							/>
+						</label>
+						<label className="flex flex-col text-sm font-medium">
+							To
+							<input
+								type="date"
+								value={filters.endDate}
+								onChange={(e) =>
+									setFilters((prev) => ({
+										...prev,
+										endDate: e.target.value,
+									}))
+								}
+								className="mt-1 px-3 py-2 rounded-lg border font-normal"
+							/>
+						</label>
+						<label className="flex flex-col text-sm font-medium">
+							Category
+							<select
+								value={filters.category}
+								onChange={(e) =>
+									setFilters((prev) => ({
+										...prev,
+										category: e.target.value,
+									}))
+								}
+								className="mt-1 px-3 py-2 rounded-lg border font-normal"
+							>
+								<option value="">All categories</option>
+								{categories.map((category) => (
+									<option key={category} value={category}>
+										{category}
+									</option>
+								))}
+							</select>
+						</label>
+						<div className="flex items-end gap-2 ml-auto">
+							<select
+								value={exportFormat}
+								onChange={(e) =>
+									setExportFormat(e.target.value)
+								}
+								className="px-3 py-2 rounded-lg border"
+							>
+								<option value="csv">CSV</option>
+								<option value="json">JSON</option>
+								<option value="ndjson">NDJSON</option>
+								<option value="report">
+									Report (print to PDF)
+								</option>
+							</select>
+							<button
+								type="button"
+								onClick={handleExport}
+								disabled={exporting}
+								className="px-4 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50"
+							>
+								{exporting ? "Exporting..." : "⬇️ Export"}
+							</button>
+						</div>
+					</div>
+				</div>
+
 				{/* Tabs */}
 				<div className="mb-8">
 					<div className="flex flex-wrap gap-2 bg-gray-100 p-2 rounded-xl">
@@ -253,44 +366,38 @@ export default function Analytics() {
 					</div>
 				</div>
 
-				{/* Tab Content */}
-				<div className="space-y-8">
-					{activeTab === "overview" && (
-						<OverviewTab
-							chartData={chartData}
-							insights={insights}
-							emissions={emissions}
-						/>
-					)}
-					{activeTab === "trends" && (
-						<TrendsTab chartData={chartData} insights={insights} />
-					)}
-					{activeTab === "categories" && (
-						<CategoriesTab
-							chartData={chartData}
-							emissions={emissions}
-						/>
-					)}
-					{activeTab === "comparisons" && (
-						<ComparisonsTab comparisons={comparisons} />
-					)}
-					{activeTab === "goals" && (
-						<GoalsTab
-							comparisons={comparisons}
-							insights={insights}
-						/>
-					)}
-				</div>
+				{/* Tab Content - goals don't depend on the filtered data */}
+				{activeTab === "goals" ? (
+					<GoalsTab />
+				) : !chartData ? (
+					<div className="text-center text-gray-500 py-12">
+						No activities match the current filters
+					</div>
+				) : (
+					<div className="space-y-8">
+						{activeTab === "overview" && (
+							<OverviewTab chartData={chartData} insights={insights} />
+						)}
+						{activeTab === "trends" && (
+							<TrendsTab chartData={chartData} insights={insights} />
+						)}
+						{activeTab === "categories" && (
+							<CategoriesTab chartData={chartData} />
+						)}
+						{activeTab === "comparisons" && (
+							<ComparisonsTab comparisons={comparisons} />
+						)}
+					</div>
+				)}
 			</div>
 		</>
 	);
 }
 
 // Overview Tab Component
-function OverviewTab({ chartData, insights, emissions }) {
-	const totalEmissions = emissions.reduce((sum, e) => sum + e.value, 0);
-	const avgDaily =
-		emissions.length > 0 ? totalEmissions / emissions.length : 0;
+function OverviewTab({ chartData, insights }) {
+	const { totalEmissions, activityCount } = chartData;
+	const avgDaily = activityCount > 0 ? totalEmissions / activityCount : 0;
 
 	return (
 		<div className="space-y-8">
@@ -305,7 +412,7 @@ function OverviewTab({ chartData, insights, emissions }) {
 				/>
 				<MetricCard
 					title="Activities Tracked"
-					value={emissions.length}
+					value={activityCount}
 					subtitle="total entries"
 					color="blue"
 					icon="📝"
@@ -524,17 +631,12 @@ function TrendsTab({ chartData, insights }) {
 }
 
 // Categories Tab Component
-function CategoriesTab({ chartData, emissions }) {
+function CategoriesTab({ chartData }) {
 	const categoryDetails = Object.entries(chartData.categories)
 		.sort(([, a], [, b]) => b - a)
 		.map(([category, total]) => {
-			const categoryEmissions = emissions.filter(
-				(e) => e.category === category
-			);
-			const avgPerActivity =
-				categoryEmissions.length > 0
-					? total / categoryEmissions.length
-					: 0;
+			const activities = chartData.categoryActivities[category] || 0;
+			const avgPerActivity = activities > 0 ? total / activities : 0;
 			const percentage =
 				(total /
 					Object.values(chartData.categories).reduce(
@@ -546,7 +648,7 @@ function CategoriesTab({ chartData, emissions }) {
 			return {
 				category,
 				total,
-				activities: categoryEmissions.length,
+				activities,
 				avgPerActivity,
 				percentage,
 			};
@@ -725,100 +827,288 @@ function ComparisonsTab({ comparisons }) {
 					);
 				})}
 			</div>
+		</div>
+	);
+}
+
+// Goals Tab Component
+function GoalsTab() {
+	const [goals, setGoals] = useState([]);
+	const [periods, setPeriods] = useState([]);
+	const [drafts, setDrafts] = useState({});
+	const [loading, setLoading] = useState(true);
+	const [savingPeriod, setSavingPeriod] = useState(null);
+	const [error, setError] = useState("");
+
+	// Goal periods are calendar days, weeks, months and years here
+	const timezoneQuery = `?timezone=${encodeURIComponent(
+		Intl.DateTimeFormat().resolvedOptions().timeZone
+	)}`;
+
+	// Load goals with progress for the current period
+	useEffect(() => {
+		const loadGoals = async () => {
+			try {
+				const response = await authFetch(
+					`${API_ENDPOINTS.GOALS.BASE}${timezoneQuery}`
+				);
+
+				const data = await response.json();
+
+				if (response.ok) {
+					setGoals(data.goals);
+					setPeriods(data.periods);
+				} else {
+					setError(data.message || "Could not load goals");
+				}
+			} catch (error) {
+				console.error("Error loading goals:", error);
+				setError("Network error. Please try again.");
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		loadGoals();
+	}, [timezoneQuery]);
+
+	const goalsByPeriod = useMemo(
+		() => Object.fromEntries(goals.map((goal) => [goal.period, goal])),
+		[goals]
+	);
+
+	// Create the period's goal, or change its target if it already exists
+	const saveGoal = async (period) => {
+		const existing = goalsByPeriod[period];
+		const target = drafts[period];
+
+		setError("");
+		setSavingPeriod(period);
+
+		try {
+			const response = await authFetch(
+				`${
+					existing
+						? API_ENDPOINTS.GOALS.getGoal(existing.id)
+						: API_ENDPOINTS.GOALS.BASE
+				}${timezoneQuery}`,
+				{
+					method: existing ? "PATCH" : "POST",
+					headers: {
+						"Content-Type": "application/json",
+					},
+					body: JSON.stringify(
+						existing ? { target } : { period, target }
+					),
+				}
+			);
+
+			const data = await response.json();
+
+			if (!response.ok) {
+				setError(data.message || "Could not save goal");
+				return;
+			}
+
+			setGoals((prev) =>
+				[
+					...prev.filter((goal) => goal.period !== period),
+					data.goal,
+				].sort(
+					(a, b) =>
+						periods.indexOf(a.period) - periods.indexOf(b.period)
+				)
+			);
+			setDrafts((prev) => ({ ...prev, [period]: undefined }));
+		} catch (error) {
+			console.error("Error saving goal:", error);
+			setError("Network error. Please try again.");
+		} finally {
+			setSavingPeriod(null);
+		}
+	};
+
+	const removeGoal = async (goal) => {
+		setError("");
+		setSavingPeriod(goal.period);
+
+		try {
+			const response = await authFetch(
+				API_ENDPOINTS.GOALS.getGoal(goal.id),
+				{ method: "DELETE" }
+			);
+
+			if (response.ok) {
+				setGoals((prev) => prev.filter((g) => g.id !== goal.id));
+			} else {
+				const data = await response.json();
+				setError(data.message || "Could not remove goal");
+			}
+		} catch (error) {
+			console.error("Error removing goal:", error);
+			setError("Network error. Please try again.");
+		} finally {
+			setSavingPeriod(null);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="text-center py-12">
+				<div className="text-4xl mb-4">🎯</div>
+				<div className="text-xl font-semibold">Loading Goals...</div>
+			</div>
+		);
+	}
+
+	return (
+		<div className="space-y-8">
+			<div className="text-center">
+				<div className="text-6xl mb-4">🎯</div>
+				<h2 className="text-3xl font-bold mb-4">
+					Goal Setting & Tracking
+				</h2>
+				<p className="text-gray-600">
+					Set a maximum amount of CO₂ for a day, week, month or year
+					and track your progress as you log activities.
+				</p>
+			</div>
+
+			{error && (
+				<div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+					{error}
+				</div>
+			)}
 
 			{/* Goal Progress */}
-			{comparisons.personalGoals && (
+			{goals.length > 0 && (
 				<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
 					<h3 className="text-xl font-semibold mb-6">
 						Goal Progress
 					</h3>
 
 					<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-						{["daily", "weekly", "monthly", "yearly"].map(
-							(period) => {
-								const goal = comparisons.personalGoals[period];
-								const percentage =
-									(goal.actual / goal.target) * 100;
-
-								return (
-									<div key={period} className="space-y-3">
-										<div className="flex justify-between items-center">
-											<span className="font-medium capitalize">
-												{period} Goal
+						{goals.map((goal) => {
+							return (
+								<div key={goal.id} className="space-y-3">
+									<div className="flex justify-between items-center">
+										<span className="font-medium capitalize">
+											{goal.period} Goal
+										</span>
+										<span
+											className={`text-xs px-2 py-1 rounded-full font-medium ${
+												goal.status === "on_track"
+													? "bg-green-100 text-green-800"
+													: goal.status === "close"
+													? "bg-yellow-100 text-yellow-800"
+													: "bg-red-100 text-red-800"
+											}`}
+										>
+											{goal.status.replace("_", " ")}
+										</span>
+									</div>
+
+									<div className="space-y-1">
+										<div className="flex justify-between text-sm">
+											<span>
+												{goal.actual.toFixed(1)} kg
 											</span>
-											<span
-												className={`text-xs px-2 py-1 rounded-full font-medium ${
-													goal.status === "on_track"
-														? "bg-green-100 text-green-800"
-														: goal.status ===
-														  "close"
-														? "bg-yellow-100 text-yellow-800"
-														: "bg-red-100 text-red-800"
-												}`}
-											>
-												{goal.status.replace("_", " ")}
+											<span>
+												{goal.target.toFixed(1)} kg
 											</span>
 										</div>
-
-										<div className="space-y-1">
-											<div className="flex justify-between text-sm">
-												<span>
-													{goal.actual.toFixed(1)} kg
-												</span>
-												<span>
-													{goal.target.toFixed(1)} kg
-												</span>
-											</div>
-											<div className="w-full bg-gray-200 rounded-full h-2">
-												<div
-													className={`h-2 rounded-full transition-all duration-300 ${
-														goal.status ===
-														"on_track"
-															? "bg-green-500"
-															: goal.status ===
-															  "close"
-															? "bg-yellow-500"
-															: "bg-red-500"
-													}`}
-													style={{
-														width: `${Math.min(
-															percentage,
-															100
-														)}%`,
-													}}
-												></div>
-											</div>
+										<div className="w-full bg-gray-200 rounded-full h-2">
+											<div
+												className={`h-2 rounded-full transition-all duration-300 ${
+													goal.status === "on_track"
+														? "bg-green-500"
+														: goal.status === "close"
+														? "bg-yellow-500"
+														: "bg-red-500"
+												}`}
+												style={{
+													width: `${Math.min(
+														goal.progress,
+														100
+													)}%`,
+												}}
+											></div>
 										</div>
+									</div>
 
-										<div className="text-xs text-gray-600">
-											{goal.daysRemaining} days remaining
-										</div>
+									<div className="text-xs text-gray-600">
+										{goal.daysRemaining} days remaining
 									</div>
-								);
-							}
-						)}
+								</div>
+							);
+						})}
 					</div>
 				</div>
 			)}
-		</div>
-	);
-}
 
-// Goals Tab Component
-function GoalsTab({ comparisons, insights }) {
-	return (
-		<div className="space-y-8">
-			<div className="text-center py-12">
-				<div className="text-6xl mb-4">🎯</div>
-				<h2 className="text-3xl font-bold mb-4">
-					Goal Setting & Tracking
-				</h2>
-				<p className="text-gray-600 mb-8">
-					Set personalized emission targets and track your progress
-					toward sustainability goals.
-				</p>
-				<div className="bg-yellow-100 text-yellow-800 px-4 py-2 rounded-full text-sm font-medium inline-block">
-					🚧 Goal setting features coming soon!
+			{/* Goal Editor */}
+			<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
+				<h3 className="text-xl font-semibold mb-6">Your Targets</h3>
+
+				<div className="space-y-4">
+					{periods.map((period) => {
+						const goal = goalsByPeriod[period];
+						const value = drafts[period] ?? goal?.target ?? "";
+
+						return (
+							<div
+								key={period}
+								className="flex flex-wrap items-center gap-3"
+							>
+								<span className="w-24 font-medium capitalize">
+									{period}
+								</span>
+								<input
+									type="number"
+									min="0"
+									step="any"
+									value={value}
+									onChange={(e) =>
+										setDrafts((prev) => ({
+											...prev,
+											[period]: e.target.value,
+										}))
+									}
+									placeholder="No goal set"
+									className="w-40 px-3 py-2 rounded-lg border"
+								/>
+								<span className="text-sm text-gray-600">
+									kg CO₂
+								</span>
+								<button
+									type="button"
+									onClick={() => saveGoal(period)}
+									disabled={
+										savingPeriod === period ||
+										drafts[period] === undefined ||
+										drafts[period] === ""
+									}
+									className="px-4 py-2 text-sm bg-black hover:bg-gray-800 text-white rounded-xl transition-colors disabled:opacity-50"
+								>
+									{savingPeriod === period
+										? "Saving..."
+										: goal
+										? "Update"
+										: "Set Goal"}
+								</button>
+								{goal && (
+									<button
+										type="button"
+										onClick={() => removeGoal(goal)}
+										disabled={savingPeriod === period}
+										className="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+									>
+										Remove
+									</button>
+								)}
+							</div>
+						);
+					})}
 				</div>
 			</div>
 		</div>
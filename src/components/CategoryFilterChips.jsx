@@ -0,0 +1,39 @@
+import React from "react";
+
+// Category filter buttons; clicking "Clear" resets the active filter
+export default function CategoryFilterChips({
+	categories,
+	activeFilter,
+	onFilterClick,
+}) {
+	return (
+		<div
+			id="filterOptions"
+			className="grid grid-cols-2 md:grid-cols-4 grid-rows-4 md:grid-rows-2 gap-5 mt-5 place-content-stretch"
+		>
+			{categories.map((category) => (
+				<button
+					key={category}
+					onClick={() => onFilterClick(category)}
+					className={`btn outline-1 max-w-48 h-[40px] rounded-xl shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer transition-colors ${
+						activeFilter === category
+							? "bg-black text-white"
+							: "hover:bg-black text-black hover:text-white"
+					}`}
+				>
+					{category}
+				</button>
+			))}
+			<button
+				onClick={() => onFilterClick("Clear")}
+				className={`btn outline-1 max-w-48 h-[40px] rounded-xl shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer transition-colors ${
+					activeFilter === "" || activeFilter === "Clear"
+						? "bg-gray-300 text-gray-600"
+						: "hover:bg-gray-200 text-black hover:text-gray-800"
+				}`}
+			>
+				🧹 Clear Filter
+			</button>
+		</div>
+	);
+}
@@ -3,35 +3,69 @@ import NavBar from "./NavBar";
 import { useAuth } from "../hooks/useAuth";
 import { Link } from "react-router";
 import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+import { fetchEmissionsPage } from "../utils/emissionsApi.js";
+import EditEmissionForm from "./EditEmissionForm";
+import EmailVerificationBanner from "./EmailVerificationBanner";
+
+const RECENT_ACTIVITY_COUNT = 10;
 
 export default function Dashboard() {
-	const [emissions, setEmissions] = useState([]);
+	// Newest activities only; totals come from the server
+	const [recentActivities, setRecentActivities] = useState([]);
+	const [totals, setTotals] = useState({
+		totalEmissions: 0,
+		count: 0,
+		thisMonthEmissions: 0,
+		categoryTotals: {},
+	});
+	const [refreshKey, setRefreshKey] = useState(0);
 	const [loading, setLoading] = useState(true);
 	const [insights, setInsights] = useState(null);
 	const [recommendations, setRecommendations] = useState([]);
 	const [insightsLoading, setInsightsLoading] = useState(false);
+	const [editingId, setEditingId] = useState(null);
+	const [quickStats, setQuickStats] = useState(null);
 	const { user, userAnalysis } = useAuth();
 
-	// Load user's emissions from database
+	// Load recent activities and totals from the database
 	useEffect(() => {
 		const loadUserEmissions = async () => {
 			if (user?.id) {
 				try {
-					const response = await fetch(
-						API_ENDPOINTS.EMISSIONS.getUserEmissions(user.id),
-						{
-							headers: {
-								Authorization: `Bearer ${localStorage.getItem(
-									"token"
-								)}`,
-							},
-						}
-					);
+					const oneMonthAgo = new Date();
+					oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
 
-					if (response.ok) {
-						const data = await response.json();
-						setEmissions(data.emissions || []);
-					}
+					const [recent, lastMonth, summaryResponse] =
+						await Promise.all([
+							fetchEmissionsPage(user.id, {
+								limit: RECENT_ACTIVITY_COUNT,
+							}),
+							// Only the first page's totals are needed
+							fetchEmissionsPage(user.id, {
+								startDate: oneMonthAgo.toISOString(),
+								limit: 1,
+							}),
+							authFetch(
+								API_ENDPOINTS.EMISSIONS.getUserSummary(user.id)
+							),
+						]);
+					const summary = summaryResponse.ok
+						? (await summaryResponse.json()).summary
+						: [];
+
+					setRecentActivities(recent.emissions);
+					setTotals({
+						totalEmissions: recent.totalEmissions,
+						count: recent.count,
+						thisMonthEmissions: lastMonth.totalEmissions,
+						categoryTotals: Object.fromEntries(
+							summary.map((category) => [
+								category._id,
+								category.totalEmissions,
+							])
+						),
+					});
 				} catch (error) {
 					console.error("Error loading emissions:", error);
 				} finally {
@@ -43,41 +77,32 @@ export default function Dashboard() {
 		};
 
 		loadUserEmissions();
-	}, [user?.id]);
+	}, [user?.id, refreshKey]);
 
 	// Load insights and recommendations
 	useEffect(() => {
 		const loadInsights = async () => {
-			if (user?.id && emissions.length > 0) {
+			if (user?.id && totals.count > 0) {
 				setInsightsLoading(true);
 				try {
-					// Fetch notifications/insights
-					const insightsResponse = await fetch(
-						API_ENDPOINTS.ANALYSIS.getInsights(user.id),
-						{
-							headers: {
-								Authorization: `Bearer ${localStorage.getItem(
-									"token"
-								)}`,
-							},
-						}
+					// Fetch notifications/insights; badges count days in the
+					// browser's timezone
+					const timezone =
+						Intl.DateTimeFormat().resolvedOptions().timeZone;
+					const insightsResponse = await authFetch(
+						`${API_ENDPOINTS.ANALYSIS.getInsights(
+							user.id
+						)}?timezone=${encodeURIComponent(timezone)}`
 					);
 
 					if (insightsResponse.ok) {
 						const insightsData = await insightsResponse.json();
-						setInsights(insightsData);
+						setInsights(insightsData.insights);
 					}
 
 					// Fetch recommendations
-					const recommendationsResponse = await fetch(
-						API_ENDPOINTS.ANALYSIS.getRecommendations(user.id),
-						{
-							headers: {
-								Authorization: `Bearer ${localStorage.getItem(
-									"token"
-								)}`,
-							},
-						}
+					const recommendationsResponse = await authFetch(
+						API_ENDPOINTS.ANALYSIS.getRecommendations(user.id)
 					);
 
 					if (recommendationsResponse.ok) {
@@ -96,63 +121,67 @@ export default function Dashboard() {
 		};
 
 		loadInsights();
-	}, [user?.id, emissions.length]);
+	}, [user?.id, totals.count]);
 
-	// Calculate summary statistics
-	const summaryStats = useMemo(() => {
-		const totalEmissions = emissions.reduce(
-			(sum, emission) => sum + emission.value,
-			0
-		);
-		const totalActivities = emissions.length;
+	// Load streaks and today's totals, counted in the browser's timezone
+	useEffect(() => {
+		const loadQuickStats = async () => {
+			if (!user?.id) return;
 
-		// Group by category
-		const categoryTotals = emissions.reduce((acc, emission) => {
-			acc[emission.category] =
-				(acc[emission.category] || 0) + emission.value;
-			return acc;
-		}, {});
+			try {
+				const timezone =
+					Intl.DateTimeFormat().resolvedOptions().timeZone;
+				const response = await authFetch(
+					`${API_ENDPOINTS.ANALYSIS.getQuickStats(
+						user.id
+					)}?timezone=${encodeURIComponent(timezone)}`
+				);
 
+				if (response.ok) {
+					setQuickStats(await response.json());
+				}
+			} catch (error) {
+				console.error("Error loading quick stats:", error);
+			}
+		};
+
+		loadQuickStats();
+	}, [user?.id, refreshKey]);
+
+	// Calculate summary statistics
+	const summaryStats = useMemo(() => {
 		// Find highest emitting category
-		const highestCategory = Object.entries(categoryTotals).sort(
+		const highestCategory = Object.entries(totals.categoryTotals).sort(
 			([, a], [, b]) => b - a
 		)[0];
 
-		// Calculate this week's emissions
-		const oneWeekAgo = new Date();
-		oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-		const thisWeekEmissions = emissions
-			.filter((emission) => new Date(emission.timestamp) >= oneWeekAgo)
-			.reduce((sum, emission) => sum + emission.value, 0);
-
-		// Calculate this month's emissions
-		const oneMonthAgo = new Date();
-		oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-		const thisMonthEmissions = emissions
-			.filter((emission) => new Date(emission.timestamp) >= oneMonthAgo)
-			.reduce((sum, emission) => sum + emission.value, 0);
-
 		return {
-			totalEmissions,
-			totalActivities,
-			categoryTotals,
+			totalEmissions: totals.totalEmissions,
+			totalActivities: totals.count,
+			categoryTotals: totals.categoryTotals,
 			highestCategory,
-			thisWeekEmissions,
-			thisMonthEmissions,
+			// Last 7 days, from the weekly comparison
+			thisWeekEmissions: quickStats?.weeklyComparison?.current || 0,
+			thisMonthEmissions: totals.thisMonthEmissions,
 		};
-	}, [emissions]);
+	}, [totals, quickStats]);
 
-	// Get recent activities (last 10)
-	const recentActivities = useMemo(() => {
-		return emissions
-			.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-			.slice(0, 10);
-	}, [emissions]);
+	// Replace an edited emission in the list and reload the totals
+	const handleEmissionSaved = (updated) => {
+		setRecentActivities((prev) =>
+			prev.map((emission) =>
+				emission.id === updated.id ? updated : emission
+			)
+		);
+		setEditingId(null);
+		setRefreshKey((key) => key + 1);
+	};
 
 	// Enhanced welcome message data
 	const welcomeData = useMemo(() => {
 		const today = new Date();
 		const hour = today.getHours();
+		const streaks = quickStats?.streaks;
 
 		// Time-based greeting
 		let greeting = "Good morning";
@@ -174,8 +203,8 @@ export default function Dashboard() {
 			// Calculate user's progress
 			const thisWeek = userAnalysis.thisWeekEmissions || 0;
 			const avgDaily =
-				emissions.length > 0
-					? summaryStats.totalEmissions / emissions.length
+				summaryStats.totalActivities > 0
+					? summaryStats.totalEmissions / summaryStats.totalActivities
 					: 0;
 
 			// Determine mood and message based on data
@@ -209,14 +238,15 @@ export default function Dashboard() {
 				journeyEmoji = "⚡";
 			}
 
-			// Special messages for achievements or streaks
-			if (insights?.achievements?.length > 0) {
-				const recentAchievement = insights.achievements[0];
-				if (recentAchievement.category === "consistency") {
-					journeyMessage = `${recentAchievement.title} Keep up your tracking momentum!`;
-					journeyEmoji = "🔥";
-					mood = "celebration";
-				}
+			// Special messages for streaks
+			if (streaks?.current > 0 && !streaks.loggedToday) {
+				journeyMessage = `Log an activity today to keep your ${streaks.current}-day streak going!`;
+				journeyEmoji = "⏳";
+				mood = "attention";
+			} else if (streaks?.current >= 3) {
+				journeyMessage = `${streaks.current}-day logging streak! Keep up your tracking momentum!`;
+				journeyEmoji = "🔥";
+				mood = "celebration";
 			}
 
 			// Special message for new users
@@ -233,26 +263,19 @@ export default function Dashboard() {
 			mood = "welcome";
 		}
 
-		// Current day insights
-		const todayActivities = emissions.filter((e) => {
-			const emissionDate = new Date(e.timestamp);
-			return emissionDate.toDateString() === today.toDateString();
-		});
-
-		const todayTotal = todayActivities.reduce((sum, e) => sum + e.value, 0);
-		const hasLoggedToday = todayActivities.length > 0;
-
 		return {
 			greeting,
 			timeEmoji,
 			journeyMessage,
 			journeyEmoji,
 			mood,
-			todayTotal,
-			hasLoggedToday,
-			todayActivities: todayActivities.length,
+			todayTotal: streaks?.todayTotal || 0,
+			hasLoggedToday: Boolean(streaks?.loggedToday),
+			todayActivities: streaks?.todayActivities || 0,
+			currentStreak: streaks?.current || 0,
+			longestStreak: streaks?.longest || 0,
 		};
-	}, [userAnalysis, summaryStats, emissions, insights]);
+	}, [userAnalysis, summaryStats, quickStats]);
 
 	// Daily tip generator
 	const getDailyTip = () => {
@@ -293,6 +316,8 @@ export default function Dashboard() {
 		<>
 			<NavBar />
 			<div className="container mx-auto px-4 mt-[120px] mb-12">
+				<EmailVerificationBanner />
+
 				{/* Enhanced Welcome Section */}
 				<div className="mb-8">
 					<div
@@ -365,6 +390,23 @@ export default function Dashboard() {
 										</div>
 									)}
 
+									{welcomeData.currentStreak > 0 && (
+										<div className="flex items-center bg-white bg-opacity-60 px-3 py-1 rounded-full">
+											<span className="text-red-600 font-semibold">
+												🔥 Streak:
+											</span>
+											<span className="ml-1 font-medium">
+												{welcomeData.currentStreak}{" "}
+												{welcomeData.currentStreak === 1
+													? "day"
+													: "days"}
+												{welcomeData.longestStreak >
+													welcomeData.currentStreak &&
+													` (best ${welcomeData.longestStreak})`}
+											</span>
+										</div>
+									)}
+
 									{userAnalysis?.topCategory && (
 										<div className="flex items-center bg-white bg-opacity-60 px-3 py-1 rounded-full">
 											<span className="text-purple-600 font-semibold">
@@ -633,14 +675,17 @@ export default function Dashboard() {
 										</div>
 										{insights.achievements.length > 3 && (
 											<div className="mt-3 text-center">
-												<button className="text-green-600 hover:text-green-800 font-medium text-sm">
+												<Link
+													to="/achievements"
+													className="text-green-600 hover:text-green-800 font-medium text-sm"
+												>
 													View all{" "}
 													{
 														insights.achievements
 															.length
 													}{" "}
 													achievements
-												</button>
+												</Link>
 											</div>
 										)}
 									</div>
@@ -993,47 +1038,81 @@ export default function Dashboard() {
 							<h2 className="text-2xl font-semibold">
 								Recent Activities
 							</h2>
-							<Link
-								to="/track"
-								className="px-4 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors"
-							>
-								Add New
-							</Link>
+							<div className="flex gap-2">
+								<Link
+									to="/history"
+									className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+								>
+									View All
+								</Link>
+								<Link
+									to="/track"
+									className="px-4 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors"
+								>
+									Add New
+								</Link>
+							</div>
 						</div>
 
 						{recentActivities.length > 0 ? (
 							<div className="space-y-3 max-h-96 overflow-y-auto">
-								{recentActivities.map((emission) => (
-									<div
-										key={emission.id}
-										className="flex justify-between items-center p-3 bg-gray-50 rounded-lg"
-									>
-										<div>
-											<div className="font-medium text-gray-800">
-												{emission.category}:{" "}
-												{emission.activity}
+								{recentActivities.map((emission) =>
+									editingId === emission.id ? (
+										<EditEmissionForm
+											key={emission.id}
+											emission={emission}
+											onSaved={handleEmissionSaved}
+											onCancel={() => setEditingId(null)}
+										/>
+									) : (
+										<div
+											key={emission.id}
+											className="flex justify-between items-center p-3 bg-gray-50 rounded-lg"
+										>
+											<div>
+												<div className="font-medium text-gray-800">
+													{emission.category}:{" "}
+													{emission.activity}
+													{emission.quantity !==
+														undefined && (
+														<span className="text-gray-500 font-normal">
+															{" "}
+															({emission.quantity}{" "}
+															{emission.unit})
+														</span>
+													)}
+												</div>
+												<div className="text-sm text-gray-600">
+													{new Date(
+														emission.timestamp
+													).toLocaleDateString()}{" "}
+													at{" "}
+													{new Date(
+														emission.timestamp
+													).toLocaleTimeString([], {
+														hour: "2-digit",
+														minute: "2-digit",
+													})}
+												</div>
 											</div>
-											<div className="text-sm text-gray-600">
-												{new Date(
-													emission.timestamp
-												).toLocaleDateString()}{" "}
-												at{" "}
-												{new Date(
-													emission.timestamp
-												).toLocaleTimeString([], {
-													hour: "2-digit",
-													minute: "2-digit",
-												})}
+											<div className="flex items-center gap-3 text-right">
+												<span className="font-bold text-red-600">
+													{emission.value.toFixed(2)} kg
+													CO₂
+												</span>
+												<button
+													type="button"
+													onClick={() =>
+														setEditingId(emission.id)
+													}
+													className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors"
+												>
+													Edit
+												</button>
 											</div>
 										</div>
-										<div className="text-right">
-											<span className="font-bold text-red-600">
-												{emission.value.toFixed(2)} kg
-												CO₂
-											</span>
-										</div>
-									</div>
-								))}
+									)
+								)}
 							</div>
 						) : (
 							<div className="text-center text-gray-500 py-8">
@@ -1124,7 +1203,7 @@ export default function Dashboard() {
 					<h2 className="text-2xl font-semibold mb-4">
 						Quick Actions
 					</h2>
-					<div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+					<div className="grid grid-cols-1 md:grid-cols-4 gap-4">
 						<Link
 							to="/track"
 							className="flex items-center justify-center p-4 bg-green-100 hover:bg-green-200 rounded-xl transition-colors"
@@ -1166,6 +1245,21 @@ export default function Dashboard() {
 								</div>
 							</div>
 						</div>
+
+						<Link
+							to="/achievements"
+							className="flex items-center justify-center p-4 bg-purple-100 hover:bg-purple-200 rounded-xl transition-colors w-full"
+						>
+							<div className="text-center">
+								<div className="text-3xl mb-2">🏆</div>
+								<div className="font-semibold text-purple-800">
+									Badges
+								</div>
+								<div className="text-sm text-purple-600">
+									See your achievements
+								</div>
+							</div>
+						</Link>
 					</div>
 				</div>
 			</div>
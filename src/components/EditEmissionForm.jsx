@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+import { getMaxDateTimeLocal, toDateTimeLocal } from "../utils/dateHelpers.js";
+
+export default function EditEmissionForm({ emission, onSaved, onCancel }) {
+	const [factors, setFactors] = useState([]);
+	const [category, setCategory] = useState(emission.category);
+	const [factorId, setFactorId] = useState(emission.factorId || "");
+	const [activity, setActivity] = useState(emission.activity);
+	const [quantity, setQuantity] = useState(emission.quantity ?? "");
+	const [timestamp, setTimestamp] = useState(
+		toDateTimeLocal(emission.timestamp)
+	);
+	const [error, setError] = useState("");
+	const [saving, setSaving] = useState(false);
+
+	// Load emission factors from the server-side registry
+	useEffect(() => {
+		const loadFactors = async () => {
+			try {
+				const response = await fetch(API_ENDPOINTS.FACTORS.BASE);
+
+				if (response.ok) {
+					const data = await response.json();
+					setFactors(data.factors || []);
+				}
+			} catch (error) {
+				console.error("Error loading emission factors:", error);
+			}
+		};
+
+		loadFactors();
+	}, []);
+
+	const categories = useMemo(
+		() => [...new Set(factors.map((factor) => factor.category))],
+		[factors]
+	);
+
+	const categoryFactors = factors.filter(
+		(factor) => factor.category === category
+	);
+
+	// Entries logged under an older factor version fall back to the
+	// current factor for the same activity
+	const selectedFactor =
+		factors.find((factor) => factor.id === factorId) ||
+		factors.find(
+			(factor) =>
+				factor.category === category &&
+				factor.activity === emission.activity
+		);
+
+	const handleSave = async () => {
+		setError("");
+
+		if (category !== emission.category && !factorId) {
+			setError("Please pick an activity for the new category");
+			return;
+		}
+
+		setSaving(true);
+
+		const updates = { activity };
+
+		// The picker only has minute precision, so an untouched date is
+		// left alone rather than truncating the stored timestamp
+		if (timestamp !== toDateTimeLocal(emission.timestamp)) {
+			updates.timestamp = new Date(timestamp);
+		}
+
+		// Entries logged before quantities existed may not have one
+		if (quantity !== "") updates.quantity = quantity;
+
+		// Only send a factor when the activity type was changed
+		if (
+			category !== emission.category ||
+			(factorId && factorId !== emission.factorId)
+		) {
+			updates.category = category;
+			updates.factorId = factorId;
+		} else if (
+			emission.factor === undefined &&
+			updates.quantity !== undefined &&
+			selectedFactor
+		) {
+			// Entries logged before the factor registry need one to turn
+			// the quantity into emissions
+			updates.factorId = selectedFactor.id;
+		}
+
+		try {
+			const response = await authFetch(
+				API_ENDPOINTS.EMISSIONS.updateEmission(emission.id),
+				{
+					method: "PATCH",
+					headers: {
+						"Content-Type": "application/json",
+					},
+					body: JSON.stringify(updates),
+				}
+			);
+
+			const data = await response.json();
+
+			if (response.ok) {
+				onSaved(data.emission);
+			} else {
+				setError(data.message || "Could not update activity");
+			}
+		} catch (error) {
+			console.error("Error updating emission:", error);
+			setError("Network error. Please try again.");
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<div className="p-3 bg-yellow-50 border border-yellow-300 rounded-lg space-y-3">
+			{error && (
+				<div className="p-2 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+					{error}
+				</div>
+			)}
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+				<select
+					value={category}
+					onChange={(e) => {
+						setCategory(e.target.value);
+						setFactorId("");
+					}}
+					className="px-3 py-2 rounded-lg border"
+				>
+					{categories.map((option) => (
+						<option key={option} value={option}>
+							{option}
+						</option>
+					))}
+				</select>
+				<select
+					value={factorId}
+					onChange={(e) => {
+						const factor = factors.find(
+							(f) => f.id === e.target.value
+						);
+						setFactorId(e.target.value);
+						if (factor && factor.activity !== "other") {
+							setActivity(factor.activity);
+						}
+					}}
+					className="px-3 py-2 rounded-lg border"
+				>
+					<option value="">Select Activity</option>
+					{categoryFactors.map((factor) => (
+						<option key={factor.id} value={factor.id}>
+							{factor.activity}
+						</option>
+					))}
+				</select>
+				<input
+					type="text"
+					value={activity}
+					onChange={(e) => setActivity(e.target.value)}
+					placeholder="Activity name"
+					className="px-3 py-2 rounded-lg border"
+				/>
+				<div className="flex gap-2 items-center">
+					<input
+						type="number"
+						min="0"
+						step="any"
+						value={quantity}
+						onChange={(e) => setQuantity(e.target.value)}
+						placeholder="Quantity"
+						className="flex-1 px-3 py-2 rounded-lg border"
+					/>
+					<span className="text-sm text-gray-600">
+						{selectedFactor?.unit || emission.unit}
+					</span>
+				</div>
+				<input
+					type="datetime-local"
+					value={timestamp}
+					max={getMaxDateTimeLocal()}
+					onChange={(e) => setTimestamp(e.target.value)}
+					className="px-3 py-2 rounded-lg border md:col-span-2"
+				/>
+			</div>
+			<div className="flex justify-end gap-2">
+				<button
+					type="button"
+					onClick={onCancel}
+					disabled={saving}
+					className="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+				>
+					Cancel
+				</button>
+				<button
+					type="button"
+					onClick={handleSave}
+					disabled={saving}
+					className="px-4 py-2 text-sm bg-black hover:bg-gray-800 text-white rounded-xl transition-colors disabled:opacity-50"
+				>
+					{saving ? "Saving..." : "Save"}
+				</button>
+			</div>
+		</div>
+	);
+}
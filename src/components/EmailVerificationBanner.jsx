@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { useAuth } from "../hooks/useAuth";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+// Reminds users who haven't confirmed their email yet, with a resend button
+export default function EmailVerificationBanner() {
+	const { user } = useAuth();
+	const [message, setMessage] = useState("");
+	const [sending, setSending] = useState(false);
+
+	if (!user || user.emailVerified !== false) return null;
+
+	const resend = async () => {
+		setSending(true);
+		try {
+			const response = await authFetch(
+				API_ENDPOINTS.AUTH.RESEND_VERIFICATION,
+				{ method: "POST" }
+			);
+			const data = await response.json();
+			setMessage(data.message);
+		} catch (error) {
+			console.error("Error resending verification email:", error);
+			setMessage("Network error. Please try again.");
+		} finally {
+			setSending(false);
+		}
+	};
+
+	return (
+		<div className="mb-6 p-4 bg-yellow-100 border border-yellow-400 text-yellow-800 rounded-xl flex flex-wrap justify-between items-center gap-3">
+			<div>
+				Please verify your email address ({user.email}). Check your
+				inbox for the link we sent you.
+				{message && <div className="text-sm mt-1">{message}</div>}
+			</div>
+			<button
+				type="button"
+				onClick={resend}
+				disabled={sending}
+				className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded-xl transition-colors disabled:opacity-50"
+			>
+				{sending ? "Sending..." : "Resend Email"}
+			</button>
+		</div>
+	);
+}
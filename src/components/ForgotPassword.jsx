@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import NavBar from "./NavBar";
+import landscape from "../assets/landscape.png";
+import { Link } from "react-router";
+import { API_ENDPOINTS } from "../config/api.js";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    if (!email) {
+      setError("Please enter your email");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch(API_ENDPOINTS.AUTH.FORGOT_PASSWORD, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(data.message);
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      setError("Network error. Please try again.");
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <NavBar />
+      <div className="grid place-content-center min-h-screen w-[100%] bg-amber-400 py-4">
+        <div className="bg-white w-[80vh] rounded-xl outline-1 text-black shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] overflow-hidden">
+          <img
+            src={landscape}
+            alt="landscape"
+            className="w-[100%] h-48 object-cover"
+          />
+          <div className="p-6">
+            <div className="font-bold text-3xl text-start">
+              FORGOT PASSWORD
+            </div>
+            <p className="mt-2 text-gray-600">
+              Enter the email you registered with and we'll send you a link
+              to choose a new password.
+            </p>
+            {error && (
+              <div className="mt-3 p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+                {error}
+              </div>
+            )}
+            {message && (
+              <div className="mt-3 p-3 bg-green-100 border border-green-400 text-green-700 rounded-xl">
+                {message}
+              </div>
+            )}
+            <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+              <div className="inputContainer">
+                <input
+                  type="email"
+                  placeholder="Email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="infoInputs w-full outline-1 px-4 py-3 rounded-xl border"
+                  disabled={loading}
+                />
+              </div>
+              <div className="pt-2">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full px-6 py-3 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? "Sending..." : "Send Reset Link"}
+                </button>
+              </div>
+            </form>
+            <div className="mt-4 text-center">
+              <span className="text-gray-600">Remembered it? </span>
+              <Link to="/login" className="text-blue-600 hover:underline">
+                Back to login
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
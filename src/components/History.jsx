@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from "react";
+import NavBar from "./NavBar";
+import { Link } from "react-router";
+import { useAuth } from "../hooks/useAuth";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+import { fetchEmissionsPage } from "../utils/emissionsApi.js";
+import EditEmissionForm from "./EditEmissionForm";
+import CategoryFilterChips from "./CategoryFilterChips";
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+// The server deletes at most this many entries per request
+const BULK_DELETE_BATCH_SIZE = 500;
+
+export default function History() {
+	const [factors, setFactors] = useState([]);
+	const [emissions, setEmissions] = useState([]);
+	const [nextCursor, setNextCursor] = useState(null);
+	const [totals, setTotals] = useState({ totalEmissions: 0, count: 0 });
+	const [searchInput, setSearchInput] = useState("");
+	const [search, setSearch] = useState("");
+	const [activeFilter, setActiveFilter] = useState("");
+	const [selectedIds, setSelectedIds] = useState(() => new Set());
+	const [editingId, setEditingId] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [deleting, setDeleting] = useState(false);
+	const [error, setError] = useState("");
+	const { user } = useAuth();
+
+	const sentinelRef = useRef(null);
+	const requestRef = useRef(0);
+
+	// Load emission factors from the server-side registry
+	useEffect(() => {
+		const loadFactors = async () => {
+			try {
+				const response = await fetch(API_ENDPOINTS.FACTORS.BASE);
+
+				if (response.ok) {
+					const data = await response.json();
+					setFactors(data.factors || []);
+				}
+			} catch (error) {
+				console.error("Error loading emission factors:", error);
+			}
+		};
+
+		loadFactors();
+	}, []);
+
+	// Categories to filter by - registry plus any already loaded
+	const filterCategories = useMemo(
+		() => [
+			...new Set([
+				...factors.map((factor) => factor.category),
+				...emissions.map((emission) => emission.category),
+			]),
+		],
+		[factors, emissions]
+	);
+
+	// Wait for the user to stop typing before searching
+	useEffect(() => {
+		const timer = setTimeout(
+			() => setSearch(searchInput.trim()),
+			SEARCH_DEBOUNCE_MS
+		);
+		return () => clearTimeout(timer);
+	}, [searchInput]);
+
+	// Load a page of history; without a cursor the list starts over
+	const loadPage = useCallback(
+		async (cursor) => {
+			if (!user?.id) return;
+
+			// Responses for an older search or filter are discarded
+			const requestId = ++requestRef.current;
+			setLoading(true);
+			setError("");
+
+			try {
+				const data = await fetchEmissionsPage(user.id, {
+					limit: PAGE_SIZE,
+					cursor,
+					search,
+					category: activeFilter,
+				});
+
+				if (requestId !== requestRef.current) return;
+
+				setEmissions((prev) =>
+					cursor ? [...prev, ...data.emissions] : data.emissions
+				);
+				setNextCursor(data.pagination.nextCursor);
+
+				// Totals are only returned with the first page
+				if (!cursor) {
+					setTotals({
+						totalEmissions: data.totalEmissions,
+						count: data.count,
+					});
+				}
+			} catch (error) {
+				if (requestId !== requestRef.current) return;
+				console.error("Error loading history:", error);
+				setError(error.message);
+			} finally {
+				if (requestId === requestRef.current) {
+					setLoading(false);
+				}
+			}
+		},
+		[user, search, activeFilter]
+	);
+
+	// Start over whenever the search or filter changes
+	useEffect(() => {
+		setSelectedIds(new Set());
+		setEditingId(null);
+		loadPage();
+	}, [loadPage]);
+
+	// Fetch the next page when the end of the list scrolls into view
+	useEffect(() => {
+		const sentinel = sentinelRef.current;
+		if (!sentinel || !nextCursor || loading || error) return;
+
+		const observer = new IntersectionObserver(
+			(entries) => {
+				if (entries[0].isIntersecting) {
+					loadPage(nextCursor);
+				}
+			},
+			{ rootMargin: "200px" }
+		);
+
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [nextCursor, loading, error, loadPage]);
+
+	const handleFilterClick = (filterCategory) => {
+		if (filterCategory === "Clear") {
+			setActiveFilter("");
+		} else {
+			setActiveFilter(filterCategory);
+		}
+	};
+
+	const toggleSelected = (emissionId) => {
+		setSelectedIds((prev) => {
+			const next = new Set(prev);
+			if (next.has(emissionId)) {
+				next.delete(emissionId);
+			} else {
+				next.add(emissionId);
+			}
+			return next;
+		});
+	};
+
+	const allLoadedSelected =
+		emissions.length > 0 &&
+		emissions.every((emission) => selectedIds.has(emission.id));
+
+	const toggleSelectAll = () => {
+		setSelectedIds(
+			allLoadedSelected
+				? new Set()
+				: new Set(emissions.map((emission) => emission.id))
+		);
+	};
+
+	const handleEmissionSaved = (updated) => {
+		const previous = emissions.find((emission) => emission.id === updated.id);
+
+		setEmissions((prev) =>
+			prev.map((emission) =>
+				emission.id === updated.id ? updated : emission
+			)
+		);
+		if (previous) {
+			setTotals((prev) => ({
+				...prev,
+				totalEmissions:
+					prev.totalEmissions - previous.value + updated.value,
+			}));
+		}
+		setEditingId(null);
+	};
+
+	const deleteSelected = async () => {
+		if (
+			!window.confirm(
+				`Delete ${selectedIds.size} selected ${
+					selectedIds.size === 1 ? "activity" : "activities"
+				}? This cannot be undone.`
+			)
+		) {
+			return;
+		}
+
+		setDeleting(true);
+		setError("");
+
+		// Delete in batches the server accepts, keeping track of what went
+		// so a failed batch leaves the rest selected
+		const ids = [...selectedIds];
+		const deletedIds = new Set();
+
+		try {
+			for (let i = 0; i < ids.length; i += BULK_DELETE_BATCH_SIZE) {
+				const batch = ids.slice(i, i + BULK_DELETE_BATCH_SIZE);
+				const response = await authFetch(
+					API_ENDPOINTS.EMISSIONS.BULK_DELETE,
+					{
+						method: "POST",
+						headers: {
+							"Content-Type": "application/json",
+						},
+						body: JSON.stringify({ emissionIds: batch }),
+					}
+				);
+
+				const data = await response.json();
+
+				if (!response.ok) {
+					setError(data.message || "Could not delete activities");
+					break;
+				}
+
+				batch.forEach((id) => deletedIds.add(id));
+			}
+		} catch (error) {
+			console.error("Error deleting emissions:", error);
+			setError("Network error. Please try again.");
+		} finally {
+			const removed = emissions.filter((emission) =>
+				deletedIds.has(emission.id)
+			);
+			const removedTotal = removed.reduce(
+				(sum, emission) => sum + emission.value,
+				0
+			);
+
+			setEmissions((prev) =>
+				prev.filter((emission) => !deletedIds.has(emission.id))
+			);
+			setTotals((prev) => ({
+				totalEmissions: prev.totalEmissions - removedTotal,
+				count: prev.count - removed.length,
+			}));
+			setSelectedIds(
+				(prev) => new Set([...prev].filter((id) => !deletedIds.has(id)))
+			);
+			setDeleting(false);
+		}
+	};
+
+	return (
+		<>
+			<NavBar />
+			<div className="container mx-auto px-4 mt-[120px] mb-12">
+				<div className="flex justify-between items-center mb-8">
+					<div className="text-4xl italic font-semibold">
+						Activity History
+					</div>
+					<Link
+						to="/track"
+						className="px-4 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors"
+					>
+						Add New
+					</Link>
+				</div>
+
+				<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1 mb-8">
+					<input
+						type="search"
+						value={searchInput}
+						onChange={(e) => setSearchInput(e.target.value)}
+						placeholder="Search activities..."
+						maxLength={100}
+						className="w-full px-4 py-2 rounded-xl border"
+					/>
+					<CategoryFilterChips
+						categories={filterCategories}
+						activeFilter={activeFilter}
+						onFilterClick={handleFilterClick}
+					/>
+				</div>
+
+				<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
+					<div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+						<div>
+							<h2 className="text-2xl font-semibold">
+								{totals.count}{" "}
+								{totals.count === 1 ? "activity" : "activities"}
+								{activeFilter && ` - ${activeFilter}`}
+							</h2>
+							<div className="text-gray-600">
+								{totals.totalEmissions.toFixed(2)} kg CO₂ total
+							</div>
+						</div>
+						<div className="flex items-center gap-3">
+							<label className="flex items-center gap-2 text-sm text-gray-700">
+								<input
+									type="checkbox"
+									checked={allLoadedSelected}
+									onChange={toggleSelectAll}
+									disabled={emissions.length === 0}
+								/>
+								Select all loaded
+							</label>
+							<button
+								type="button"
+								onClick={deleteSelected}
+								disabled={selectedIds.size === 0 || deleting}
+								className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								{deleting
+									? "Deleting..."
+									: `Delete Selected (${selectedIds.size})`}
+							</button>
+						</div>
+					</div>
+
+					{error && (
+						<div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+							{error}
+						</div>
+					)}
+
+					<div className="space-y-3">
+						{emissions.map((emission) =>
+							editingId === emission.id ? (
+								<EditEmissionForm
+									key={emission.id}
+									emission={emission}
+									onSaved={handleEmissionSaved}
+									onCancel={() => setEditingId(null)}
+								/>
+							) : (
+								<div
+									key={emission.id}
+									className={`flex justify-between items-center p-3 rounded-lg ${
+										selectedIds.has(emission.id)
+											? "bg-red-50"
+											: "bg-gray-50"
+									}`}
+								>
+									<label className="flex items-center gap-3 cursor-pointer">
+										<input
+											type="checkbox"
+											checked={selectedIds.has(emission.id)}
+											onChange={() =>
+												toggleSelected(emission.id)
+											}
+										/>
+										<div>
+											<div className="font-medium text-gray-800">
+												{emission.category}:{" "}
+												{emission.activity}
+												{emission.quantity !==
+													undefined && (
+													<span className="text-gray-500 font-normal">
+														{" "}
+														({emission.quantity}{" "}
+														{emission.unit})
+													</span>
+												)}
+											</div>
+											<div className="text-sm text-gray-600">
+												{new Date(
+													emission.timestamp
+												).toLocaleString()}
+											</div>
+										</div>
+									</label>
+									<div className="flex items-center gap-3">
+										<span className="font-bold text-red-600">
+											{emission.value.toFixed(2)} kg CO₂
+										</span>
+										<button
+											type="button"
+											onClick={() =>
+												setEditingId(emission.id)
+											}
+											className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors"
+										>
+											Edit
+										</button>
+									</div>
+								</div>
+							)
+						)}
+					</div>
+
+					<div ref={sentinelRef} className="py-4 text-center text-gray-500">
+						{loading
+							? "Loading..."
+							: nextCursor
+							? ""
+							: emissions.length > 0
+							? "You've reached the beginning of your history"
+							: search || activeFilter
+							? "No activities match your search"
+							: "No activities logged yet"}
+					</div>
+				</div>
+			</div>
+		</>
+	);
+}
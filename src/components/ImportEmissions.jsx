@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import NavBar from "./NavBar";
+import { Link } from "react-router";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+const SAMPLE_CSV = `date,category,activity,quantity,unit
+2025-01-06T08:30,Transport,car,24,km
+2025-01-06T13:00,Food,chicken,0.3,kg
+2025-01-07,Energy,electricity,8.5,kWh`;
+
+export default function ImportEmissions() {
+	const [csvText, setCsvText] = useState("");
+	const [fileName, setFileName] = useState("");
+	const [preview, setPreview] = useState(null);
+	const [result, setResult] = useState(null);
+	const [error, setError] = useState("");
+	const [loading, setLoading] = useState(false);
+
+	// Send the CSV to the server, as a preview or for real
+	const submitCsv = async (dryRun) => {
+		// Streak badges count days in the browser's timezone
+		const params = new URLSearchParams({
+			timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+		});
+		if (dryRun) params.set("dryRun", "true");
+
+		const response = await authFetch(
+			`${API_ENDPOINTS.EMISSIONS.IMPORT}?${params}`,
+			{
+				method: "POST",
+				headers: {
+					"Content-Type": "text/csv",
+				},
+				body: csvText,
+			}
+		);
+
+		const data = await response.json();
+		if (!response.ok) {
+			throw new Error(data.message || "Import failed");
+		}
+		return data;
+	};
+
+	const handleFileChange = (e) => {
+		const file = e.target.files[0];
+		if (!file) return;
+
+		const reader = new FileReader();
+		reader.onload = () => {
+			setCsvText(reader.result);
+			setFileName(file.name);
+			setPreview(null);
+			setResult(null);
+		};
+		reader.readAsText(file);
+	};
+
+	const handlePreview = async () => {
+		setError("");
+		setResult(null);
+		setLoading(true);
+
+		try {
+			setPreview(await submitCsv(true));
+		} catch (error) {
+			setError(error.message);
+			setPreview(null);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const handleImport = async () => {
+		setError("");
+		setLoading(true);
+
+		try {
+			setResult(await submitCsv(false));
+			setPreview(null);
+		} catch (error) {
+			setError(error.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const report = result || preview;
+
+	return (
+		<>
+			<NavBar />
+			<div className="container mx-auto px-4 mt-[120px] mb-12">
+				<div className="flex justify-between items-center mb-8">
+					<div className="text-4xl italic font-semibold">
+						Import Activities
+					</div>
+					<Link
+						to="/track"
+						className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+					>
+						Back to Track
+					</Link>
+				</div>
+
+				<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1 space-y-4">
+					<p className="text-gray-600">
+						Upload a CSV with the columns{" "}
+						<code>date, category, activity, quantity, unit</code>.
+						Activities that don't match a known factor are logged
+						against the category's "other" factor.
+					</p>
+					<pre className="p-3 bg-gray-50 rounded-lg text-sm overflow-x-auto">
+						{SAMPLE_CSV}
+					</pre>
+
+					<input
+						type="file"
+						accept=".csv,text/csv"
+						onChange={handleFileChange}
+						className="block"
+					/>
+					{fileName && (
+						<p className="text-sm text-gray-600">
+							Loaded {fileName}
+						</p>
+					)}
+
+					{error && (
+						<div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+							{error}
+						</div>
+					)}
+
+					<div className="flex gap-3">
+						<button
+							type="button"
+							onClick={handlePreview}
+							disabled={!csvText || loading}
+							className="px-6 py-2 rounded-xl outline-1 hover:bg-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+						>
+							{loading && !preview ? "Checking..." : "Preview"}
+						</button>
+						{preview && preview.acceptedCount > 0 && (
+							<button
+								type="button"
+								onClick={handleImport}
+								disabled={loading}
+								className="px-6 py-2 rounded-xl bg-black text-white hover:bg-gray-800 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] disabled:opacity-50 transition-colors"
+							>
+								{loading
+									? "Importing..."
+									: `Import ${preview.acceptedCount} rows`}
+							</button>
+						)}
+					</div>
+				</div>
+
+				{report && (
+					<div className="mt-8 bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
+						<h2 className="text-2xl font-semibold mb-2">
+							{result ? "Import Report" : "Preview"}
+						</h2>
+						<p className="text-gray-600 mb-4">
+							{report.message} - {report.acceptedCount} accepted,{" "}
+							{report.rejectedCount} rejected
+						</p>
+						<div className="space-y-2 max-h-[32rem] overflow-y-auto">
+							{report.rows.map((row) => (
+								<div
+									key={row.row}
+									className={`flex justify-between items-center p-3 rounded-lg ${
+										row.status === "accepted"
+											? "bg-green-50 border border-green-200"
+											: "bg-red-50 border border-red-200"
+									}`}
+								>
+									<div>
+										<div className="font-medium">
+											Row {row.row}:{" "}
+											{row.emission
+												? `${row.emission.category}: ${row.emission.activity} (${row.emission.quantity} ${row.emission.unit})`
+												: `${row.record.category}: ${row.record.activity}`}
+										</div>
+										{row.errors.length > 0 && (
+											<div className="text-sm text-red-700">
+												{row.errors.join(", ")}
+											</div>
+										)}
+									</div>
+									{row.emission && (
+										<div className="font-bold text-red-600">
+											{row.emission.value.toFixed(2)} kg
+											CO₂
+										</div>
+									)}
+								</div>
+							))}
+						</div>
+					</div>
+				)}
+			</div>
+		</>
+	);
+}
@@ -3,39 +3,121 @@ import NavBar from "./NavBar";
 import { useAuth } from "../hooks/useAuth";
 import { Link } from "react-router";
 import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+const RANKING_TABS = [
+	{ value: "lowest", label: "Lowest Footprint" },
+	{ value: "reduction", label: "Biggest Reduction" },
+];
+
+const WINDOW_TABS = [
+	{ value: "week", label: "This Week" },
+	{ value: "month", label: "This Month" },
+	{ value: "all", label: "All Time" },
+];
+
+const NORMALISE_TABS = [
+	{ value: "total", label: "Total" },
+	{ value: "day", label: "Per Logged Day" },
+	{ value: "activity", label: "Per Activity" },
+];
+
+const SCORE_UNITS = {
+	total: "kg CO₂",
+	day: "kg CO₂/day",
+	activity: "kg CO₂/activity",
+	reduction: "% lower than baseline",
+};
 
 export default function Leaderboard() {
 	const [leaderboard, setLeaderboard] = useState([]);
+	const [currentUserEntry, setCurrentUserEntry] = useState(null);
+	const [participants, setParticipants] = useState(0);
+	const [eligibility, setEligibility] = useState(null);
+	const [teams, setTeams] = useState([]);
+	const [options, setOptions] = useState({
+		ranking: "lowest",
+		window: "month",
+		normalise: "total",
+		teamId: "",
+	});
 	const [loading, setLoading] = useState(true);
 	const { user } = useAuth();
 
-	// Load leaderboard data
+	// Teams the user can scope the leaderboard to
+	useEffect(() => {
+		const loadTeams = async () => {
+			try {
+				const response = await authFetch(API_ENDPOINTS.TEAMS.BASE);
+				if (response.ok) {
+					const data = await response.json();
+					setTeams(data.teams);
+				}
+			} catch (error) {
+				console.error("Error loading teams:", error);
+			}
+		};
+
+		loadTeams();
+	}, []);
+
+	// Load leaderboard data whenever the options change
 	useEffect(() => {
 		const loadLeaderboard = async () => {
+			const params = new URLSearchParams({
+				ranking: options.ranking,
+				window: options.window,
+				normalise: options.normalise,
+				scope: options.teamId ? "team" : "global",
+			});
+			if (options.teamId) params.set("teamId", options.teamId);
+
 			try {
-				const response = await fetch(
-					API_ENDPOINTS.EMISSIONS.USER_TOTALS
+				const response = await authFetch(
+					`${API_ENDPOINTS.EMISSIONS.LEADERBOARD}?${params}`
 				);
 
 				if (response.ok) {
 					const data = await response.json();
-					if (data.success && data.users) {
-						setLeaderboard(data.users);
-					} else {
-						setLeaderboard([]);
-					}
+					setLeaderboard(data.leaderboard || []);
+					setCurrentUserEntry(data.currentUser);
+					setParticipants(data.participants || 0);
+					setEligibility(data.eligibility);
 				} else {
 					setLeaderboard([]);
+					setCurrentUserEntry(null);
 				}
 			} catch (error) {
+				console.error("Error loading leaderboard:", error);
 				setLeaderboard([]);
+				setCurrentUserEntry(null);
 			} finally {
 				setLoading(false);
 			}
 		};
 
 		loadLeaderboard();
-	}, []);
+	}, [options]);
+
+	const setOption = (name, value) => {
+		setOptions((prev) => ({ ...prev, [name]: value }));
+	};
+
+	// Reduction is measured against the time before the window, so there
+	// is no all-time reduction board
+	const setRanking = (ranking) => {
+		setOptions((prev) => ({
+			...prev,
+			ranking,
+			window:
+				ranking === "reduction" && prev.window === "all"
+					? "month"
+					: prev.window,
+		}));
+	};
+
+	const isReduction = options.ranking === "reduction";
+	const scoreUnit = SCORE_UNITS[isReduction ? "reduction" : options.normalise];
 
 	if (loading) {
 		return (
@@ -63,6 +145,119 @@ export default function Leaderboard() {
 					</p>
 				</div>
 
+				{/* Options */}
+				<div className="max-w-4xl mx-auto mb-6 space-y-4">
+					<div className="flex flex-wrap justify-center gap-3">
+						{RANKING_TABS.map((tab) => (
+							<TabButton
+								key={tab.value}
+								active={options.ranking === tab.value}
+								onClick={() => setRanking(tab.value)}
+							>
+								{tab.label}
+							</TabButton>
+						))}
+					</div>
+					<div className="flex flex-wrap justify-center gap-3">
+						{WINDOW_TABS.filter(
+							(tab) => !isReduction || tab.value !== "all"
+						).map((tab) => (
+							<TabButton
+								key={tab.value}
+								active={options.window === tab.value}
+								onClick={() => setOption("window", tab.value)}
+							>
+								{tab.label}
+							</TabButton>
+						))}
+					</div>
+					{!isReduction && (
+						<div className="flex flex-wrap justify-center gap-3">
+							{NORMALISE_TABS.map((tab) => (
+								<TabButton
+									key={tab.value}
+									active={options.normalise === tab.value}
+									onClick={() =>
+										setOption("normalise", tab.value)
+									}
+								>
+									{tab.label}
+								</TabButton>
+							))}
+						</div>
+					)}
+					{teams.length > 0 && (
+						<div className="flex flex-wrap justify-center gap-3">
+							<TabButton
+								active={!options.teamId}
+								onClick={() => setOption("teamId", "")}
+							>
+								Everyone
+							</TabButton>
+							{teams.map((team) => (
+								<TabButton
+									key={team.id}
+									active={options.teamId === team.id}
+									onClick={() => setOption("teamId", team.id)}
+								>
+									{team.name}
+								</TabButton>
+							))}
+						</div>
+					)}
+				</div>
+
+				{/* Current user's rank and the eligibility rules */}
+				<div className="max-w-4xl mx-auto mb-6 space-y-4">
+					<div className="p-4 rounded-xl bg-green-50 border border-green-200 text-center">
+						{currentUserEntry?.eligible ? (
+							<>
+								<span className="font-semibold">
+									Your rank: #{currentUserEntry.rank} of{" "}
+									{participants}
+								</span>{" "}
+								· {currentUserEntry.score} {scoreUnit}
+							</>
+						) : user.leaderboardVisibility === "hidden" ? (
+							<>
+								You're hidden from leaderboards. You can change
+								this on your{" "}
+								<Link to="/profile" className="underline">
+									profile
+								</Link>
+								.
+							</>
+						) : currentUserEntry && eligibility ? (
+							<>
+								<span className="font-semibold">
+									Not ranked yet:
+								</span>{" "}
+								you've logged {currentUserEntry.loggedDays} of{" "}
+								{eligibility.minLoggedDays} days needed
+								{eligibility.baseline &&
+									` and ${currentUserEntry.baselineDays} of ${eligibility.baseline.minLoggedDays} baseline days`}
+								.
+							</>
+						) : options.teamId ? (
+							"You're not on this team's leaderboard - share your emissions with the team to take part."
+						) : (
+							"You're not ranked yet - log some activities to join in."
+						)}
+					</div>
+					{eligibility && (
+						<div className="p-4 rounded-xl bg-gray-50 border text-sm text-gray-700">
+							<div className="font-semibold mb-1">
+								How this leaderboard works
+							</div>
+							<ul className="list-disc list-inside space-y-1">
+								{eligibility.rules.map((rule) => (
+									<li key={rule}>{rule}</li>
+								))}
+							</ul>
+						</div>
+					)}
+				</div>
+
 				{/* Leaderboard */}
 				<div className="max-w-4xl mx-auto">
 					<div className="bg-white rounded-xl p-8 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
@@ -79,8 +274,7 @@ export default function Leaderboard() {
 											.map((leaderboardUser, index) => {
 												const position = index + 1;
 												const isCurrentUser =
-													leaderboardUser.userId?.toString() ===
-													user?.id?.toString();
+													leaderboardUser.isCurrentUser;
 												const heights = [
 													"h-32",
 													"h-40",
@@ -92,9 +286,7 @@ export default function Leaderboard() {
 
 												return (
 													<div
-														key={
-															leaderboardUser.userId
-														}
+														key={index}
 														className={`flex flex-col items-center ${
 															heights[actualIndex]
 														} justify-end p-4 rounded-xl transition-all ${
@@ -114,8 +306,9 @@ export default function Leaderboard() {
 																		: "text-gray-800"
 																}`}
 															>
-																{leaderboardUser.userName ||
-																	"Anonymous"}
+																{
+																	leaderboardUser.displayName
+																}
 																{isCurrentUser && (
 																	<div className="text-xs text-green-600">
 																		(You!)
@@ -147,9 +340,9 @@ export default function Leaderboard() {
 																}`}
 															>
 																{
-																	leaderboardUser.totalEmissions
+																	leaderboardUser.score
 																}{" "}
-																kg CO₂
+																{scoreUnit}
 															</div>
 															{position === 1 && (
 																<div className="text-xs text-yellow-700 font-medium mt-1">
@@ -173,15 +366,13 @@ export default function Leaderboard() {
 										{leaderboard.map(
 											(leaderboardUser, index) => {
 												const isCurrentUser =
-													leaderboardUser.userId?.toString() ===
-													user?.id?.toString();
-												const position = index + 1;
+													leaderboardUser.isCurrentUser;
+												const position =
+													leaderboardUser.rank;
 
 												return (
 													<div
-														key={
-															leaderboardUser.userId
-														}
+														key={index}
 														className={`flex items-center justify-between p-4 rounded-lg transition-all ${
 															isCurrentUser
 																? "bg-green-100 border-2 border-green-300 transform scale-102"
@@ -208,8 +399,9 @@ export default function Leaderboard() {
 																			: "text-gray-800"
 																	}`}
 																>
-																	{leaderboardUser.userName ||
-																		"Anonymous"}
+																	{
+																		leaderboardUser.displayName
+																	}
 																	{isCurrentUser && (
 																		<span className="ml-2 px-2 py-1 text-xs bg-green-200 text-green-800 rounded-full">
 																			You
@@ -234,9 +426,9 @@ export default function Leaderboard() {
 																}`}
 															>
 																{
-																	leaderboardUser.totalEmissions
+																	leaderboardUser.score
 																}{" "}
-																kg CO₂
+																{scoreUnit}
 															</div>
 															{position <= 3 && (
 																<div className="text-xs text-green-600 font-medium">
@@ -265,7 +457,7 @@ export default function Leaderboard() {
 									<div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
 										<div>
 											<div className="text-2xl font-bold text-green-600">
-												{leaderboard.length}
+												{participants}
 											</div>
 											<div className="text-sm text-gray-600">
 												Active Eco Champions
@@ -326,3 +518,16 @@ export default function Leaderboard() {
 		</>
 	);
 }
+
+function TabButton({ active, onClick, children }) {
+	return (
+		<button
+			onClick={onClick}
+			className={`px-4 py-2 rounded-xl border transition-colors ${
+				active ? "bg-black text-white" : "bg-white hover:bg-gray-100"
+			}`}
+		>
+			{children}
+		</button>
+	);
+}
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import NavBar from "./NavBar";
 import landscape from "../assets/landscape.png";
-import { Link, useNavigate } from "react-router";
+import { Link, useLocation, useNavigate } from "react-router";
 import { useAuth } from "../hooks/useAuth";
 
 export default function Login() {
@@ -11,6 +11,9 @@ export default function Login() {
   const [loading, setLoading] = useState(false);
   const { login, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Set when arriving here after a password reset
+  const notice = location.state?.message;
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -53,6 +56,11 @@ export default function Login() {
           />
           <div className="p-6">
             <div className="font-bold text-3xl text-start">LOGIN</div>
+            {notice && !error && (
+              <div className="mt-3 p-3 bg-green-100 border border-green-400 text-green-700 rounded-xl">
+                {notice}
+              </div>
+            )}
             {error && (
               <div className="mt-3 p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
                 {error}
@@ -79,6 +87,14 @@ export default function Login() {
                   disabled={loading}
                 />
               </div>
+              <div className="text-right">
+                <Link
+                  to="/forgot-password"
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Forgot password?
+                </Link>
+              </div>
               <div className="pt-2">
                 <button
                   type="submit"
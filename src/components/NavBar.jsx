@@ -33,16 +33,31 @@ export default function NavBar() {
 									Track
 								</div>
 							</Link>
+							<Link to="/history">
+								<div className="px-10 py-2 mx-5 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer">
+									History
+								</div>
+							</Link>
 							<Link to="/leaderboard">
 								<div className="px-10 py-2 mx-5 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer">
 									Leaderboard
 								</div>
 							</Link>
+							<Link to="/teams">
+								<div className="px-10 py-2 mx-5 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer">
+									Teams
+								</div>
+							</Link>
 							<Link to="/analytics">
 								<div className="px-10 py-2 mx-5 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer">
 									Analytics
 								</div>
 							</Link>
+							<Link to="/profile">
+								<div className="px-10 py-2 mx-5 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer">
+									Profile
+								</div>
+							</Link>
 							<div className="px-4 py-2 mx-2 text-black">
 								Welcome, {user?.name}!
 							</div>
@@ -0,0 +1,485 @@
+import React, { useState } from "react";
+import NavBar from "./NavBar";
+import { useNavigate } from "react-router";
+import { useAuth } from "../hooks/useAuth";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+const CARD_CLASS =
+	"bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1";
+const INPUT_CLASS = "w-full px-4 py-2 rounded-xl border";
+
+export default function Profile() {
+	return (
+		<>
+			<NavBar />
+			<div className="container mx-auto px-4 mt-[120px] mb-12 max-w-3xl">
+				<div className="text-4xl italic font-semibold mb-8">
+					Your Profile
+				</div>
+				<div className="space-y-8">
+					<ProfileDetails />
+					<LeaderboardPrivacy />
+					<ChangePassword />
+					<Sessions />
+					<DataExport />
+					<DeleteAccount />
+				</div>
+			</div>
+		</>
+	);
+}
+
+// Success or error message shown under a form
+function FormStatus({ status }) {
+	if (!status) return null;
+
+	return (
+		<div
+			className={`p-3 rounded-xl border ${
+				status.success
+					? "bg-green-100 border-green-400 text-green-700"
+					: "bg-red-100 border-red-400 text-red-700"
+			}`}
+		>
+			{status.message}
+		</div>
+	);
+}
+
+function ProfileDetails() {
+	const { user, updateProfile } = useAuth();
+	const [form, setForm] = useState({
+		name: user.name,
+		surname: user.surname,
+		email: user.email,
+		currentPassword: "",
+	});
+	const [status, setStatus] = useState(null);
+	const [saving, setSaving] = useState(false);
+
+	const emailChanged = form.email.trim().toLowerCase() !== user.email;
+
+	const handleChange = (e) => {
+		setForm({ ...form, [e.target.name]: e.target.value });
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setSaving(true);
+		setStatus(null);
+
+		const updates = { name: form.name, surname: form.surname };
+		if (emailChanged) {
+			updates.email = form.email;
+			updates.currentPassword = form.currentPassword;
+		}
+
+		const result = await updateProfile(updates);
+		setStatus(result);
+		if (result.success) {
+			setForm((prev) => ({ ...prev, currentPassword: "" }));
+		}
+		setSaving(false);
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className={`${CARD_CLASS} space-y-4`}>
+			<h2 className="text-2xl font-semibold">Details</h2>
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<input
+					name="name"
+					placeholder="Name"
+					value={form.name}
+					onChange={handleChange}
+					className={INPUT_CLASS}
+				/>
+				<input
+					name="surname"
+					placeholder="Surname"
+					value={form.surname}
+					onChange={handleChange}
+					className={INPUT_CLASS}
+				/>
+			</div>
+			<div>
+				<input
+					type="email"
+					name="email"
+					placeholder="Email"
+					value={form.email}
+					onChange={handleChange}
+					className={INPUT_CLASS}
+				/>
+				<div className="text-sm text-gray-600 mt-1">
+					{user.emailVerified
+						? "✅ Verified"
+						: "⚠️ Not verified yet - check your inbox"}
+				</div>
+			</div>
+			{emailChanged && (
+				<div>
+					<input
+						type="password"
+						name="currentPassword"
+						placeholder="Current password"
+						value={form.currentPassword}
+						onChange={handleChange}
+						className={INPUT_CLASS}
+					/>
+					<div className="text-sm text-gray-600 mt-1">
+						Changing your email needs your password, and you'll
+						have to verify the new address.
+					</div>
+				</div>
+			)}
+			<FormStatus status={status} />
+			<button
+				type="submit"
+				disabled={saving}
+				className="px-6 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50"
+			>
+				{saving ? "Saving..." : "Save Changes"}
+			</button>
+		</form>
+	);
+}
+
+const VISIBILITY_OPTIONS = [
+	{
+		value: "public",
+		label: "Show my display name",
+		description:
+			"Your display name, or your first name if you leave it blank.",
+	},
+	{
+		value: "pseudonym",
+		label: "Use a pseudonym",
+		description:
+			"A made-up name that stays the same, so only you know it's you.",
+	},
+	{
+		value: "hidden",
+		label: "Hide me",
+		description: "Leave leaderboards out entirely.",
+	},
+];
+
+function LeaderboardPrivacy() {
+	const { user, updateProfile } = useAuth();
+	const [form, setForm] = useState({
+		displayName: user.displayName || "",
+		leaderboardVisibility: user.leaderboardVisibility || "public",
+	});
+	const [status, setStatus] = useState(null);
+	const [saving, setSaving] = useState(false);
+
+	const handleChange = (e) => {
+		setForm({ ...form, [e.target.name]: e.target.value });
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setSaving(true);
+		setStatus(null);
+
+		setStatus(await updateProfile(form));
+		setSaving(false);
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className={`${CARD_CLASS} space-y-4`}>
+			<h2 className="text-2xl font-semibold">Leaderboard Privacy</h2>
+			<div>
+				<input
+					name="displayName"
+					placeholder={`Display name (defaults to ${user.name})`}
+					value={form.displayName}
+					onChange={handleChange}
+					maxLength={50}
+					className={INPUT_CLASS}
+				/>
+				<div className="text-sm text-gray-600 mt-1">
+					Shown on leaderboards instead of your real name.
+				</div>
+			</div>
+			<div className="space-y-2">
+				{VISIBILITY_OPTIONS.map((option) => (
+					<label
+						key={option.value}
+						className="flex items-start gap-3 cursor-pointer"
+					>
+						<input
+							type="radio"
+							name="leaderboardVisibility"
+							value={option.value}
+							checked={form.leaderboardVisibility === option.value}
+							onChange={handleChange}
+							className="mt-1"
+						/>
+						<span>
+							<span className="font-medium">{option.label}</span>
+							<span className="block text-sm text-gray-600">
+								{option.description}
+							</span>
+						</span>
+					</label>
+				))}
+			</div>
+			<FormStatus status={status} />
+			<button
+				type="submit"
+				disabled={saving}
+				className="px-6 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50"
+			>
+				{saving ? "Saving..." : "Save Privacy Settings"}
+			</button>
+		</form>
+	);
+}
+
+function ChangePassword() {
+	const { changePassword } = useAuth();
+	const [form, setForm] = useState({
+		currentPassword: "",
+		newPassword: "",
+		confirmPassword: "",
+	});
+	const [status, setStatus] = useState(null);
+	const [saving, setSaving] = useState(false);
+
+	const handleChange = (e) => {
+		setForm({ ...form, [e.target.name]: e.target.value });
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setStatus(null);
+
+		if (form.newPassword.length < 6) {
+			setStatus({
+				success: false,
+				message: "Password must be at least 6 characters long",
+			});
+			return;
+		}
+
+		if (form.newPassword !== form.confirmPassword) {
+			setStatus({ success: false, message: "Passwords do not match" });
+			return;
+		}
+
+		setSaving(true);
+		const result = await changePassword(
+			form.currentPassword,
+			form.newPassword
+		);
+		setStatus(result);
+		if (result.success) {
+			setForm({
+				currentPassword: "",
+				newPassword: "",
+				confirmPassword: "",
+			});
+		}
+		setSaving(false);
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className={`${CARD_CLASS} space-y-4`}>
+			<h2 className="text-2xl font-semibold">Change Password</h2>
+			<input
+				type="password"
+				name="currentPassword"
+				placeholder="Current password"
+				value={form.currentPassword}
+				onChange={handleChange}
+				className={INPUT_CLASS}
+			/>
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<input
+					type="password"
+					name="newPassword"
+					placeholder="New password"
+					value={form.newPassword}
+					onChange={handleChange}
+					className={INPUT_CLASS}
+				/>
+				<input
+					type="password"
+					name="confirmPassword"
+					placeholder="Confirm new password"
+					value={form.confirmPassword}
+					onChange={handleChange}
+					className={INPUT_CLASS}
+				/>
+			</div>
+			<div className="text-sm text-gray-600">
+				Your other devices will be signed out.
+			</div>
+			<FormStatus status={status} />
+			<button
+				type="submit"
+				disabled={saving}
+				className="px-6 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50"
+			>
+				{saving ? "Saving..." : "Change Password"}
+			</button>
+		</form>
+	);
+}
+
+function Sessions() {
+	const { logoutAllDevices } = useAuth();
+	const [status, setStatus] = useState(null);
+	const navigate = useNavigate();
+
+	const handleLogoutAll = async () => {
+		if (!window.confirm("Log out of every device you are signed in on?")) {
+			return;
+		}
+
+		const result = await logoutAllDevices();
+		if (result.success) {
+			navigate("/");
+		} else {
+			setStatus(result);
+		}
+	};
+
+	return (
+		<div className={`${CARD_CLASS} space-y-4`}>
+			<h2 className="text-2xl font-semibold">Sessions</h2>
+			<p className="text-gray-600">
+				Signed in somewhere you don't recognise? Log out everywhere,
+				including this device.
+			</p>
+			<FormStatus status={status} />
+			<button
+				type="button"
+				onClick={handleLogoutAll}
+				className="px-6 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+			>
+				Log Out All Devices
+			</button>
+		</div>
+	);
+}
+
+function DataExport() {
+	const [status, setStatus] = useState(null);
+	const [exporting, setExporting] = useState(false);
+
+	const downloadData = async () => {
+		setExporting(true);
+		setStatus(null);
+
+		try {
+			const response = await authFetch(API_ENDPOINTS.AUTH.DATA_EXPORT);
+
+			if (!response.ok) {
+				const data = await response.json();
+				setStatus({ success: false, message: data.message });
+				return;
+			}
+
+			const blob = await response.blob();
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement("a");
+			link.href = url;
+			link.download = "footprint-data-export.zip";
+			link.click();
+			URL.revokeObjectURL(url);
+		} catch (error) {
+			console.error("Error exporting account data:", error);
+			setStatus({
+				success: false,
+				message: "Export failed. Please try again.",
+			});
+		} finally {
+			setExporting(false);
+		}
+	};
+
+	return (
+		<div className={`${CARD_CLASS} space-y-4`}>
+			<h2 className="text-2xl font-semibold">Your Data</h2>
+			<p className="text-gray-600">
+				Download a copy of everything we store about you: your
+				profile, activities, goals, badges, team memberships and
+				sign-in sessions.
+			</p>
+			<FormStatus status={status} />
+			<button
+				type="button"
+				onClick={downloadData}
+				disabled={exporting}
+				className="px-6 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors disabled:opacity-50"
+			>
+				{exporting ? "Preparing..." : "Download My Data"}
+			</button>
+		</div>
+	);
+}
+
+function DeleteAccount() {
+	const { deleteAccount } = useAuth();
+	const [password, setPassword] = useState("");
+	const [status, setStatus] = useState(null);
+	const [deleting, setDeleting] = useState(false);
+	const navigate = useNavigate();
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (
+			!window.confirm(
+				"Delete your account and all of your data? This cannot be undone."
+			)
+		) {
+			return;
+		}
+
+		setDeleting(true);
+		setStatus(null);
+
+		const result = await deleteAccount(password);
+		if (result.success) {
+			navigate("/");
+			return;
+		}
+
+		setStatus(result);
+		setDeleting(false);
+	};
+
+	return (
+		<form
+			onSubmit={handleSubmit}
+			className={`${CARD_CLASS} space-y-4 border-red-400`}
+		>
+			<h2 className="text-2xl font-semibold text-red-700">
+				Delete Account
+			</h2>
+			<p className="text-gray-600">
+				Permanently removes your account with all of your activities,
+				goals and badges, and any organisations and teams you created.
+			</p>
+			<input
+				type="password"
+				placeholder="Confirm with your password"
+				value={password}
+				onChange={(e) => setPassword(e.target.value)}
+				className={INPUT_CLASS}
+			/>
+			<FormStatus status={status} />
+			<button
+				type="submit"
+				disabled={deleting || !password}
+				className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+			>
+				{deleting ? "Deleting..." : "Delete My Account"}
+			</button>
+		</form>
+	);
+}
@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import NavBar from "./NavBar";
+import landscape from "../assets/landscape.png";
+import { Link, useNavigate, useSearchParams } from "react-router";
+import { API_ENDPOINTS } from "../config/api.js";
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!password || !confirmPassword) {
+      setError("Please fill in all fields");
+      return;
+    }
+
+    if (password.length < 6) {
+      setError("Password must be at least 6 characters long");
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch(API_ENDPOINTS.AUTH.RESET_PASSWORD, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token, password }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        navigate("/login", { state: { message: data.message } });
+        return;
+      }
+
+      setError(data.message);
+    } catch (error) {
+      console.error("Reset password error:", error);
+      setError("Network error. Please try again.");
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <NavBar />
+      <div className="grid place-content-center min-h-screen w-[100%] bg-amber-400 py-4">
+        <div className="bg-white w-[80vh] rounded-xl outline-1 text-black shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] overflow-hidden">
+          <img
+            src={landscape}
+            alt="landscape"
+            className="w-[100%] h-48 object-cover"
+          />
+          <div className="p-6">
+            <div className="font-bold text-3xl text-start">
+              RESET PASSWORD
+            </div>
+            {!token ? (
+              <div className="mt-3 p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+                This reset link is missing its token. Please request a new
+                one.
+              </div>
+            ) : (
+              <>
+                {error && (
+                  <div className="mt-3 p-3 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+                    {error}
+                  </div>
+                )}
+                <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+                  <div className="inputContainer">
+                    <input
+                      type="password"
+                      placeholder="New Password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="infoInputs w-full outline-1 px-4 py-3 rounded-xl border"
+                      disabled={loading}
+                    />
+                  </div>
+                  <div className="inputContainer">
+                    <input
+                      type="password"
+                      placeholder="Confirm New Password"
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className="infoInputs w-full outline-1 px-4 py-3 rounded-xl border"
+                      disabled={loading}
+                    />
+                  </div>
+                  <div className="pt-2">
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full px-6 py-3 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {loading ? "Saving..." : "Set New Password"}
+                    </button>
+                  </div>
+                </form>
+              </>
+            )}
+            <div className="mt-4 text-center">
+              <Link
+                to="/forgot-password"
+                className="text-blue-600 hover:underline"
+              >
+                Request a new reset link
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,479 @@
+import React, { useState, useEffect, useCallback } from "react";
+import NavBar from "./NavBar";
+import { useAuth } from "../hooks/useAuth";
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+
+const CARD_CLASS =
+	"bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1";
+const INPUT_CLASS = "w-full px-4 py-2 rounded-xl border";
+const BUTTON_CLASS =
+	"px-6 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50";
+
+// Send a JSON request and return { success, message, data }
+const sendRequest = async (url, method, body) => {
+	try {
+		const response = await authFetch(url, {
+			method,
+			headers: { "Content-Type": "application/json" },
+			body: body && JSON.stringify(body),
+		});
+		const data = await response.json();
+
+		return { success: response.ok, message: data.message, data };
+	} catch (error) {
+		console.error("Team request error:", error);
+		return { success: false, message: "Network error. Please try again." };
+	}
+};
+
+export default function Teams() {
+	const { user } = useAuth();
+	const [teams, setTeams] = useState([]);
+	const [selectedTeamId, setSelectedTeamId] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState("");
+
+	const canManage = user.role === "team-admin" || user.role === "admin";
+
+	const loadTeams = useCallback(async () => {
+		try {
+			const response = await authFetch(API_ENDPOINTS.TEAMS.BASE);
+			const result = await response.json();
+
+			if (response.ok) {
+				setTeams(result.teams);
+				setSelectedTeamId((current) =>
+					result.teams.some((team) => team.id === current)
+						? current
+						: result.teams[0]?.id || null
+				);
+			} else {
+				setError(result.message || "Could not load teams");
+			}
+		} catch (error) {
+			console.error("Error loading teams:", error);
+			setError("Network error. Please try again.");
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		loadTeams();
+	}, [loadTeams]);
+
+	return (
+		<>
+			<NavBar />
+			<div className="container mx-auto px-4 mt-[120px] mb-12">
+				<div className="text-4xl italic font-semibold mb-8">
+					Team Footprint
+				</div>
+
+				{loading && (
+					<div className="text-center py-12">
+						<div className="text-4xl mb-4">👥</div>
+						<div className="text-xl font-semibold">
+							Loading Teams...
+						</div>
+					</div>
+				)}
+
+				{error && (
+					<div className="p-3 mb-6 bg-red-100 border border-red-400 text-red-700 rounded-xl">
+						{error}
+					</div>
+				)}
+
+				{!loading && (
+					<div className="space-y-8">
+						{teams.length > 0 && (
+							<div className="flex flex-wrap gap-3">
+								{teams.map((team) => (
+									<button
+										key={team.id}
+										onClick={() => setSelectedTeamId(team.id)}
+										className={`px-4 py-2 rounded-xl border transition-colors ${
+											team.id === selectedTeamId
+												? "bg-black text-white"
+												: "bg-white hover:bg-gray-100"
+										}`}
+									>
+										{team.name}
+										<span className="text-sm opacity-70">
+											{" "}
+											· {team.organisation.name}
+										</span>
+									</button>
+								))}
+							</div>
+						)}
+
+						{selectedTeamId && (
+							<TeamSummary
+								key={selectedTeamId}
+								teamId={selectedTeamId}
+								onLeave={loadTeams}
+							/>
+						)}
+
+						<JoinTeam onJoined={loadTeams} />
+
+						{canManage && (
+							<ManageOrganisations onChange={loadTeams} />
+						)}
+					</div>
+				)}
+			</div>
+		</>
+	);
+}
+
+function TeamSummary({ teamId, onLeave }) {
+	const [data, setData] = useState(null);
+	const [status, setStatus] = useState(null);
+
+	const loadSummary = useCallback(async () => {
+		try {
+			const response = await authFetch(
+				API_ENDPOINTS.TEAMS.getSummary(teamId)
+			);
+			const result = await response.json();
+
+			if (response.ok) {
+				setData(result);
+			} else {
+				setStatus({ success: false, message: result.message });
+			}
+		} catch (error) {
+			console.error("Error loading team summary:", error);
+			setStatus({
+				success: false,
+				message: "Network error. Please try again.",
+			});
+		}
+	}, [teamId]);
+
+	useEffect(() => {
+		loadSummary();
+	}, [loadSummary]);
+
+	const toggleSharing = async () => {
+		const result = await sendRequest(
+			API_ENDPOINTS.TEAMS.membership(teamId),
+			"PATCH",
+			{ shareEmissions: !data.shareEmissions }
+		);
+		setStatus(result);
+		if (result.success) loadSummary();
+	};
+
+	const leaveTeam = async () => {
+		if (!window.confirm(`Leave ${data.team.name}?`)) return;
+
+		const result = await sendRequest(
+			API_ENDPOINTS.TEAMS.membership(teamId),
+			"DELETE"
+		);
+		if (result.success) {
+			onLeave();
+		} else {
+			setStatus(result);
+		}
+	};
+
+	if (!data) {
+		return status ? <FormStatus status={status} /> : null;
+	}
+
+	const { summary } = data;
+	const maxCategory = summary.byCategory[0]?.totalEmissions || 0;
+
+	return (
+		<div className="space-y-6">
+			<div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+				<div className={`${CARD_CLASS} text-center`}>
+					<div className="text-3xl font-bold text-green-600">
+						{summary.totalEmissions.toFixed(1)} kg
+					</div>
+					<div className="text-gray-600">Team Total CO₂</div>
+				</div>
+				<div className={`${CARD_CLASS} text-center`}>
+					<div className="text-3xl font-bold text-blue-600">
+						{summary.averagePerMember.toFixed(1)} kg
+					</div>
+					<div className="text-gray-600">Average per Member</div>
+				</div>
+				<div className={`${CARD_CLASS} text-center`}>
+					<div className="text-3xl font-bold text-purple-600">
+						{summary.sharingMembers} / {summary.memberCount}
+					</div>
+					<div className="text-gray-600">Members Sharing</div>
+				</div>
+			</div>
+
+			<div className={CARD_CLASS}>
+				<h2 className="text-2xl font-semibold mb-4">By Category</h2>
+				{summary.byCategory.length === 0 ? (
+					<p className="text-gray-600">
+						No shared activities yet. Totals only include members
+						who choose to share.
+					</p>
+				) : (
+					<div className="space-y-3">
+						{summary.byCategory.map((category) => (
+							<div key={category.category}>
+								<div className="flex justify-between mb-1">
+									<span className="capitalize">
+										{category.category}
+									</span>
+									<span className="font-semibold">
+										{category.totalEmissions.toFixed(1)} kg
+									</span>
+								</div>
+								<div className="w-full bg-gray-200 rounded-full h-2">
+									<div
+										className="bg-green-500 h-2 rounded-full"
+										style={{
+											width: `${
+												(category.totalEmissions /
+													maxCategory) *
+												100
+											}%`,
+										}}
+									/>
+								</div>
+							</div>
+						))}
+					</div>
+				)}
+			</div>
+
+			<div className={`${CARD_CLASS} space-y-4`}>
+				<h2 className="text-2xl font-semibold">Your Membership</h2>
+				<p className="text-gray-600">
+					{data.shareEmissions
+						? "Your emissions count towards this team's totals. Teammates only see the combined figures, never a per-person breakdown."
+						: "Your emissions are private. Share them to count towards this team's totals - teammates only see the combined figures."}
+				</p>
+				<FormStatus status={status} />
+				<div className="flex gap-4">
+					<button onClick={toggleSharing} className={BUTTON_CLASS}>
+						{data.shareEmissions
+							? "Stop Sharing"
+							: "Share My Emissions"}
+					</button>
+					<button
+						onClick={leaveTeam}
+						className="px-6 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-xl transition-colors"
+					>
+						Leave Team
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+function JoinTeam({ onJoined }) {
+	const [inviteCode, setInviteCode] = useState("");
+	const [status, setStatus] = useState(null);
+	const [joining, setJoining] = useState(false);
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setJoining(true);
+
+		const result = await sendRequest(API_ENDPOINTS.TEAMS.JOIN, "POST", {
+			inviteCode,
+		});
+		setStatus(result);
+		if (result.success) {
+			setInviteCode("");
+			onJoined();
+		}
+		setJoining(false);
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className={`${CARD_CLASS} space-y-4`}>
+			<h2 className="text-2xl font-semibold">Join a Team</h2>
+			<input
+				placeholder="Invite code"
+				value={inviteCode}
+				onChange={(e) => setInviteCode(e.target.value)}
+				className={`${INPUT_CLASS} uppercase`}
+			/>
+			<FormStatus status={status} />
+			<button
+				type="submit"
+				disabled={joining || !inviteCode.trim()}
+				className={BUTTON_CLASS}
+			>
+				{joining ? "Joining..." : "Join Team"}
+			</button>
+		</form>
+	);
+}
+
+function ManageOrganisations({ onChange }) {
+	const [organisations, setOrganisations] = useState([]);
+	const [name, setName] = useState("");
+	const [status, setStatus] = useState(null);
+
+	const loadOrganisations = useCallback(async () => {
+		const result = await sendRequest(
+			API_ENDPOINTS.TEAMS.ORGANISATIONS,
+			"GET"
+		);
+		if (result.success) {
+			setOrganisations(result.data.organisations);
+		} else {
+			setStatus(result);
+		}
+	}, []);
+
+	useEffect(() => {
+		loadOrganisations();
+	}, [loadOrganisations]);
+
+	const createOrganisation = async (e) => {
+		e.preventDefault();
+
+		const result = await sendRequest(
+			API_ENDPOINTS.TEAMS.ORGANISATIONS,
+			"POST",
+			{ name }
+		);
+		setStatus(result);
+		if (result.success) {
+			setName("");
+			loadOrganisations();
+		}
+	};
+
+	const handleTeamCreated = () => {
+		loadOrganisations();
+		onChange();
+	};
+
+	return (
+		<div className={`${CARD_CLASS} space-y-6`}>
+			<h2 className="text-2xl font-semibold">Manage Organisations</h2>
+
+			{organisations.map((organisation) => (
+				<div key={organisation.id} className="border rounded-xl p-4">
+					<div className="text-xl font-semibold mb-3">
+						{organisation.name}
+					</div>
+					{organisation.teams.length > 0 && (
+						<table className="w-full mb-4">
+							<thead>
+								<tr className="text-left text-gray-600">
+									<th className="py-1">Team</th>
+									<th className="py-1">Invite Code</th>
+									<th className="py-1">Members</th>
+								</tr>
+							</thead>
+							<tbody>
+								{organisation.teams.map((team) => (
+									<tr key={team.id} className="border-t">
+										<td className="py-1">{team.name}</td>
+										<td className="py-1 font-mono">
+											{team.inviteCode}
+										</td>
+										<td className="py-1">
+											{team.memberCount}
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					)}
+					<CreateTeam
+						organisationId={organisation.id}
+						onCreated={handleTeamCreated}
+					/>
+				</div>
+			))}
+
+			<form onSubmit={createOrganisation} className="space-y-4">
+				<input
+					placeholder="New organisation name"
+					value={name}
+					onChange={(e) => setName(e.target.value)}
+					className={INPUT_CLASS}
+				/>
+				<FormStatus status={status} />
+				<button
+					type="submit"
+					disabled={!name.trim()}
+					className={BUTTON_CLASS}
+				>
+					Create Organisation
+				</button>
+			</form>
+		</div>
+	);
+}
+
+function CreateTeam({ organisationId, onCreated }) {
+	const [name, setName] = useState("");
+	const [status, setStatus] = useState(null);
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		const result = await sendRequest(
+			API_ENDPOINTS.TEAMS.createTeam(organisationId),
+			"POST",
+			{ name }
+		);
+		if (result.success) {
+			setName("");
+			setStatus(null);
+			onCreated();
+		} else {
+			setStatus(result);
+		}
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className="space-y-2">
+			<div className="flex gap-4">
+				<input
+					placeholder="New team name"
+					value={name}
+					onChange={(e) => setName(e.target.value)}
+					className={INPUT_CLASS}
+				/>
+				<button
+					type="submit"
+					disabled={!name.trim()}
+					className={`${BUTTON_CLASS} whitespace-nowrap`}
+				>
+					Add Team
+				</button>
+			</div>
+			<FormStatus status={status} />
+		</form>
+	);
+}
+
+// Success or error message shown under a form
+function FormStatus({ status }) {
+	if (!status) return null;
+
+	return (
+		<div
+			className={`p-3 rounded-xl border ${
+				status.success
+					? "bg-green-100 border-green-400 text-green-700"
+					: "bg-red-100 border-red-400 text-red-700"
+			}`}
+		>
+			{status.message}
+		</div>
+	);
+}
@@ -1,76 +1,64 @@
 import React, { useState, useEffect, useMemo } from "react";
 import NavBar from "./NavBar";
+import { Link } from "react-router";
 import { useAuth } from "../hooks/useAuth";
 import { Chart as ChartJS, ArcElement, Tooltip, Legend } from "chart.js";
 import { Pie } from "react-chartjs-2";
 import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "../utils/authFetch.js";
+import { fetchEmissionsPage } from "../utils/emissionsApi.js";
+import EditEmissionForm from "./EditEmissionForm";
+import CategoryFilterChips from "./CategoryFilterChips";
+import { getMaxDateTimeLocal, toDateTimeLocal } from "../utils/dateHelpers.js";
 
 ChartJS.register(ArcElement, Tooltip, Legend);
 
-// Emission factors (kg CO2 equivalent)
-const EMISSION_FACTORS = {
-	// Food
-	eating: 2.5,
-	cooking: 1.8,
-	// Transport
-	driving: 0.4, // per km
-	publicTransport: 0.1, // per km
-	walking: 0,
-	cycling: 0,
-	// Energy
-	electricity: 0.5, // per kWh
-	heating: 2.3, // per hour
-	waterHeating: 1.2, // per hour
-	// Digital
-	streaming: 0.15, // per hour
-	// Default for custom activities
-	default: 1.0,
-};
-
-const CATEGORY_EMISSIONS = {
-	Food: 2.0,
-	Transport: 3.5,
-	Energy: 2.8,
-	Waste: 1.5,
-	Consumption: 2.2,
-	Housing: 3.0,
-	Digital: 0.8,
-};
+// Activities listed under the chart; the full log is on the history page
+const LOGGED_ACTIVITY_COUNT = 20;
 
 export default function Track() {
 	const [selectedCategory, setSelectedCategory] = useState("");
 	const [selectedActivity, setSelectedActivity] = useState("");
 	const [customActivity, setCustomActivity] = useState("");
+	const [quantity, setQuantity] = useState("");
+	const [timestamp, setTimestamp] = useState(() =>
+		toDateTimeLocal(new Date())
+	);
+	const [factors, setFactors] = useState([]);
+	const [editingId, setEditingId] = useState(null);
+	// Newest activities matching the filter, and per-category totals
 	const [emissions, setEmissions] = useState([]);
-	const [totalEmissions, setTotalEmissions] = useState(0);
-	const [filteredEmissions, setFilteredEmissions] = useState([]);
+	const [hasMoreEmissions, setHasMoreEmissions] = useState(false);
+	const [categorySummary, setCategorySummary] = useState([]);
+	const [refreshKey, setRefreshKey] = useState(0);
 	const [activeFilter, setActiveFilter] = useState("");
+	const [unlockedBadges, setUnlockedBadges] = useState([]);
 	const { user } = useAuth();
 
-	// Calculate total emissions whenever emissions array changes
-	useEffect(() => {
-		const total = emissions.reduce(
-			(sum, emission) => sum + emission.value,
-			0
-		);
-		setTotalEmissions(total);
-	}, [emissions]);
+	// Category totals in the current filtered view
+	const categoryTotals = useMemo(
+		() =>
+			Object.fromEntries(
+				categorySummary
+					.filter(
+						(category) =>
+							!activeFilter || category._id === activeFilter
+					)
+					.map((category) => [category._id, category.totalEmissions])
+			),
+		[categorySummary, activeFilter]
+	);
+
+	const totalEmissions = categorySummary.reduce(
+		(sum, category) => sum + category.totalEmissions,
+		0
+	);
+	const filteredCount = categorySummary
+		.filter((category) => !activeFilter || category._id === activeFilter)
+		.reduce((sum, category) => sum + category.count, 0);
 
 	// Calculate pie chart data based on filtered emissions
 	const pieChartData = useMemo(() => {
-		const categoryTotals = {};
-		const dataToUse =
-			filteredEmissions.length > 0 ? filteredEmissions : emissions;
-
-		// Group emissions by category
-		dataToUse.forEach((emission) => {
-			if (categoryTotals[emission.category]) {
-				categoryTotals[emission.category] += emission.value;
-			} else {
-				categoryTotals[emission.category] = emission.value;
-			}
-		});
-
 		const categories = Object.keys(categoryTotals);
 		const values = Object.values(categoryTotals);
 
@@ -100,41 +88,92 @@ export default function Track() {
 				},
 			],
 		};
-	}, [filteredEmissions, emissions]);
+	}, [categoryTotals]);
 
-	// Filter emissions when filter changes
+	// Load emission factors from the server-side registry
 	useEffect(() => {
-		if (activeFilter === "" || activeFilter === "Clear") {
-			setFilteredEmissions(emissions);
-		} else {
-			setFilteredEmissions(
-				emissions.filter(
-					(emission) => emission.category === activeFilter
-				)
+		const loadFactors = async () => {
+			try {
+				const response = await fetch(API_ENDPOINTS.FACTORS.BASE);
+
+				if (response.ok) {
+					const data = await response.json();
+					setFactors(data.factors || []);
+				}
+			} catch (error) {
+				console.error("Error loading emission factors:", error);
+			}
+		};
+
+		loadFactors();
+	}, []);
+
+	// Categories offered by the factor registry
+	const categories = useMemo(
+		() => [...new Set(factors.map((factor) => factor.category))],
+		[factors]
+	);
+
+	// Categories to filter by - registry plus any already logged
+	const filterCategories = useMemo(
+		() => [
+			...new Set([
+				...categories,
+				...categorySummary.map((category) => category._id),
+			]),
+		],
+		[categories, categorySummary]
+	);
+
+	// Factor used for the current selection - custom activities use the
+	// category's "other" factor
+	const selectedFactor = useMemo(() => {
+		if (selectedActivity) {
+			return factors.find((factor) => factor.id === selectedActivity);
+		}
+		if (customActivity && selectedCategory) {
+			return factors.find(
+				(factor) =>
+					factor.category === selectedCategory &&
+					factor.activity === "other"
 			);
 		}
-	}, [emissions, activeFilter]);
+		return undefined;
+	}, [factors, selectedActivity, customActivity, selectedCategory]);
 
-	// Load user's emissions from database on component mount
+	// Load per-category totals from the database
 	useEffect(() => {
-		const loadUserEmissions = async () => {
+		const loadSummary = async () => {
 			if (user?.id) {
 				try {
-					const response = await fetch(
-						API_ENDPOINTS.EMISSIONS.getUserEmissions(user.id),
-						{
-							headers: {
-								Authorization: `Bearer ${localStorage.getItem(
-									"token"
-								)}`,
-							},
-						}
+					const response = await authFetch(
+						API_ENDPOINTS.EMISSIONS.getUserSummary(user.id)
 					);
 
 					if (response.ok) {
 						const data = await response.json();
-						setEmissions(data.emissions || []);
+						setCategorySummary(data.summary || []);
 					}
+				} catch (error) {
+					console.error("Error loading emissions summary:", error);
+				}
+			}
+		};
+
+		loadSummary();
+	}, [user?.id, refreshKey]);
+
+	// Load the newest activities matching the filter
+	useEffect(() => {
+		const loadUserEmissions = async () => {
+			if (user?.id) {
+				try {
+					const data = await fetchEmissionsPage(user.id, {
+						category: activeFilter,
+						limit: LOGGED_ACTIVITY_COUNT,
+					});
+					setEmissions(data.emissions);
+					setHasMoreEmissions(data.pagination.hasMore);
 				} catch (error) {
 					console.error("Error loading emissions:", error);
 				}
@@ -142,63 +181,77 @@ export default function Track() {
 		};
 
 		loadUserEmissions();
-	}, [user?.id]);
-
-	const calculateEmission = (activity, category) => {
-		// Use specific activity emission factor if available
-		if (EMISSION_FACTORS[activity]) {
-			return EMISSION_FACTORS[activity];
-		}
-		// Otherwise use category-based emission
-		if (CATEGORY_EMISSIONS[category]) {
-			return CATEGORY_EMISSIONS[category];
-		}
-		// Default emission value
-		return EMISSION_FACTORS.default;
-	};
+	}, [user?.id, activeFilter, refreshKey]);
 
 	const handleAddEmission = async () => {
 		// Determine which activity to use
-		const activity = selectedActivity || customActivity;
+		const activity = selectedActivity
+			? selectedFactor?.activity
+			: customActivity;
 
-		if (!selectedCategory || !activity) {
+		if (!selectedCategory || !activity || !selectedFactor) {
 			alert("Please select a category and activity before adding!");
 			return;
 		}
 
-		// Calculate emission value
-		const emissionValue = calculateEmission(activity, selectedCategory);
+		const parsedQuantity = parseFloat(quantity);
+		if (isNaN(parsedQuantity) || parsedQuantity <= 0) {
+			alert("Please enter how much of the activity you did!");
+			return;
+		}
 
-		// Create new emission entry
+		const loggedAt = new Date(timestamp);
+		if (isNaN(loggedAt)) {
+			alert("Please pick when the activity happened!");
+			return;
+		}
+
+		// Create new emission entry - the server derives the value
 		const newEmission = {
-			id: Date.now(),
 			category: selectedCategory,
 			activity: activity,
-			value: emissionValue,
-			timestamp: new Date(),
+			quantity: parsedQuantity,
+			factorId: selectedFactor.id,
+			timestamp: loggedAt,
 			userId: user?.id || null, // Store user ID for database retrieval
-			userName: user?.name || "Anonymous",
 		};
 
-		// Add to emissions array
-		setEmissions((prev) => [...prev, newEmission]);
-
 		// Save to database
 		if (user?.id) {
 			try {
-				await fetch(API_ENDPOINTS.EMISSIONS.BASE, {
-					method: "POST",
-					headers: {
-						"Content-Type": "application/json",
-						Authorization: `Bearer ${localStorage.getItem(
-							"token"
-						)}`,
-					},
-					body: JSON.stringify(newEmission),
-				});
+				// Streak badges count days in the browser's timezone
+				const timezone =
+					Intl.DateTimeFormat().resolvedOptions().timeZone;
+				const response = await authFetch(
+					`${API_ENDPOINTS.EMISSIONS.BASE}?timezone=${encodeURIComponent(
+						timezone
+					)}`,
+					{
+						method: "POST",
+						headers: {
+							"Content-Type": "application/json",
+						},
+						body: JSON.stringify(newEmission),
+					}
+				);
+
+				const data = await response.json();
+
+				if (!response.ok) {
+					alert(data.message || "Could not save activity");
+					return;
+				}
+
+				// Reload the list and totals with the saved entry
+				setRefreshKey((key) => key + 1);
+				console.log("Emission added:", data.emission);
+				if (data.newAchievements?.length > 0) {
+					setUnlockedBadges(data.newAchievements);
+				}
 			} catch (error) {
 				console.error("Error saving emission:", error);
 				// Could add user notification here
+				return;
 			}
 		}
 
@@ -206,8 +259,19 @@ export default function Track() {
 		setSelectedCategory("");
 		setSelectedActivity("");
 		setCustomActivity("");
+		setQuantity("");
+		setTimestamp(toDateTimeLocal(new Date()));
+	};
 
-		console.log("Emission added:", newEmission);
+	// Replace an edited emission in the list and reload the totals
+	const handleEmissionSaved = (updated) => {
+		setEmissions((prev) =>
+			prev.map((emission) =>
+				emission.id === updated.id ? updated : emission
+			)
+		);
+		setEditingId(null);
+		setRefreshKey((key) => key + 1);
 	};
 
 	const handleFilterClick = (filterCategory) => {
@@ -227,16 +291,9 @@ export default function Track() {
 			// Clear from database if user is logged in
 			if (user?.id) {
 				try {
-					await fetch(
+					await authFetch(
 						API_ENDPOINTS.EMISSIONS.clearUserEmissions(user.id),
-						{
-							method: "DELETE",
-							headers: {
-								Authorization: `Bearer ${localStorage.getItem(
-									"token"
-								)}`,
-							},
-						}
+						{ method: "DELETE" }
 					);
 				} catch (error) {
 					console.error(
@@ -248,6 +305,8 @@ export default function Track() {
 
 			// Clear from local state
 			setEmissions([]);
+			setHasMoreEmissions(false);
+			setCategorySummary([]);
 			setActiveFilter("");
 		}
 	};
@@ -257,10 +316,44 @@ export default function Track() {
 			<NavBar />
 			<div className="container mx-auto px-4 mb-12">
 				<div className="headingAndInputArea mt-[120px]">
-					<div className="text-4xl italic font-semibold">
-						Track Your Footprint
+					<div className="flex justify-between items-center">
+						<div className="text-4xl italic font-semibold">
+							Track Your Footprint
+						</div>
+						<Link
+							to="/track/import"
+							className="px-4 py-2 rounded-xl outline-1 hover:bg-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] transition-colors"
+						>
+							📥 Import CSV
+						</Link>
 					</div>
 
+					{unlockedBadges.length > 0 && (
+						<div className="flex justify-between items-center mt-6 p-4 bg-green-100 border border-green-400 text-green-800 rounded-xl">
+							<div>
+								🏆 Badge unlocked:{" "}
+								{unlockedBadges
+									.map((badge) => `${badge.icon} ${badge.title}`)
+									.join(", ")}
+							</div>
+							<div className="flex gap-2">
+								<Link
+									to="/achievements"
+									className="px-3 py-1 text-sm bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors"
+								>
+									View Badges
+								</Link>
+								<button
+									type="button"
+									onClick={() => setUnlockedBadges([])}
+									className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors"
+								>
+									Dismiss
+								</button>
+							</div>
+						</div>
+					)}
+
 					<div className="cardArea grid outline-solid rounded-2xl px-[50px] py-[30px] mt-[50px] gap-5">
 						{/* Categories */}
 						<div
@@ -277,19 +370,19 @@ export default function Track() {
 								name="categories"
 								id="categories"
 								value={selectedCategory}
-								onChange={(e) =>
-									setSelectedCategory(e.target.value)
-								}
+								onChange={(e) => {
+									setSelectedCategory(e.target.value);
+									// Activities depend on the category
+									setSelectedActivity("");
+								}}
 								className="infoInputs outline-1 px-5 py-2 rounded-xl border"
 							>
 								<option value="">Select Category</option>
-								<option value="Food">Food</option>
-								<option value="Transport">Transport</option>
-								<option value="Energy">Energy</option>
-								<option value="Waste">Waste</option>
-								<option value="Consumption">Consumption</option>
-								<option value="Housing">Housing</option>
-								<option value="Digital">Digital</option>
+								{categories.map((category) => (
+									<option key={category} value={category}>
+										{category}
+									</option>
+								))}
 							</select>
 						</div>
 
@@ -319,20 +412,21 @@ export default function Track() {
 								disabled={customActivity !== ""}
 							>
 								<option value="">Select Activity</option>
-								<option value="eating">eating</option>
-								<option value="cooking">cooking</option>
-								<option value="driving">driving</option>
-								<option value="publicTransport">
-									public transport
-								</option>
-								<option value="walking">walking</option>
-								<option value="cycling">cycling</option>
-								<option value="electricity">electricity</option>
-								<option value="heating">heating</option>
-								<option value="waterHeating">
-									water heating
-								</option>
-								<option value="streaming">streaming</option>
+								{factors
+									.filter(
+										(factor) =>
+											factor.category ===
+												selectedCategory &&
+											factor.activity !== "other"
+									)
+									.map((factor) => (
+										<option
+											key={factor.id}
+											value={factor.id}
+										>
+											{factor.activity}
+										</option>
+									))}
 							</select>
 							{customActivity && (
 								<p className="text-sm text-gray-500 mt-1">
@@ -374,6 +468,57 @@ export default function Track() {
 							)}
 						</div>
 
+						{/* Quantity */}
+						<div
+							id="quantity-input"
+							className="inputContainer grid grid-rows-2"
+						>
+							<label
+								htmlFor="quantity"
+								className="labels text-xl font-semibold"
+							>
+								How much?
+							</label>
+							<div className="flex gap-3">
+								<input
+									type="number"
+									min="0"
+									step="any"
+									placeholder="Quantity"
+									id="quantity"
+									value={quantity}
+									onChange={(e) =>
+										setQuantity(e.target.value)
+									}
+									className="infoInputs flex-1 outline-1 px-5 py-2 rounded-xl border"
+								/>
+								<span className="px-5 py-2 rounded-xl border bg-gray-50 min-w-20 text-center">
+									{selectedFactor?.unit || "unit"}
+								</span>
+							</div>
+						</div>
+
+						{/* Date and time */}
+						<div
+							id="date-input"
+							className="inputContainer grid grid-rows-2"
+						>
+							<label
+								htmlFor="timestamp"
+								className="labels text-xl font-semibold"
+							>
+								When did it happen?
+							</label>
+							<input
+								type="datetime-local"
+								id="timestamp"
+								value={timestamp}
+								max={getMaxDateTimeLocal()}
+								onChange={(e) => setTimestamp(e.target.value)}
+								className="infoInputs outline-1 px-5 py-2 rounded-xl border"
+							/>
+						</div>
+
 						{/* Clear Activity Selection */}
 						{(selectedActivity || customActivity) && (
 							<div className="flex justify-center mb-3">
@@ -409,13 +554,13 @@ export default function Track() {
 											{totalEmissions.toFixed(2)} kg CO₂
 										</h3>
 										<p className="text-green-600">
-											{filteredEmissions.length}{" "}
-											activities tracked
+											{filteredCount} activities
+											tracked
 											{activeFilter &&
 												` (filtered by ${activeFilter})`}
 										</p>
 									</div>
-									{emissions.length > 0 && (
+									{categorySummary.length > 0 && (
 										<button
 											onClick={clearAllEmissions}
 											className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-xl font-medium shadow-[3px_3px_0px_1px_rgba(0,0,0,15)] transition-colors"
@@ -433,45 +578,11 @@ export default function Track() {
 							<div className="text-2xl font-semibold">
 								Filters
 							</div>
-							<div
-								id="filterOptions"
-								className="grid grid-cols-2 md:grid-cols-4 grid-rows-4 md:grid-rows-2 gap-5 mt-5 place-content-stretch"
-							>
-								{[
-									"Food",
-									"Transport",
-									"Energy",
-									"Waste",
-									"Consumption",
-									"Housing",
-									"Digital",
-								].map((category) => (
-									<button
-										key={category}
-										onClick={() =>
-											handleFilterClick(category)
-										}
-										className={`btn outline-1 max-w-48 h-[40px] rounded-xl shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer transition-colors ${
-											activeFilter === category
-												? "bg-black text-white"
-												: "hover:bg-black text-black hover:text-white"
-										}`}
-									>
-										{category}
-									</button>
-								))}
-								<button
-									onClick={() => handleFilterClick("Clear")}
-									className={`btn outline-1 max-w-48 h-[40px] rounded-xl shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] cursor-pointer transition-colors ${
-										activeFilter === "" ||
-										activeFilter === "Clear"
-											? "bg-gray-300 text-gray-600"
-											: "hover:bg-gray-200 text-black hover:text-gray-800"
-									}`}
-								>
-									🧹 Clear Filter
-								</button>
-							</div>
+							<CategoryFilterChips
+								categories={filterCategories}
+								activeFilter={activeFilter}
+								onFilterClick={handleFilterClick}
+							/>
 						</div>
 					</div>
 				</div>
@@ -484,7 +595,7 @@ export default function Track() {
 							{activeFilter && ` - ${activeFilter} Filter Active`}
 						</h2>
 
-						{emissions.length > 0 ? (
+						{categorySummary.length > 0 ? (
 							<div className="flex flex-col lg:flex-row items-center gap-8">
 								<div className="w-full lg:w-1/2 max-w-md mx-auto">
 									<Pie
@@ -537,37 +648,7 @@ export default function Track() {
 										Category Breakdown
 									</h3>
 									<div className="space-y-2">
-										{Object.entries(
-											filteredEmissions.length > 0
-												? filteredEmissions.reduce(
-														(acc, emission) => {
-															acc[
-																emission.category
-															] =
-																(acc[
-																	emission
-																		.category
-																] || 0) +
-																emission.value;
-															return acc;
-														},
-														{}
-												  )
-												: emissions.reduce(
-														(acc, emission) => {
-															acc[
-																emission.category
-															] =
-																(acc[
-																	emission
-																		.category
-																] || 0) +
-																emission.value;
-															return acc;
-														},
-														{}
-												  )
-										)
+										{Object.entries(categoryTotals)
 											.sort(([, a], [, b]) => b - a)
 											.map(([category, total]) => (
 												<div
@@ -599,6 +680,78 @@ export default function Track() {
 						)}
 					</div>
 				</div>
+
+				{/* Logged Activities */}
+				{emissions.length > 0 && (
+					<div className="bg-white rounded-xl p-6 shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] outline-1">
+						<h2 className="text-2xl font-semibold mb-4">
+							Logged Activities
+							{activeFilter && ` - ${activeFilter}`}
+						</h2>
+						<div className="space-y-3 max-h-96 overflow-y-auto">
+							{emissions.map((emission) =>
+								editingId === emission.id ? (
+									<EditEmissionForm
+										key={emission.id}
+										emission={emission}
+										onSaved={handleEmissionSaved}
+										onCancel={() => setEditingId(null)}
+									/>
+								) : (
+									<div
+										key={emission.id}
+										className="flex justify-between items-center p-3 bg-gray-50 rounded-lg"
+									>
+										<div>
+											<div className="font-medium text-gray-800">
+												{emission.category}:{" "}
+												{emission.activity}
+												{emission.quantity !==
+													undefined && (
+													<span className="text-gray-500 font-normal">
+														{" "}
+														({emission.quantity}{" "}
+														{emission.unit})
+													</span>
+												)}
+											</div>
+											<div className="text-sm text-gray-600">
+												{new Date(
+													emission.timestamp
+												).toLocaleString()}
+											</div>
+										</div>
+										<div className="flex items-center gap-3">
+											<span className="font-bold text-red-600">
+												{emission.value.toFixed(2)}{" "}
+												kg CO₂
+											</span>
+											<button
+												type="button"
+												onClick={() =>
+													setEditingId(
+														emission.id
+													)
+												}
+												className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors"
+											>
+												Edit
+											</button>
+										</div>
+									</div>
+								)
+							)}
+						</div>
+						{hasMoreEmissions && (
+							<Link
+								to="/history"
+								className="block mt-4 text-center text-sm font-medium text-gray-600 hover:text-black"
+							>
+								View full history →
+							</Link>
+						)}
+					</div>
+				)}
 			</div>
 		</>
 	);
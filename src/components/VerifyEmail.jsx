@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from "react";
+import NavBar from "./NavBar";
+import { Link, useParams } from "react-router";
+import { useAuth } from "../hooks/useAuth";
+import { API_ENDPOINTS } from "../config/api.js";
+
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.AUTH.verifyEmail(token));
+        const data = await response.json();
+
+        setStatus(response.ok ? "verified" : "failed");
+        setMessage(data.message);
+      } catch (error) {
+        console.error("Email verification error:", error);
+        setStatus("failed");
+        setMessage("Network error. Please try again.");
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Pick up the new flag if the user is signed in on this device
+  useEffect(() => {
+    if (status === "verified" && isAuthenticated) {
+      refreshUser();
+    }
+  }, [status, isAuthenticated, refreshUser]);
+
+  return (
+    <>
+      <NavBar />
+      <div className="grid place-content-center min-h-screen w-[100%] bg-amber-400 py-4">
+        <div className="bg-white w-[80vh] rounded-xl outline-1 text-black shadow-[5px_5px_0px_1px_rgba(0,0,0,15)] p-6 text-center">
+          <div className="text-4xl mb-4">
+            {status === "verifying"
+              ? "⏳"
+              : status === "verified"
+              ? "✅"
+              : "⚠️"}
+          </div>
+          <div className="font-bold text-2xl mb-2">
+            {status === "verifying"
+              ? "Verifying your email..."
+              : status === "verified"
+              ? "Email verified"
+              : "Verification failed"}
+          </div>
+          {message && <p className="text-gray-600">{message}</p>}
+          {status !== "verifying" && (
+            <Link
+              to={isAuthenticated ? "/dashboard" : "/login"}
+              className="inline-block mt-6 px-6 py-3 outline-1 rounded-xl hover:bg-black text-black hover:text-white shadow-[5px_5px_0px_1px_rgba(0,0,0,15)]"
+            >
+              {isAuthenticated ? "Go to Dashboard" : "Go to Login"}
+            </Link>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -24,17 +24,49 @@ export const API_ENDPOINTS = {
 		REGISTER: buildApiUrl("/auth/register"),
 		LOGIN: buildApiUrl("/auth/login"),
 		LOGOUT: buildApiUrl("/auth/logout"),
+		LOGOUT_ALL: buildApiUrl("/auth/logout-all"),
+		REFRESH: buildApiUrl("/auth/refresh"),
+		FORGOT_PASSWORD: buildApiUrl("/auth/forgot-password"),
+		RESET_PASSWORD: buildApiUrl("/auth/reset-password"),
+		CHANGE_PASSWORD: buildApiUrl("/auth/change-password"),
+		RESEND_VERIFICATION: buildApiUrl("/auth/resend-verification"),
+		verifyEmail: (token) => buildApiUrl(`/auth/verify/${token}`),
 		ME: buildApiUrl("/auth/me"),
+		DATA_EXPORT: buildApiUrl("/auth/me/data-export"),
 	},
 	EMISSIONS: {
 		BASE: buildApiUrl("/emissions"),
 		USER_TOTALS: buildApiUrl("/emissions/user-totals"),
 		LEADERBOARD: buildApiUrl("/emissions/leaderboard"),
+		IMPORT: buildApiUrl("/emissions/import"),
+		BULK_DELETE: buildApiUrl("/emissions/bulk-delete"),
 		getUserEmissions: (userId) => buildApiUrl(`/emissions/${userId}`),
 		getUserSummary: (userId) => buildApiUrl(`/emissions/${userId}/summary`),
+		exportUserEmissions: (userId) =>
+			buildApiUrl(`/emissions/${userId}/export`),
+		updateEmission: (emissionId) => buildApiUrl(`/emissions/${emissionId}`),
 		deleteEmission: (emissionId) => buildApiUrl(`/emissions/${emissionId}`),
 		clearUserEmissions: (userId) => buildApiUrl(`/emissions/${userId}/all`),
 	},
+	FACTORS: {
+		BASE: buildApiUrl("/factors"),
+	},
+	ACHIEVEMENTS: {
+		BASE: buildApiUrl("/achievements"),
+	},
+	TEAMS: {
+		BASE: buildApiUrl("/teams"),
+		JOIN: buildApiUrl("/teams/join"),
+		ORGANISATIONS: buildApiUrl("/teams/organisations"),
+		createTeam: (organisationId) =>
+			buildApiUrl(`/teams/organisations/${organisationId}/teams`),
+		getSummary: (teamId) => buildApiUrl(`/teams/${teamId}/summary`),
+		membership: (teamId) => buildApiUrl(`/teams/${teamId}/membership`),
+	},
+	GOALS: {
+		BASE: buildApiUrl("/goals"),
+		getGoal: (goalId) => buildApiUrl(`/goals/${goalId}`),
+	},
 	ANALYSIS: {
 		getInsights: (userId) => buildApiUrl(`/analysis/insights/${userId}`),
 		getRecommendations: (userId) =>
@@ -43,6 +75,7 @@ export const API_ENDPOINTS = {
 			buildApiUrl(`/analysis/quick-stats/${userId}`),
 		getWeeklyComparison: (userId) =>
 			buildApiUrl(`/analysis/weekly-comparison/${userId}`),
+		getCharts: (userId) => buildApiUrl(`/analysis/charts/${userId}`),
 		HEALTH: buildApiUrl("/analysis/health"),
 		DB_STATUS: buildApiUrl("/analysis/db-status"),
 	},
@@ -1,5 +1,11 @@
-import React, { createContext, useState, useEffect } from "react";
+import React, { createContext, useState, useEffect, useCallback } from "react";
 import { API_ENDPOINTS } from "../config/api.js";
+import {
+	authFetch,
+	clearTokens,
+	setSessionExpiredHandler,
+	storeTokens,
+} from "../utils/authFetch.js";
 
 export const AuthContext = createContext();
 
@@ -9,18 +15,26 @@ export const AuthProvider = ({ children }) => {
 	const [loading, setLoading] = useState(true);
 	const [userAnalysis, setUserAnalysis] = useState(null);
 
+	// Drop local state once the refresh token is rejected as well
+	useEffect(() => {
+		setSessionExpiredHandler(() => {
+			setUser(null);
+			setToken(null);
+			setUserAnalysis(null);
+		});
+		return () => setSessionExpiredHandler(() => {});
+	}, []);
+
 	// Function to fetch detailed analysis data
 	const fetchUserAnalysis = async () => {
 		if (!user?.id || !token) return;
 
 		try {
-			const response = await fetch(
-				API_ENDPOINTS.ANALYSIS.getInsights(user.id),
-				{
-					headers: {
-						Authorization: `Bearer ${token}`,
-					},
-				}
+			const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+			const response = await authFetch(
+				`${API_ENDPOINTS.ANALYSIS.getInsights(
+					user.id
+				)}?timezone=${encodeURIComponent(timezone)}`
 			);
 
 			if (response.ok) {
@@ -34,28 +48,39 @@ export const AuthProvider = ({ children }) => {
 		}
 	};
 
+	// Reload the current user, e.g. after their email is verified
+	const refreshUser = useCallback(async () => {
+		try {
+			const response = await authFetch(API_ENDPOINTS.AUTH.ME);
+
+			if (response.ok) {
+				const data = await response.json();
+				setUser(data.user);
+			}
+		} catch (error) {
+			console.error("Error refreshing user:", error);
+		}
+	}, []);
+
 	// Check if user is logged in on app start
 	useEffect(() => {
 		const checkAuth = async () => {
 			if (token) {
 				try {
-					const response = await fetch(API_ENDPOINTS.AUTH.ME, {
-						headers: {
-							Authorization: `Bearer ${token}`,
-						},
-					});
+					// An expired access token is refreshed transparently
+					const response = await authFetch(API_ENDPOINTS.AUTH.ME);
 
 					if (response.ok) {
 						const data = await response.json();
 						setUser(data.user);
 					} else {
-						// Token is invalid, remove it
-						localStorage.removeItem("token");
+						// Session is invalid, remove the tokens
+						clearTokens();
 						setToken(null);
 					}
 				} catch (error) {
 					console.error("Auth check failed:", error);
-					localStorage.removeItem("token");
+					clearTokens();
 					setToken(null);
 				}
 			}
@@ -85,9 +110,9 @@ export const AuthProvider = ({ children }) => {
 			const data = await response.json();
 
 			if (response.ok) {
+				storeTokens(data);
 				setToken(data.token);
 				setUser(data.user);
-				localStorage.setItem("token", data.token);
 
 				// Set basic analysis data from login response
 				if (data.analysis) {
@@ -124,9 +149,9 @@ export const AuthProvider = ({ children }) => {
 			const data = await response.json();
 
 			if (response.ok) {
+				storeTokens(data);
 				setToken(data.token);
 				setUser(data.user);
-				localStorage.setItem("token", data.token);
 				return { success: true, message: data.message };
 			} else {
 				return { success: false, message: data.message };
@@ -140,24 +165,99 @@ export const AuthProvider = ({ children }) => {
 		}
 	};
 
+	const clearSession = () => {
+		setUser(null);
+		setToken(null);
+		setUserAnalysis(null);
+		clearTokens();
+	};
+
+	// Revokes this device's session on the server
 	const logout = async () => {
 		try {
 			if (token) {
-				await fetch(API_ENDPOINTS.AUTH.LOGOUT, {
-					method: "POST",
-					headers: {
-						Authorization: `Bearer ${token}`,
-					},
-				});
+				await authFetch(API_ENDPOINTS.AUTH.LOGOUT, { method: "POST" });
 			}
 		} catch (error) {
 			console.error("Logout error:", error);
 		} finally {
-			setUser(null);
-			setToken(null);
-			setUserAnalysis(null);
-			localStorage.removeItem("token");
+			clearSession();
+		}
+	};
+
+	// Revokes every session of the user, including this one
+	const logoutAllDevices = async () => {
+		try {
+			const response = await authFetch(API_ENDPOINTS.AUTH.LOGOUT_ALL, {
+				method: "POST",
+			});
+			const data = await response.json();
+
+			if (!response.ok) {
+				return { success: false, message: data.message };
+			}
+
+			clearSession();
+			return { success: true, message: data.message };
+		} catch (error) {
+			console.error("Logout all devices error:", error);
+			return {
+				success: false,
+				message: "Network error. Please try again.",
+			};
+		}
+	};
+
+	// Send an authenticated JSON request and report the outcome
+	const sendAccountRequest = async (url, method, body) => {
+		try {
+			const response = await authFetch(url, {
+				method,
+				headers: {
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(body),
+			});
+			const data = await response.json();
+
+			return { success: response.ok, ...data };
+		} catch (error) {
+			console.error("Account request error:", error);
+			return {
+				success: false,
+				message: "Network error. Please try again.",
+			};
+		}
+	};
+
+	const updateProfile = async (updates) => {
+		const result = await sendAccountRequest(
+			API_ENDPOINTS.AUTH.ME,
+			"PATCH",
+			updates
+		);
+		if (result.success) {
+			setUser(result.user);
+		}
+		return result;
+	};
+
+	const changePassword = (currentPassword, newPassword) =>
+		sendAccountRequest(API_ENDPOINTS.AUTH.CHANGE_PASSWORD, "POST", {
+			currentPassword,
+			newPassword,
+		});
+
+	const deleteAccount = async (password) => {
+		const result = await sendAccountRequest(
+			API_ENDPOINTS.AUTH.ME,
+			"DELETE",
+			{ password }
+		);
+		if (result.success) {
+			clearSession();
 		}
+		return result;
 	};
 
 	const value = {
@@ -168,6 +268,11 @@ export const AuthProvider = ({ children }) => {
 		login,
 		register,
 		logout,
+		logoutAllDevices,
+		refreshUser,
+		updateProfile,
+		changePassword,
+		deleteAccount,
 		fetchUserAnalysis,
 		isAuthenticated: !!user,
 	};
@@ -0,0 +1,93 @@
+// fetch wrapper for authenticated API calls
+// Sends the stored access token; when the server rejects it with 401 the
+// refresh token is exchanged for a new pair and the request retried once.
+// A 403 means the user isn't allowed, which a new token won't change
+import { API_ENDPOINTS } from "../config/api.js";
+
+let refreshPromise = null;
+let handleSessionExpired = () => {};
+
+// AuthContext registers this to clear its state when the session ends
+export const setSessionExpiredHandler = (handler) => {
+	handleSessionExpired = handler;
+};
+
+export const storeTokens = ({ token, refreshToken }) => {
+	localStorage.setItem("token", token);
+	if (refreshToken) {
+		localStorage.setItem("refreshToken", refreshToken);
+	}
+};
+
+export const clearTokens = () => {
+	localStorage.removeItem("token");
+	localStorage.removeItem("refreshToken");
+};
+
+// Get a new access token; resolves to null if the session is over
+export const refreshAccessToken = () => {
+	const refreshToken = localStorage.getItem("refreshToken");
+	if (!refreshToken) return Promise.resolve(null);
+
+	// Concurrent requests share one refresh, since each token works once
+	if (!refreshPromise) {
+		refreshPromise = (async () => {
+			try {
+				const response = await fetch(API_ENDPOINTS.AUTH.REFRESH, {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ refreshToken }),
+				});
+
+				if (response.ok) {
+					const data = await response.json();
+					storeTokens(data);
+					return data.token;
+				}
+
+				// Another tab may have rotated the token in the meantime
+				if (localStorage.getItem("refreshToken") !== refreshToken) {
+					return localStorage.getItem("token");
+				}
+
+				return null;
+			} catch (error) {
+				console.error("Token refresh failed:", error);
+				return null;
+			} finally {
+				refreshPromise = null;
+			}
+		})();
+	}
+
+	return refreshPromise;
+};
+
+const withToken = (options, token) => ({
+	...options,
+	headers: {
+		...options.headers,
+		Authorization: `Bearer ${token}`,
+	},
+});
+
+export const authFetch = async (url, options = {}) => {
+	const response = await fetch(
+		url,
+		withToken(options, localStorage.getItem("token"))
+	);
+
+	if (response.status !== 401) {
+		return response;
+	}
+
+	const token = await refreshAccessToken();
+
+	if (!token) {
+		clearTokens();
+		handleSessionExpired();
+		return response;
+	}
+
+	return fetch(url, withToken(options, token));
+};
@@ -0,0 +1,15 @@
+// Date helpers shared by the activity forms
+
+// How far ahead an entry may be dated - mirrors the server-side limit
+export const MAX_FUTURE_DAYS = 7;
+
+// Format a date for a datetime-local input (local time, no seconds)
+export const toDateTimeLocal = (date) => {
+	const d = new Date(date);
+	const offset = d.getTimezoneOffset() * 60 * 1000;
+	return new Date(d.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Latest value a datetime-local input should accept
+export const getMaxDateTimeLocal = () =>
+	toDateTimeLocal(Date.now() + MAX_FUTURE_DAYS * 24 * 60 * 60 * 1000);
@@ -0,0 +1,22 @@
+// Helpers for the paginated emissions history API
+import { API_ENDPOINTS } from "../config/api.js";
+import { authFetch } from "./authFetch.js";
+
+// Fetch a single page of emissions; params are passed as query parameters
+export const fetchEmissionsPage = async (userId, params = {}) => {
+	const query = new URLSearchParams(
+		Object.entries(params).filter(
+			([, value]) => value !== undefined && value !== null && value !== ""
+		)
+	);
+
+	const response = await authFetch(
+		`${API_ENDPOINTS.EMISSIONS.getUserEmissions(userId)}?${query}`
+	);
+
+	const data = await response.json();
+	if (!response.ok) {
+		throw new Error(data.message || "Failed to load emissions");
+	}
+	return data;
+};
@@ -2,36 +2,52 @@
 // These can be reused across different parts of the application
 
 /**
- * Calculate emission factors for different activity types
+ * Emission factors for different activity types (kg CO2 per unit)
+ * This is the seed for the server-side factor registry
  */
 export const emissionFactors = {
 	transport: {
-		car: 0.21, // kg CO2 per km
-		bus: 0.105, // kg CO2 per km
-		train: 0.041, // kg CO2 per km
-		plane: 0.255, // kg CO2 per km
-		bike: 0, // kg CO2 per km
-		walk: 0, // kg CO2 per km
+		car: { factor: 0.21, unit: "km" },
+		bus: { factor: 0.105, unit: "km" },
+		train: { factor: 0.041, unit: "km" },
+		plane: { factor: 0.255, unit: "km" },
+		bike: { factor: 0, unit: "km" },
+		walk: { factor: 0, unit: "km" },
+		other: { factor: 0.15, unit: "km" },
 	},
 	food: {
-		beef: 27.0, // kg CO2 per kg
-		pork: 12.1, // kg CO2 per kg
-		chicken: 6.9, // kg CO2 per kg
-		fish: 6.1, // kg CO2 per kg
-		vegetables: 2.0, // kg CO2 per kg
-		dairy: 4.8, // kg CO2 per kg
+		beef: { factor: 27.0, unit: "kg" },
+		pork: { factor: 12.1, unit: "kg" },
+		chicken: { factor: 6.9, unit: "kg" },
+		fish: { factor: 6.1, unit: "kg" },
+		vegetables: { factor: 2.0, unit: "kg" },
+		dairy: { factor: 4.8, unit: "kg" },
+		other: { factor: 2.0, unit: "kg" },
 	},
 	energy: {
-		electricity: 0.42, // kg CO2 per kWh
-		naturalGas: 2.0, // kg CO2 per m³
-		heating: 0.185, // kg CO2 per kWh
+		electricity: { factor: 0.42, unit: "kWh" },
+		naturalGas: { factor: 2.0, unit: "m3" },
+		heating: { factor: 0.185, unit: "kWh" },
+		other: { factor: 0.42, unit: "kWh" },
 	},
 	housing: {
-		water: 0.298, // kg CO2 per L
-		waste: 0.5, // kg CO2 per kg
+		water: { factor: 0.298, unit: "L" },
+		waste: { factor: 0.5, unit: "kg" },
+		other: { factor: 0.5, unit: "kg" },
+	},
+	digital: {
+		streaming: { factor: 0.15, unit: "hours" },
+		other: { factor: 0.15, unit: "hours" },
 	},
 };
 
+/**
+ * Calculate the emission value for a logged quantity (kg CO2)
+ */
+export const calculateEmissionValue = (quantity, factor) => {
+	return Math.round(quantity * factor * 1000) / 1000;
+};
+
 /**
  * Calculate simple statistics for an array of numbers
  */
@@ -68,40 +84,59 @@ export const calculatePercentageChange = (newValue, oldValue) => {
 
 /**
  * Get time period boundaries
+ * Each period runs from its start (inclusive) to its end (exclusive), so
+ * backdated entries late on the last day of a period are still counted
  */
 export const getTimePeriods = (now = new Date()) => {
 	const today = new Date(now);
 	today.setHours(0, 0, 0, 0);
 
+	const tomorrow = new Date(today);
+	tomorrow.setDate(tomorrow.getDate() + 1);
+
 	const yesterday = new Date(today);
 	yesterday.setDate(yesterday.getDate() - 1);
 
 	const weekStart = new Date(today);
 	weekStart.setDate(weekStart.getDate() - weekStart.getDay());
 
+	const weekEnd = new Date(weekStart);
+	weekEnd.setDate(weekEnd.getDate() + 7);
+
 	const lastWeekStart = new Date(weekStart);
 	lastWeekStart.setDate(lastWeekStart.getDate() - 7);
 
+	const lastWeekEnd = new Date(weekStart);
+
 	const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
 
+	const monthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+
 	const lastMonthStart = new Date(
 		today.getFullYear(),
 		today.getMonth() - 1,
 		1
 	);
-	const lastMonthEnd = new Date(today.getFullYear(), today.getMonth(), 0);
+	const lastMonthEnd = new Date(monthStart);
 
 	const yearStart = new Date(today.getFullYear(), 0, 1);
 
+	const yearEnd = new Date(today.getFullYear() + 1, 0, 1);
+
 	return {
 		today,
+		tomorrow,
 		yesterday,
 		weekStart,
+		weekEnd,
 		lastWeekStart,
+		lastWeekEnd,
 		monthStart,
+		monthEnd,
 		lastMonthStart,
 		lastMonthEnd,
 		yearStart,
+		yearEnd,
 	};
 };
 
@@ -422,28 +457,124 @@ export const formatEmissionValue = (value) => {
 };
 
 /**
- * Simple goal progress calculation
+ * Goal progress - how much of the target has been used, judged against
+ * the share of the period elapsed (0 to 1)
+ * on_track - within the share of the target for the time elapsed so far
+ * close - ahead of that pace but still under the target
+ * off_track - already over the target
  */
-export const calculateGoalProgress = (currentEmissions, targetEmissions) => {
-	if (currentEmissions <= targetEmissions) {
+export const calculateGoalProgress = (
+	currentEmissions,
+	targetEmissions,
+	elapsed = 1
+) => {
+	const progress = Math.round((currentEmissions / targetEmissions) * 100);
+	const remaining =
+		Math.round(Math.max(targetEmissions - currentEmissions, 0) * 10) / 10;
+
+	if (currentEmissions > targetEmissions) {
+		const over =
+			Math.round((currentEmissions - targetEmissions) * 10) / 10;
+		return {
+			status: "off_track",
+			achieved: false,
+			progress,
+			remaining,
+			message: `${over} kg CO₂ over target`,
+		};
+	}
+
+	if (elapsed >= 1) {
 		return {
+			status: "on_track",
 			achieved: true,
-			progress: 100,
+			progress,
+			remaining,
 			message: "Goal achieved!",
 		};
 	}
 
-	const progress = (targetEmissions / currentEmissions) * 100;
-	const remaining = currentEmissions - targetEmissions;
-
 	return {
+		status:
+			currentEmissions <= targetEmissions * elapsed ? "on_track" : "close",
 		achieved: false,
-		progress: Math.round(progress),
-		remaining: Math.round(remaining * 10) / 10,
-		message: `${Math.round(remaining * 10) / 10} kg CO₂ to reduce`,
+		progress,
+		remaining,
+		message: `${remaining} kg CO₂ left this period`,
+	};
+};
+
+/**
+ * Periods a reduction goal can be set for
+ */
+export const GOAL_PERIODS = ["daily", "weekly", "monthly", "yearly"];
+
+/**
+ * Get the current period range for a goal in a timezone, end exclusive
+ */
+export const getGoalPeriodRange = (
+	period,
+	now = new Date(),
+	timezone = "UTC"
+) => {
+	const [year, month, day] = getLocalDay(now, timezone)
+		.split("-")
+		.map(Number);
+	const weekStart = day - new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+	const bounds = {
+		daily: [
+			[year, month - 1, day],
+			[year, month - 1, day + 1],
+		],
+		weekly: [
+			[year, month - 1, weekStart],
+			[year, month - 1, weekStart + 7],
+		],
+		monthly: [
+			[year, month - 1, 1],
+			[year, month, 1],
+		],
+		yearly: [
+			[year, 0, 1],
+			[year + 1, 0, 1],
+		],
+	}[period];
+
+	const [start, end] = bounds.map((date) =>
+		getLocalMidnight(...date, timezone)
+	);
+	return { start, end };
+};
+
+/**
+ * Evaluate a goal against emissions logged in its current period
+ */
+export const evaluateGoal = (target, actual, range, now = new Date()) => {
+	const periodLength = range.end - range.start;
+	const elapsed = Math.min(
+		Math.max((now - range.start) / periodLength, 0),
+		1
+	);
+
+	return {
+		actual: Math.round(actual * 1000) / 1000,
+		target,
+		...calculateGoalProgress(actual, target, elapsed),
+		daysRemaining: Math.max(
+			Math.ceil((range.end - now) / (1000 * 60 * 60 * 24)),
+			0
+		),
+		periodStart: range.start,
+		periodEnd: range.end,
 	};
 };
 
+/**
+ * How far ahead an entry may be dated (planned trips, timezone skew)
+ */
+export const MAX_FUTURE_DAYS = 7;
+
 /**
  * Simple validation for emission data
  */
@@ -452,9 +583,24 @@ export const validateEmissionData = (emission) => {
 
 	// Check required fields
 	if (!emission.category) errors.push("Category is required");
-	if (!emission.value) errors.push("Value is required");
+	if (emission.value === undefined || emission.value === null)
+		errors.push("Value is required");
 	if (!emission.timestamp) errors.push("Date is required");
 
+	// Check date is a real date and not too far in the future
+	if (emission.timestamp) {
+		const date = new Date(emission.timestamp);
+		const latest = Date.now() + MAX_FUTURE_DAYS * 24 * 60 * 60 * 1000;
+
+		if (isNaN(date)) {
+			errors.push("Date must be a valid date");
+		} else if (date.getTime() > latest) {
+			errors.push(
+				`Date cannot be more than ${MAX_FUTURE_DAYS} days in the future`
+			);
+		}
+	}
+
 	// Check value is a positive number
 	if (emission.value && (isNaN(emission.value) || emission.value < 0)) {
 		errors.push("Value must be a positive number");
@@ -466,34 +612,358 @@ export const validateEmissionData = (emission) => {
 	};
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Thresholds for the weekly achievement badges
+ * 90 kg CO₂ a week is roughly the global per-person average
+ */
+export const REDUCTION_WEEK_PERCENT = 10;
+export const LOW_CARBON_WEEK_KG = 90;
+export const LOW_CARBON_MIN_DAYS = 3;
+
+/**
+ * Achievement badges - each is earned once a stat reaches its threshold
+ * Thresholds within a category are listed in ascending order
+ */
+export const ACHIEVEMENT_BADGES = [
+	{
+		id: "activities-5",
+		category: "activity",
+		stat: "totalActivities",
+		threshold: 5,
+		title: "5 Activities Tracked",
+		description: "Great job logging 5 activities!",
+		icon: "📝",
+		points: 10,
+	},
+	{
+		id: "activities-10",
+		category: "activity",
+		stat: "totalActivities",
+		threshold: 10,
+		title: "10 Activities Tracked",
+		description: "Great job logging 10 activities!",
+		icon: "📝",
+		points: 20,
+	},
+	{
+		id: "activities-25",
+		category: "activity",
+		stat: "totalActivities",
+		threshold: 25,
+		title: "25 Activities Tracked",
+		description: "Great job logging 25 activities!",
+		icon: "📒",
+		points: 30,
+	},
+	{
+		id: "activities-50",
+		category: "activity",
+		stat: "totalActivities",
+		threshold: 50,
+		title: "50 Activities Tracked",
+		description: "Great job logging 50 activities!",
+		icon: "📚",
+		points: 50,
+	},
+	{
+		id: "activities-100",
+		category: "activity",
+		stat: "totalActivities",
+		threshold: 100,
+		title: "100 Activities Tracked",
+		description: "Great job logging 100 activities!",
+		icon: "🏅",
+		points: 100,
+	},
+	{
+		id: "streak-3",
+		category: "consistency",
+		stat: "longestStreak",
+		threshold: 3,
+		title: "3-Day Streak!",
+		description: "Logged activities 3 days in a row",
+		icon: "🔥",
+		points: 15,
+	},
+	{
+		id: "streak-7",
+		category: "consistency",
+		stat: "longestStreak",
+		threshold: 7,
+		title: "Week-Long Streak!",
+		description: "Logged activities 7 days in a row",
+		icon: "🔥",
+		points: 40,
+	},
+	{
+		id: "streak-30",
+		category: "consistency",
+		stat: "longestStreak",
+		threshold: 30,
+		title: "30-Day Streak!",
+		description: "Logged activities 30 days in a row",
+		icon: "🌟",
+		points: 150,
+	},
+	{
+		id: "reduction-1",
+		category: "reduction",
+		stat: "reductionWeeks",
+		threshold: 1,
+		title: "First Reduction",
+		description: `Cut a week's emissions by ${REDUCTION_WEEK_PERCENT}% on the week before`,
+		icon: "📉",
+		points: 25,
+	},
+	{
+		id: "reduction-4",
+		category: "reduction",
+		stat: "reductionWeeks",
+		threshold: 4,
+		title: "Steady Reducer",
+		description: `Cut emissions by ${REDUCTION_WEEK_PERCENT}% week-over-week 4 times`,
+		icon: "📉",
+		points: 75,
+	},
+	{
+		id: "reduction-12",
+		category: "reduction",
+		stat: "reductionWeeks",
+		threshold: 12,
+		title: "Reduction Champion",
+		description: `Cut emissions by ${REDUCTION_WEEK_PERCENT}% week-over-week 12 times`,
+		icon: "🏆",
+		points: 200,
+	},
+	{
+		id: "low-carbon-1",
+		category: "low_carbon",
+		stat: "lowCarbonWeeks",
+		threshold: 1,
+		title: "Low-Carbon Week",
+		description: `A week under ${LOW_CARBON_WEEK_KG} kg CO₂ with at least ${LOW_CARBON_MIN_DAYS} days logged`,
+		icon: "🌱",
+		points: 25,
+	},
+	{
+		id: "low-carbon-4",
+		category: "low_carbon",
+		stat: "lowCarbonWeeks",
+		threshold: 4,
+		title: "Low-Carbon Month",
+		description: `4 weeks under ${LOW_CARBON_WEEK_KG} kg CO₂`,
+		icon: "🌿",
+		points: 75,
+	},
+	{
+		id: "low-carbon-12",
+		category: "low_carbon",
+		stat: "lowCarbonWeeks",
+		threshold: 12,
+		title: "Low-Carbon Season",
+		description: `12 weeks under ${LOW_CARBON_WEEK_KG} kg CO₂`,
+		icon: "🌳",
+		points: 200,
+	},
+];
+
+/**
+ * Format a date as a YYYY-MM-DD day in an IANA timezone
+ */
+export const getLocalDay = (date, timezone = "UTC") =>
+	new Intl.DateTimeFormat("en-CA", {
+		timeZone: timezone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+	}).format(date);
+
+/**
+ * The instant a calendar day starts in a timezone; month and day overflow
+ * roll over like Date.UTC
+ */
+export const getLocalMidnight = (year, month, day, timezone = "UTC") => {
+	const wallClock = Date.UTC(year, month, day);
+	const formatter = new Intl.DateTimeFormat("en-US", {
+		timeZone: timezone,
+		hourCycle: "h23",
+		year: "numeric",
+		month: "numeric",
+		day: "numeric",
+		hour: "numeric",
+		minute: "numeric",
+		second: "numeric",
+	});
+	const offsetAt = (instant) => {
+		const parts = Object.fromEntries(
+			formatter
+				.formatToParts(instant)
+				.map(({ type, value }) => [type, Number(value)])
+		);
+		return (
+			Date.UTC(
+				parts.year,
+				parts.month - 1,
+				parts.day,
+				parts.hour,
+				parts.minute,
+				parts.second
+			) - instant
+		);
+	};
+
+	// Shift by the offset, then again in case a DST change lies between
+	const guess = wallClock - offsetAt(wallClock);
+	return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Check a timezone name is one the runtime recognises
+ */
+export const isValidTimezone = (timezone) => {
+	try {
+		new Intl.DateTimeFormat("en-CA", { timeZone: timezone });
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+/**
+ * Count consecutive logging days
+ * days are "YYYY-MM-DD" strings; a streak is still current if the last
+ * logged day was yesterday, so it isn't lost before today's entry
+ */
+export const calculateStreaks = (days, today) => {
+	const toDayNumber = (day) => Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+	const todayNumber = toDayNumber(today);
+
+	// Future-dated entries don't extend a streak
+	const dayNumbers = [...new Set(days.map(toDayNumber))]
+		.filter((day) => day <= todayNumber)
+		.sort((a, b) => a - b);
+
+	if (dayNumbers.length === 0) {
+		return { current: 0, longest: 0, lastLoggedDay: null };
+	}
+
+	let longest = 1;
+	let run = 1;
+	for (let i = 1; i < dayNumbers.length; i++) {
+		run = dayNumbers[i] === dayNumbers[i - 1] + 1 ? run + 1 : 1;
+		longest = Math.max(longest, run);
+	}
+
+	const lastDay = dayNumbers[dayNumbers.length - 1];
+
+	return {
+		current: lastDay >= todayNumber - 1 ? run : 0,
+		longest,
+		lastLoggedDay: new Date(lastDay * DAY_MS).toISOString().slice(0, 10),
+	};
+};
+
+/**
+ * Work out the stats badges are awarded on from per-day totals
+ * dailyTotals: [{ day: "YYYY-MM-DD", total, count }]
+ * Only completed weeks (Sunday to Saturday) count toward weekly badges
+ */
+export const calculateAchievementStats = (dailyTotals, today) => {
+	// 1 January 1970 was a Thursday, so shift by 4 to start weeks on Sunday
+	const toWeekNumber = (day) =>
+		Math.floor((Date.parse(`${day}T00:00:00Z`) / DAY_MS + 4) / 7);
+	const currentWeek = toWeekNumber(today);
+
+	const weeks = new Map();
+	for (const { day, total } of dailyTotals) {
+		const week = toWeekNumber(day);
+		if (week >= currentWeek) continue;
+
+		const entry = weeks.get(week) || { total: 0, days: 0 };
+		entry.total += total;
+		entry.days += 1;
+		weeks.set(week, entry);
+	}
+
+	let reductionWeeks = 0;
+	let lowCarbonWeeks = 0;
+	for (const [week, { total, days }] of weeks) {
+		const previous = weeks.get(week - 1);
+		if (
+			previous &&
+			previous.total > 0 &&
+			total <= previous.total * (1 - REDUCTION_WEEK_PERCENT / 100)
+		) {
+			reductionWeeks++;
+		}
+
+		if (days >= LOW_CARBON_MIN_DAYS && total < LOW_CARBON_WEEK_KG) {
+			lowCarbonWeeks++;
+		}
+	}
+
+	const streaks = calculateStreaks(
+		dailyTotals.map(({ day }) => day),
+		today
+	);
+
+	return {
+		totalActivities: dailyTotals.reduce((sum, { count }) => sum + count, 0),
+		longestStreak: streaks.longest,
+		currentStreak: streaks.current,
+		reductionWeeks,
+		lowCarbonWeeks,
+	};
+};
+
 /**
  * Simple achievement system
+ * Lists earned badges plus the next one to earn in each category
  */
 export const generateAchievementMilestones = (userStats) => {
 	const milestones = [];
-
-	// Activity milestones (simpler list)
-	const targets = [5, 10, 25, 50, 100];
-
-	for (const target of targets) {
-		if (userStats.totalActivities >= target) {
-			milestones.push({
-				type: "activity",
-				achieved: true,
-				title: `${target} Activities Tracked`,
-				description: `Great job logging ${target} activities!`,
-			});
-		} else {
-			// Show next milestone to reach
-			milestones.push({
-				type: "activity",
-				achieved: false,
-				title: `${target} Activities`,
-				description: `${
-					target - userStats.totalActivities
-				} more to go!`,
-			});
-			break; // Only show the next one to achieve
+	const categories = [
+		...new Set(ACHIEVEMENT_BADGES.map((badge) => badge.category)),
+	];
+
+	for (const category of categories) {
+		const badges = ACHIEVEMENT_BADGES.filter(
+			(badge) => badge.category === category
+		);
+
+		for (const badge of badges) {
+			const current = userStats[badge.stat] || 0;
+
+			if (current >= badge.threshold) {
+				milestones.push({
+					id: badge.id,
+					type: category,
+					achieved: true,
+					title: badge.title,
+					description: badge.description,
+					points: badge.points,
+				});
+			} else {
+				// Show next milestone to reach
+				milestones.push({
+					id: badge.id,
+					type: category,
+					achieved: false,
+					title: badge.title,
+					description: `${badge.threshold - current} more to go!`,
+					points: badge.points,
+					progress: {
+						current,
+						target: badge.threshold,
+						percentage: Math.round(
+							(current / badge.threshold) * 100
+						),
+					},
+				});
+				break; // Only show the next one to achieve
+			}
 		}
 	}
 
@@ -1,11 +1,25 @@
 // Backend-specific helper functions for analysis routes
 // These functions are optimized for MongoDB operations and server-side processing
 
+import crypto from "crypto";
 import { ObjectId } from "mongodb";
+import {
+	ACHIEVEMENT_BADGES,
+	calculateAchievementStats,
+	calculateEmissionValue,
+	emissionFactors,
+	evaluateGoal,
+	calculateStreaks,
+	generateAchievementMilestones,
+	getGoalPeriodRange,
+	getLocalDay,
+} from "./analysisHelpers.js";
 
 /**
  * Optimized database query builders
  */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 export const buildEmissionsQuery = (userId, options = {}) => {
 	const query = { userId: new ObjectId(userId) };
 
@@ -23,19 +37,72 @@ export const buildEmissionsQuery = (userId, options = {}) => {
 		query.category = options.category;
 	}
 
-	if (options.minValue || options.maxValue) {
+	if (options.activity) {
+		query.activity = options.activity;
+	} else if (options.search && options.search.trim()) {
+		// Free-text search matches anywhere in the activity name
+		query.activity = {
+			$regex: escapeRegex(options.search.trim()),
+			$options: "i",
+		};
+	}
+
+	// Query string values arrive as strings, and 0 is a valid bound
+	const hasMin = options.minValue !== undefined && options.minValue !== "";
+	const hasMax = options.maxValue !== undefined && options.maxValue !== "";
+	if (hasMin || hasMax) {
 		query.value = {};
-		if (options.minValue) {
-			query.value.$gte = options.minValue;
+		if (hasMin) {
+			query.value.$gte = parseFloat(options.minValue);
 		}
-		if (options.maxValue) {
-			query.value.$lte = options.maxValue;
+		if (hasMax) {
+			query.value.$lte = parseFloat(options.maxValue);
 		}
 	}
 
 	return query;
 };
 
+/**
+ * Cursor pagination helpers - a cursor is the sort value and _id of the
+ * last item on the previous page, so pages stay stable as entries are added
+ */
+export const encodeCursor = (doc, sortBy) => {
+	const value = doc[sortBy];
+	const payload = {
+		v: value instanceof Date ? value.toISOString() : value,
+		d: value instanceof Date,
+		id: doc._id.toString(),
+	};
+	return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+export const decodeCursor = (cursor) => {
+	try {
+		const payload = JSON.parse(
+			Buffer.from(cursor, "base64url").toString("utf8")
+		);
+		if (!ObjectId.isValid(payload.id)) return null;
+
+		return {
+			value: payload.d ? new Date(payload.v) : payload.v,
+			id: new ObjectId(payload.id),
+		};
+	} catch {
+		return null;
+	}
+};
+
+export const buildCursorQuery = (cursor, sortBy, order) => {
+	const op = order === "asc" ? "$gt" : "$lt";
+	return {
+		$or: [
+			{ [sortBy]: { [op]: cursor.value } },
+			{ [sortBy]: cursor.value, _id: { [op]: cursor.id } },
+		],
+	};
+};
+
 /**
  * MongoDB aggregation pipelines for efficient analysis
  */
@@ -192,6 +259,20 @@ export class AnalysisCache {
 		}
 	}
 
+	// Drop every cached result for one user
+	invalidateUser(userId) {
+		for (const key of this.cache.keys()) {
+			if (key.startsWith(`${userId}-`)) {
+				this.cache.delete(key);
+			}
+		}
+	}
+
+	// Drop everything, e.g. after stored values change in bulk
+	clear() {
+		this.cache.clear();
+	}
+
 	// Remove old entries
 	clearOldEntries() {
 		const now = Date.now();
@@ -287,7 +368,8 @@ export const calculateWeeklyComparison = async (db, userId) => {
 			{
 				$match: {
 					userId: new ObjectId(userId),
-					timestamp: { $gte: lastWeekStart },
+					// Future-dated entries don't belong to the current week
+					timestamp: { $gte: lastWeekStart, $lte: now },
 				},
 			},
 			{
@@ -352,6 +434,113 @@ export const calculateWeeklyComparison = async (db, userId) => {
 	}
 };
 
+// Chart data for a filtered set of a user's emissions: totals, the
+// category breakdown, the last CHART_MONTHS calendar months in the user's
+// timezone and the last CHART_WEEKS rolling 7-day weeks
+const CHART_MONTHS = 6;
+const CHART_WEEKS = 8;
+
+export const calculateEmissionCharts = async (
+	db,
+	userId,
+	filters = {},
+	timezone = "UTC",
+	now = new Date()
+) => {
+	const weekMs = 7 * 24 * 60 * 60 * 1000;
+
+	// Month keys are worked out from the current local month; a day's
+	// slack either side of the UTC month start covers any timezone
+	const [year, month] = getLocalDay(now, timezone)
+		.slice(0, 7)
+		.split("-")
+		.map(Number);
+	const months = Array.from({ length: CHART_MONTHS }, (_, index) =>
+		new Date(Date.UTC(year, month - CHART_MONTHS + index, 1))
+			.toISOString()
+			.slice(0, 7)
+	);
+	const monthsStart = new Date(Date.UTC(year, month - CHART_MONTHS, 0));
+	const weeksStart = new Date(now.getTime() - CHART_WEEKS * weekMs);
+
+	const totals = {
+		totalEmissions: { $sum: "$value" },
+		activityCount: { $sum: 1 },
+	};
+
+	const [result] = await db
+		.collection("emissions")
+		.aggregate([
+			{ $match: buildEmissionsQuery(userId, filters) },
+			{
+				$facet: {
+					totals: [{ $group: { _id: null, ...totals } }],
+					categories: [
+						{ $group: { _id: "$category", ...totals } },
+						{ $sort: { totalEmissions: -1 } },
+					],
+					monthly: [
+						{ $match: { timestamp: { $gte: monthsStart } } },
+						{
+							$group: {
+								_id: {
+									$dateToString: {
+										format: "%Y-%m",
+										date: "$timestamp",
+										timezone,
+									},
+								},
+								...totals,
+							},
+						},
+					],
+					weekly: [
+						{ $match: { timestamp: { $gte: weeksStart, $lt: now } } },
+						{
+							$group: {
+								// Whole weeks before now
+								_id: {
+									$floor: {
+										$divide: [
+											{ $subtract: [now, "$timestamp"] },
+											weekMs,
+										],
+									},
+								},
+								...totals,
+							},
+						},
+					],
+				},
+			},
+		])
+		.toArray();
+
+	const toTotals = (group) => ({
+		totalEmissions: group?.totalEmissions || 0,
+		activityCount: group?.activityCount || 0,
+	});
+	const monthsByKey = new Map(result.monthly.map((m) => [m._id, m]));
+	const weeksByAge = new Map(result.weekly.map((w) => [w._id, w]));
+
+	return {
+		...toTotals(result.totals[0]),
+		categories: result.categories.map((group) => ({
+			category: group._id,
+			...toTotals(group),
+		})),
+		monthly: months.map((key) => ({
+			month: key,
+			...toTotals(monthsByKey.get(key)),
+		})),
+		// Oldest week first
+		weekly: Array.from({ length: CHART_WEEKS }, (_, index) => {
+			const weeksAgo = CHART_WEEKS - 1 - index;
+			return { weeksAgo, ...toTotals(weeksByAge.get(weeksAgo)) };
+		}),
+	};
+};
+
 export const getTopEmittingActivities = async (db, userId, limit = 10) => {
 	try {
 		const pipeline = [
@@ -435,90 +624,185 @@ export const withErrorHandling = (fn) => {
 };
 
 /**
- * Rate limiting for analysis endpoints
+ * In-memory store for RateLimiter - the default
+ * A store records a hit for a key and returns the key's hit times (ms)
+ * still inside the window; a shared store (e.g. Redis) can be passed to
+ * RateLimiter instead when running more than one server
  */
-export class RateLimiter {
-	constructor(maxRequests = 100, windowMs = 60000) {
-		// 100 requests per minute
+export class MemoryRateLimitStore {
+	constructor() {
 		this.requests = new Map();
-		this.maxRequests = maxRequests;
-		this.windowMs = windowMs;
+		this.lastCleanup = 0;
 	}
 
-	isAllowed(userId) {
-		const now = Date.now();
-		const userRequests = this.requests.get(userId) || [];
+	async hit(key, windowMs, now) {
+		// Drop idle keys about once per window so the map can't grow forever
+		if (now - this.lastCleanup >= windowMs) {
+			this.cleanup(windowMs, now);
+		}
 
-		// Remove old requests outside the window
-		const validRequests = userRequests.filter(
-			(time) => now - time < this.windowMs
+		const hits = (this.requests.get(key) || []).filter(
+			(time) => now - time < windowMs
 		);
+		hits.push(now);
+		this.requests.set(key, hits);
 
-		if (validRequests.length >= this.maxRequests) {
-			return false;
-		}
-
-		validRequests.push(now);
-		this.requests.set(userId, validRequests);
+		return hits;
+	}
 
-		return true;
+	async reset(key) {
+		this.requests.delete(key);
 	}
 
-	cleanup() {
-		const now = Date.now();
-		for (const [userId, requests] of this.requests.entries()) {
+	cleanup(windowMs, now = Date.now()) {
+		this.lastCleanup = now;
+		for (const [key, requests] of this.requests.entries()) {
 			const validRequests = requests.filter(
-				(time) => now - time < this.windowMs
+				(time) => now - time < windowMs
 			);
 			if (validRequests.length === 0) {
-				this.requests.delete(userId);
+				this.requests.delete(key);
 			} else {
-				this.requests.set(userId, validRequests);
+				this.requests.set(key, validRequests);
 			}
 		}
 	}
 }
 
-// Global rate limiter instance
-export const analysisRateLimiter = new RateLimiter();
-
 /**
- * Data validation helpers
+ * Sliding-window rate limiting, keyed by user id, IP address, email, ...
  */
-export const validateAnalysisRequest = (req) => {
-	const errors = [];
-
-	if (!req.params.userId) {
-		errors.push("User ID is required");
+export class RateLimiter {
+	constructor(
+		maxRequests = 100,
+		windowMs = 60000,
+		store = new MemoryRateLimitStore()
+	) {
+		// 100 requests per minute
+		this.maxRequests = maxRequests;
+		this.windowMs = windowMs;
+		this.store = store;
 	}
 
-	if (req.params.userId && !ObjectId.isValid(req.params.userId)) {
-		errors.push("Invalid User ID format");
+	// Count a request; rejected requests count too, so a client that keeps
+	// retrying stays limited
+	async consume(key) {
+		const now = Date.now();
+		const hits = await this.store.hit(key, this.windowMs, now);
+
+		if (hits.length <= this.maxRequests) {
+			return {
+				allowed: true,
+				remaining: this.maxRequests - hits.length,
+				retryAfterMs: 0,
+			};
+		}
+
+		// Allowed again once enough of the recent hits leave the window
+		const oldestBlocking = hits[hits.length - this.maxRequests];
+		return {
+			allowed: false,
+			remaining: 0,
+			retryAfterMs: oldestBlocking + this.windowMs - now,
+		};
 	}
 
-	if (req.query.startDate && isNaN(Date.parse(req.query.startDate))) {
-		errors.push("Invalid start date format");
+	async isAllowed(key) {
+		const { allowed } = await this.consume(key);
+		return allowed;
 	}
 
-	if (req.query.endDate && isNaN(Date.parse(req.query.endDate))) {
-		errors.push("Invalid end date format");
+	reset(key) {
+		return this.store.reset(key);
 	}
+}
 
-	if (
-		req.query.limit &&
-		(isNaN(req.query.limit) ||
-			req.query.limit < 1 ||
-			req.query.limit > 1000)
-	) {
-		errors.push("Limit must be between 1 and 1000");
+// Global rate limiter instance
+export const analysisRateLimiter = new RateLimiter();
+
+// Generic 429 so responses don't reveal which limit was hit
+export const sendTooManyRequests = (res, retryAfterMs) => {
+	res.setHeader("Retry-After", Math.max(1, Math.ceil(retryAfterMs / 1000)));
+	res.status(429).json({
+		message: "Too many requests. Please try again later.",
+	});
+};
+
+/**
+ * Express middleware limiting requests by the key getKey(req) returns
+ * Requests without a key are let through, and so are all requests if the
+ * store fails, rather than locking everyone out
+ */
+export const rateLimit = (limiter, getKey) => async (req, res, next) => {
+	try {
+		const key = getKey(req);
+		if (!key) return next();
+
+		const { allowed, retryAfterMs } = await limiter.consume(key);
+		if (!allowed) {
+			return sendTooManyRequests(res, retryAfterMs);
+		}
+	} catch (error) {
+		console.error("Rate limiter error:", error);
 	}
 
-	return {
-		isValid: errors.length === 0,
-		errors,
-	};
+	next();
+};
+
+/**
+ * Progressive login lockout, tracked per email in failedLogins
+ * After FAILED_LOGIN_THRESHOLD failures in a row each further failure locks
+ * the account for twice as long, up to FAILED_LOGIN_MAX_LOCKOUT_MS
+ */
+export const FAILED_LOGIN_THRESHOLD = 5;
+const FAILED_LOGIN_BASE_LOCKOUT_MS = 60 * 1000;
+const FAILED_LOGIN_MAX_LOCKOUT_MS = 60 * 60 * 1000;
+// Failures are forgotten a day after the last one
+const FAILED_LOGIN_RESET_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds until the email may try again, or 0 if it isn't locked
+export const getLoginLockout = async (db, email, now = new Date()) => {
+	const record = await db.collection("failedLogins").findOne({ email });
+
+	if (!record?.lockedUntil || record.lockedUntil <= now) return 0;
+	return record.lockedUntil.getTime() - now.getTime();
+};
+
+export const recordFailedLogin = async (db, email, ip, now = new Date()) => {
+	const record = await db.collection("failedLogins").findOneAndUpdate(
+		{ email },
+		{
+			$inc: { count: 1 },
+			$set: {
+				lastFailedAt: now,
+				lastIp: ip,
+				expiresAt: new Date(now.getTime() + FAILED_LOGIN_RESET_MS),
+			},
+		},
+		{ upsert: true, returnDocument: "after" }
+	);
+
+	if (record.count < FAILED_LOGIN_THRESHOLD) return 0;
+
+	const lockoutMs = Math.min(
+		FAILED_LOGIN_BASE_LOCKOUT_MS *
+			2 ** (record.count - FAILED_LOGIN_THRESHOLD),
+		FAILED_LOGIN_MAX_LOCKOUT_MS
+	);
+
+	await db
+		.collection("failedLogins")
+		.updateOne(
+			{ _id: record._id },
+			{ $set: { lockedUntil: new Date(now.getTime() + lockoutMs) } }
+		);
+
+	return lockoutMs;
 };
 
+export const clearFailedLogins = (db, email) =>
+	db.collection("failedLogins").deleteOne({ email });
+
 /**
  * Response formatting helpers
  */
@@ -603,11 +887,87 @@ export const ensureIndexes = async (db) => {
 		await db
 			.collection("emissions")
 			.createIndex({ userId: 1, category: 1 });
+		await db
+			.collection("emissions")
+			.createIndex({ userId: 1, value: -1 });
+		await db
+			.collection("emissions")
+			.createIndex({ userId: 1, createdAt: -1 });
 		await db.collection("emissions").createIndex({ timestamp: -1 });
 		await db.collection("emissions").createIndex({ value: -1 });
 		await db
 			.collection("users")
 			.createIndex({ email: 1 }, { unique: true });
+		await db
+			.collection("factors")
+			.createIndex({ key: 1, version: 1 }, { unique: true });
+		await db.collection("factors").createIndex({ isCurrent: 1 });
+		// At most one current version per factor
+		await db.collection("factors").createIndex(
+			{ key: 1 },
+			{
+				unique: true,
+				partialFilterExpression: { isCurrent: true },
+				name: "key_current_unique",
+			}
+		);
+		await db
+			.collection("emissions")
+			.createIndex({ factorKey: 1, timestamp: -1 });
+		await db
+			.collection("goals")
+			.createIndex({ userId: 1, period: 1 }, { unique: true });
+		await db
+			.collection("achievements")
+			.createIndex({ userId: 1, badgeId: 1 }, { unique: true });
+		await db
+			.collection("achievements")
+			.createIndex({ userId: 1, awardedAt: -1 });
+		await db
+			.collection("sessions")
+			.createIndex({ refreshTokenHash: 1 }, { unique: true });
+		await db
+			.collection("sessions")
+			.createIndex({ previousRefreshTokenHash: 1 });
+		await db.collection("sessions").createIndex({ userId: 1 });
+		// Expired sessions are removed by MongoDB
+		await db
+			.collection("sessions")
+			.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+		await db
+			.collection("passwordResets")
+			.createIndex({ tokenHash: 1 }, { unique: true });
+		await db.collection("passwordResets").createIndex({ userId: 1 });
+		await db
+			.collection("passwordResets")
+			.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+		await db
+			.collection("emailVerifications")
+			.createIndex({ tokenHash: 1 }, { unique: true });
+		await db.collection("emailVerifications").createIndex({ userId: 1 });
+		await db
+			.collection("emailVerifications")
+			.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+		await db
+			.collection("failedLogins")
+			.createIndex({ email: 1 }, { unique: true });
+		await db
+			.collection("failedLogins")
+			.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+		await db.collection("organisations").createIndex({ createdBy: 1 });
+		await db
+			.collection("teams")
+			.createIndex({ inviteCode: 1 }, { unique: true });
+		await db.collection("teams").createIndex({ organisationId: 1 });
+		await db
+			.collection("teamMembers")
+			.createIndex({ teamId: 1, userId: 1 }, { unique: true });
+		await db.collection("teamMembers").createIndex({ userId: 1 });
+		await db
+			.collection("userTotals")
+			.createIndex({ userId: 1, period: 1, key: 1 }, { unique: true });
+		// Leaderboards scan one period's buckets across every user
+		await db.collection("userTotals").createIndex({ period: 1, key: 1 });
 
 		console.log("✅ Database indexes created successfully");
 	} catch (error) {
@@ -619,3 +979,1345 @@ export const ensureIndexes = async (db) => {
 		}
 	}
 };
+
+
+/**
+ * Emission factor registry - seeded from analysisHelpers.emissionFactors
+ */
+const formatCategoryName = (category) =>
+	category.charAt(0).toUpperCase() + category.slice(1);
+
+export const seedEmissionFactors = async (db) => {
+	try {
+		const factorsCollection = db.collection("factors");
+		let seeded = 0;
+
+		for (const [category, activities] of Object.entries(emissionFactors)) {
+			for (const [activity, { factor, unit }] of Object.entries(
+				activities
+			)) {
+				const key = `${category}.${activity}`;
+
+				// Only insert version 1 when the key is new, never overwrite
+				const result = await factorsCollection.updateOne(
+					{ key, version: 1 },
+					{
+						$setOnInsert: {
+							key,
+							category: formatCategoryName(category),
+							activity,
+							factor,
+							unit,
+							version: 1,
+							isCurrent: true,
+							createdAt: new Date(),
+						},
+					},
+					{ upsert: true }
+				);
+
+				if (result.upsertedCount > 0) seeded += 1;
+			}
+		}
+
+		console.log(`🌱 Emission factors ready (${seeded} newly seeded)`);
+	} catch (error) {
+		console.error("❌ Error seeding emission factors:", error.message);
+	}
+};
+
+// Look up a factor in the registry by its id
+export const findEmissionFactor = async (db, factorId) => {
+	if (!factorId || !ObjectId.isValid(factorId)) return null;
+
+	return db
+		.collection("factors")
+		.findOne({ _id: new ObjectId(factorId) });
+};
+
+// Resolve a factor id to the current version of that factor, so clients
+// holding an id from before a correction still log against the latest one
+export const findCurrentEmissionFactor = async (db, factorId) => {
+	const factor = await findEmissionFactor(db, factorId);
+	if (!factor || factor.isCurrent) return factor;
+
+	return db
+		.collection("factors")
+		.findOne({ key: factor.key, isCurrent: true });
+};
+
+// Publish a corrected factor as a new version and retire the previous one
+export const publishFactorVersion = async (
+	db,
+	key,
+	{ factor, reason },
+	user
+) => {
+	const factorsCollection = db.collection("factors");
+	const current = await factorsCollection.findOne({ key, isCurrent: true });
+
+	if (!current) return null;
+
+	const newVersion = {
+		key,
+		category: current.category,
+		activity: current.activity,
+		factor,
+		unit: current.unit,
+		version: current.version + 1,
+		isCurrent: true,
+		reason: reason || null,
+		previousFactor: current.factor,
+		createdBy: user.id,
+		createdAt: new Date(),
+	};
+
+	// Supersede the old version, then insert the new one. No transaction,
+	// so this works on a standalone server: the partial unique index on
+	// current versions and the unique key/version index make a concurrent
+	// publish fail with a duplicate key error instead of leaving two
+	// current versions
+	const superseded = await factorsCollection.updateOne(
+		{ _id: current._id, isCurrent: true },
+		{ $set: { isCurrent: false, supersededAt: new Date() } }
+	);
+
+	let insertedId;
+	try {
+		({ insertedId } = await factorsCollection.insertOne(newVersion));
+	} catch (error) {
+		// Put the old version back so the factor is never left without one
+		if (superseded.modifiedCount > 0) {
+			await factorsCollection
+				.updateOne(
+					{ _id: current._id },
+					{
+						$set: { isCurrent: true },
+						$unset: { supersededAt: "" },
+					}
+				)
+				.catch((restoreError) =>
+					console.error(
+						"Error restoring superseded factor version:",
+						restoreError
+					)
+				);
+		}
+		throw error;
+	}
+
+	return { _id: insertedId, ...newVersion };
+};
+
+/**
+ * Recalculate stored emission values for a date range under a factor version.
+ * Progress and before/after totals are recorded on the job document so
+ * reports computed before the change can be reproduced.
+ */
+export const runEmissionRecalculation = async (db, jobId, factor, range) => {
+	const jobs = db.collection("recalculations");
+	const emissionsCollection = db.collection("emissions");
+
+	try {
+		const cursor = emissionsCollection.find({
+			factorKey: factor.key,
+			factorVersion: { $ne: factor.version },
+			quantity: { $exists: true },
+			timestamp: { $gte: range.startDate, $lt: range.endDate },
+		});
+
+		let beforeTotal = 0;
+		let afterTotal = 0;
+		let updatedCount = 0;
+		let operations = [];
+		let totalsChanges = { added: [], removed: [] };
+
+		const flush = async () => {
+			if (operations.length === 0) return;
+			await emissionsCollection.bulkWrite(operations, {
+				ordered: false,
+			});
+			await updateUserTotals(db, totalsChanges);
+			operations = [];
+			totalsChanges = { added: [], removed: [] };
+		};
+
+		for await (const emission of cursor) {
+			const newValue = calculateEmissionValue(
+				emission.quantity,
+				factor.factor
+			);
+
+			beforeTotal += emission.value;
+			afterTotal += newValue;
+			updatedCount += 1;
+
+			totalsChanges.removed.push(emission);
+			totalsChanges.added.push({ ...emission, value: newValue });
+			operations.push({
+				updateOne: {
+					filter: { _id: emission._id },
+					update: {
+						$set: {
+							value: newValue,
+							factor: factor.factor,
+							factorId: factor._id,
+							factorVersion: factor.version,
+							recalculation: {
+								jobId,
+								previousValue: emission.value,
+								previousFactorVersion: emission.factorVersion,
+								recalculatedAt: new Date(),
+							},
+						},
+					},
+				},
+			});
+
+			if (operations.length >= 500) await flush();
+		}
+
+		await flush();
+
+		// Stored values changed, so cached analysis is stale
+		analysisCache.clear();
+
+		await jobs.updateOne(
+			{ _id: jobId },
+			{
+				$set: {
+					status: "completed",
+					updatedCount,
+					beforeTotal: Math.round(beforeTotal * 1000) / 1000,
+					afterTotal: Math.round(afterTotal * 1000) / 1000,
+					completedAt: new Date(),
+				},
+			}
+		);
+	} catch (error) {
+		console.error("Error recalculating emissions:", error);
+		await jobs.updateOne(
+			{ _id: jobId },
+			{
+				$set: {
+					status: "failed",
+					error: error.message,
+					completedAt: new Date(),
+				},
+			}
+		);
+	}
+};
+
+// Jobs run in the server process, so any still "running" at startup were
+// cut off by a restart and will never finish
+export const failInterruptedRecalculations = async (db) => {
+	try {
+		const result = await db.collection("recalculations").updateMany(
+			{ status: "running" },
+			{
+				$set: {
+					status: "failed",
+					error: "Interrupted by a server restart",
+					completedAt: new Date(),
+				},
+			}
+		);
+
+		if (result.modifiedCount > 0) {
+			console.log(
+				`⚠️ Marked ${result.modifiedCount} interrupted recalculation(s) as failed`
+			);
+		}
+	} catch (error) {
+		console.error("❌ Error failing interrupted recalculations:", error);
+	}
+};
+
+// Shape a factor document for API responses
+export const formatFactor = (factor) => ({
+	id: factor._id.toString(),
+	key: factor.key,
+	category: factor.category,
+	activity: factor.activity,
+	factor: factor.factor,
+	unit: factor.unit,
+	version: factor.version,
+});
+
+/**
+ * Reduction goals - progress is measured over each goal's current period,
+ * in the user's timezone
+ */
+export const calculateGoalsProgress = async (
+	db,
+	userId,
+	goals,
+	{ timezone = "UTC", now = new Date() } = {}
+) => {
+	if (goals.length === 0) return [];
+
+	const ranges = goals.map((goal) =>
+		getGoalPeriodRange(goal.period, now, timezone)
+	);
+
+	// One pass over the widest range, summing each period separately
+	const [totals = {}] = await db
+		.collection("emissions")
+		.aggregate([
+			{
+				$match: {
+					userId: new ObjectId(userId),
+					timestamp: {
+						$gte: new Date(
+							Math.min(...ranges.map((range) => range.start))
+						),
+						$lt: new Date(
+							Math.max(...ranges.map((range) => range.end))
+						),
+					},
+				},
+			},
+			{
+				$group: {
+					_id: null,
+					...Object.fromEntries(
+						ranges.map((range, index) => [
+							`goal${index}`,
+							{
+								$sum: {
+									$cond: [
+										{
+											$and: [
+												{
+													$gte: [
+														"$timestamp",
+														range.start,
+													],
+												},
+												{
+													$lt: [
+														"$timestamp",
+														range.end,
+													],
+												},
+											],
+										},
+										"$value",
+										0,
+									],
+								},
+							},
+						])
+					),
+				},
+			},
+		])
+		.toArray();
+
+	return goals.map((goal, index) => ({
+		...formatGoal(goal),
+		...evaluateGoal(
+			goal.target,
+			totals[`goal${index}`] || 0,
+			ranges[index],
+			now
+		),
+	}));
+};
+
+// Shape a goal document for API responses
+export const formatGoal = (goal) => ({
+	id: goal._id.toString(),
+	period: goal.period,
+	target: goal.target,
+	createdAt: goal.createdAt,
+	updatedAt: goal.updatedAt,
+});
+
+/**
+ * Achievements - badges are stored once earned, with the date awarded
+ */
+export const getDailyEmissionTotals = async (
+	db,
+	userId,
+	timezone = "UTC"
+) => {
+	const days = await db
+		.collection("emissions")
+		.aggregate([
+			{ $match: { userId: new ObjectId(userId) } },
+			{
+				$group: {
+					_id: {
+						$dateToString: {
+							format: "%Y-%m-%d",
+							date: "$timestamp",
+							timezone,
+						},
+					},
+					total: { $sum: "$value" },
+					count: { $sum: 1 },
+				},
+			},
+			{ $sort: { _id: 1 } },
+		])
+		.toArray();
+
+	return days.map(({ _id, total, count }) => ({ day: _id, total, count }));
+};
+
+// Award any newly earned badges; returns the badges awarded by this call
+export const awardAchievements = async (
+	db,
+	userId,
+	{ timezone = "UTC", now = new Date() } = {}
+) => {
+	try {
+		const dailyTotals = await getDailyEmissionTotals(db, userId, timezone);
+		const stats = calculateAchievementStats(
+			dailyTotals,
+			getLocalDay(now, timezone)
+		);
+		const milestones = generateAchievementMilestones(stats);
+		const earned = milestones.filter((milestone) => milestone.achieved);
+
+		if (earned.length === 0) {
+			return { stats, milestones, newlyAwarded: [] };
+		}
+
+		// Upserting keeps the original award date for badges already held
+		const result = await db.collection("achievements").bulkWrite(
+			earned.map((milestone) => ({
+				updateOne: {
+					filter: {
+						userId: new ObjectId(userId),
+						badgeId: milestone.id,
+					},
+					update: {
+						$setOnInsert: {
+							userId: new ObjectId(userId),
+							badgeId: milestone.id,
+							category: milestone.type,
+							awardedAt: now,
+						},
+					},
+					upsert: true,
+				},
+			})),
+			{ ordered: false }
+		);
+
+		const newlyAwarded = Object.keys(result.upsertedIds).map((index) =>
+			formatAchievement({
+				badgeId: earned[index].id,
+				category: earned[index].type,
+				awardedAt: now,
+			})
+		);
+
+		if (newlyAwarded.length > 0) {
+			analysisCache.invalidateUser(userId);
+		}
+
+		return { stats, milestones, newlyAwarded };
+	} catch (error) {
+		// Awarding is a side effect and must not fail the caller
+		console.error("Error awarding achievements:", error);
+		return { stats: null, milestones: [], newlyAwarded: [] };
+	}
+};
+
+// Shape an achievement document for API responses, using the badge text
+export const formatAchievement = (achievement) => {
+	const badge = ACHIEVEMENT_BADGES.find(
+		(definition) => definition.id === achievement.badgeId
+	);
+
+	return {
+		id: achievement.badgeId,
+		category: achievement.category,
+		title: badge?.title || achievement.badgeId,
+		message: badge?.description,
+		icon: badge?.icon,
+		points: badge?.points,
+		awardedAt: achievement.awardedAt,
+	};
+};
+
+// Daily logging streaks, with days counted in the user's timezone
+export const calculateLoggingStreaks = async (
+	db,
+	userId,
+	timezone = "UTC",
+	now = new Date()
+) => {
+	const dailyTotals = await getDailyEmissionTotals(db, userId, timezone);
+	const today = getLocalDay(now, timezone);
+	const streaks = calculateStreaks(
+		dailyTotals.map(({ day }) => day),
+		today
+	);
+	const todayTotals = dailyTotals.find(({ day }) => day === today);
+
+	return {
+		...streaks,
+		timezone,
+		today,
+		loggedToday: Boolean(todayTotals),
+		todayTotal: Math.round((todayTotals?.total || 0) * 1000) / 1000,
+		todayActivities: todayTotals?.count || 0,
+	};
+};
+
+// Match on userTotals that keeps hidden users off leaderboards, and
+// unverified users too when LEADERBOARD_REQUIRE_VERIFIED=true; accounts
+// from before verification existed have no flag and still take part
+export const getLeaderboardEligibilityMatch = () => ({
+	leaderboardHidden: { $ne: true },
+	...(process.env.LEADERBOARD_REQUIRE_VERIFIED === "true" && {
+		emailVerified: { $ne: false },
+	}),
+});
+
+/**
+ * Leaderboard privacy - users appear under their display name, under a
+ * pseudonym, or not at all
+ */
+export const LEADERBOARD_VISIBILITIES = ["public", "pseudonym", "hidden"];
+
+const PSEUDONYM_ADJECTIVES = [
+	"Green",
+	"Leafy",
+	"Sunny",
+	"Breezy",
+	"Mossy",
+	"Misty",
+	"Sandy",
+	"Frosty",
+];
+const PSEUDONYM_ANIMALS = [
+	"Otter",
+	"Badger",
+	"Heron",
+	"Fox",
+	"Puffin",
+	"Hedgehog",
+	"Owl",
+	"Beaver",
+];
+
+// Derived from the user id so it stays the same between visits, letting
+// users follow their own progress without revealing who they are
+export const getPseudonym = (userId) => {
+	const hash = crypto
+		.createHash("sha256")
+		.update(`pseudonym:${userId}`)
+		.digest();
+
+	return [
+		PSEUDONYM_ADJECTIVES[hash[0] % PSEUDONYM_ADJECTIVES.length],
+		PSEUDONYM_ANIMALS[hash[1] % PSEUDONYM_ANIMALS.length],
+		hash.readUInt16BE(2) % 1000,
+	].join(" ");
+};
+
+// The name shown for a user on leaderboards; falls back to the first name
+// for users who haven't picked a display name
+export const getPublicName = (user) =>
+	user.leaderboardVisibility === "pseudonym"
+		? getPseudonym(user._id)
+		: user.displayName || user.name;
+
+/**
+ * Per-user totals - emission totals and activity counts kept in userTotals
+ * as one document per user and bucket, so leaderboards never have to
+ * group the whole emissions collection. Buckets are UTC days, weeks
+ * starting on Sunday, calendar months, categories and all time
+ */
+export const USER_TOTALS_PERIODS = ["all", "day", "week", "month", "category"];
+
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+// The buckets an emission counts towards
+const getTotalsBuckets = (emission) => {
+	const timestamp = new Date(emission.timestamp);
+	const weekStart = new Date(timestamp);
+	weekStart.setUTCDate(weekStart.getUTCDate() - weekStart.getUTCDay());
+
+	return {
+		all: "all",
+		day: toDayKey(timestamp),
+		week: toDayKey(weekStart),
+		month: toDayKey(timestamp).slice(0, 7),
+		category: emission.category,
+	};
+};
+
+// The same bucket keys computed in an aggregation, for rebuilds
+const TOTALS_BUCKET_EXPRESSIONS = {
+	all: { $literal: "all" },
+	day: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } },
+	week: {
+		$dateToString: {
+			format: "%Y-%m-%d",
+			date: {
+				$dateTrunc: {
+					date: "$timestamp",
+					unit: "week",
+					startOfWeek: "sunday",
+				},
+			},
+		},
+	},
+	month: { $dateToString: { format: "%Y-%m", date: "$timestamp" } },
+	category: "$category",
+};
+
+// Buckets that also count the days with at least one activity logged
+const LOGGED_DAY_PERIODS = ["all", "week", "month"];
+
+// Leaderboard eligibility copied onto every totals document, so rankings
+// can filter on it without loading the users collection
+const toTotalsEligibility = (user) => ({
+	leaderboardHidden: user?.leaderboardVisibility === "hidden",
+	emailVerified: user?.emailVerified !== false,
+});
+
+// Refresh a user's eligibility on their totals after their leaderboard
+// visibility or email verification changes
+export const updateUserTotalsEligibility = async (db, userId) => {
+	const user = await db
+		.collection("users")
+		.findOne(
+			{ _id: new ObjectId(userId) },
+			{ projection: { leaderboardVisibility: 1, emailVerified: 1 } }
+		);
+
+	await db
+		.collection("userTotals")
+		.updateMany(
+			{ userId: new ObjectId(userId) },
+			{ $set: toTotalsEligibility(user) }
+		);
+};
+
+// Add and remove emissions from their owners' totals. Changes are summed
+// per bucket and applied with $inc, so concurrent requests never overwrite
+// each other; an update is the old version removed and the new one added
+export const updateUserTotals = async (db, { added = [], removed = [] }) => {
+	const changes = [
+		...added.map((emission) => [emission, 1]),
+		...removed.map((emission) => [emission, -1]),
+	];
+	if (changes.length === 0) return;
+
+	const increments = new Map();
+	const addIncrement = (userId, period, key, amounts) => {
+		const id = `${userId}:${period}:${key}`;
+		const increment = increments.get(id) || {
+			filter: { userId: new ObjectId(userId), period, key },
+			amounts: { totalEmissions: 0, activityCount: 0, loggedDays: 0 },
+		};
+
+		for (const [field, amount] of Object.entries(amounts)) {
+			increment.amounts[field] += amount;
+		}
+		increments.set(id, increment);
+	};
+
+	for (const [emission, sign] of changes) {
+		const buckets = getTotalsBuckets(emission);
+
+		for (const period of USER_TOTALS_PERIODS) {
+			addIncrement(emission.userId, period, buckets[period], {
+				totalEmissions: sign * emission.value,
+				activityCount: sign,
+			});
+		}
+	}
+
+	// Skip buckets the changes cancel out in, e.g. an edited quantity
+	// leaves the emission's category and dates where they were
+	const hasChanges = ({ amounts }) =>
+		Object.values(amounts).some((amount) => amount !== 0);
+
+	const userIds = [
+		...new Set(changes.map(([emission]) => emission.userId.toString())),
+	].map((id) => new ObjectId(id));
+	const users = await db
+		.collection("users")
+		.find(
+			{ _id: { $in: userIds } },
+			{ projection: { leaderboardVisibility: 1, emailVerified: 1 } }
+		)
+		.toArray();
+	const eligibilityByUser = new Map(
+		users.map((user) => [user._id.toString(), toTotalsEligibility(user)])
+	);
+	const getUpdate = ({ filter, amounts }, fields) => ({
+		$inc: Object.fromEntries(fields.map((field) => [field, amounts[field]])),
+		$set: {
+			...eligibilityByUser.get(filter.userId.toString()),
+			updatedAt: new Date(),
+		},
+	});
+
+	const userTotals = db.collection("userTotals");
+
+	// Day buckets go first, one at a time, to find days that gained their
+	// first activity or lost their last - those change the logged day
+	// counts of the matching week, month and all-time buckets
+	const days = [...increments.values()].filter(
+		(increment) => increment.filter.period === "day" && hasChanges(increment)
+	);
+	for (const day of days) {
+		const before = await userTotals.findOneAndUpdate(
+			day.filter,
+			getUpdate(day, ["totalEmissions", "activityCount"]),
+			{ upsert: true, returnDocument: "before" }
+		);
+		const countBefore = before?.activityCount || 0;
+		const wasLogged = countBefore > 0;
+		const isLogged = countBefore + day.amounts.activityCount > 0;
+
+		if (wasLogged !== isLogged) {
+			const buckets = getTotalsBuckets({ timestamp: day.filter.key });
+			for (const period of LOGGED_DAY_PERIODS) {
+				addIncrement(day.filter.userId, period, buckets[period], {
+					loggedDays: isLogged ? 1 : -1,
+				});
+			}
+		}
+	}
+
+	const operations = [...increments.values()]
+		.filter(
+			(increment) =>
+				increment.filter.period !== "day" && hasChanges(increment)
+		)
+		.map((increment) => ({
+			updateOne: {
+				filter: increment.filter,
+				update: getUpdate(
+					increment,
+					LOGGED_DAY_PERIODS.includes(increment.filter.period)
+						? ["totalEmissions", "activityCount", "loggedDays"]
+						: ["totalEmissions", "activityCount"]
+				),
+				upsert: true,
+			},
+		}));
+
+	if (operations.length > 0) {
+		await userTotals.bulkWrite(operations, { ordered: false });
+	}
+
+	// Buckets left without any activities are removed
+	if (removed.length > 0) {
+		await userTotals.deleteMany({
+			userId: { $in: userIds },
+			activityCount: { $lte: 0 },
+		});
+	}
+};
+
+// Recompute every user's totals from their emissions - used to backfill
+// userTotals and to repair drift. Run while emissions aren't being written,
+// since changes made during the rebuild can be lost
+export const rebuildUserTotals = async (db) => {
+	const userTotals = db.collection("userTotals");
+	await userTotals.deleteMany({});
+
+	for (const period of USER_TOTALS_PERIODS) {
+		const countsDays = LOGGED_DAY_PERIODS.includes(period);
+
+		await db
+			.collection("emissions")
+			.aggregate([
+				{
+					$group: {
+						_id: {
+							userId: "$userId",
+							key: TOTALS_BUCKET_EXPRESSIONS[period],
+						},
+						totalEmissions: { $sum: "$value" },
+						activityCount: { $sum: 1 },
+						...(countsDays && {
+							days: { $addToSet: TOTALS_BUCKET_EXPRESSIONS.day },
+						}),
+					},
+				},
+				{
+					$lookup: {
+						from: "users",
+						localField: "_id.userId",
+						foreignField: "_id",
+						pipeline: [
+							{
+								$project: {
+									leaderboardVisibility: 1,
+									emailVerified: 1,
+								},
+							},
+						],
+						as: "user",
+					},
+				},
+				{
+					$project: {
+						_id: 0,
+						userId: "$_id.userId",
+						period: { $literal: period },
+						key: "$_id.key",
+						totalEmissions: 1,
+						activityCount: 1,
+						...(countsDays && { loggedDays: { $size: "$days" } }),
+						leaderboardHidden: {
+							$eq: [
+								{ $first: "$user.leaderboardVisibility" },
+								"hidden",
+							],
+						},
+						emailVerified: {
+							$ne: [{ $first: "$user.emailVerified" }, false],
+						},
+						updatedAt: "$$NOW",
+					},
+				},
+				{
+					$merge: {
+						into: "userTotals",
+						on: ["userId", "period", "key"],
+						whenMatched: "replace",
+						whenNotMatched: "insert",
+					},
+				},
+			])
+			.toArray();
+	}
+
+	const counts = await userTotals
+		.aggregate([{ $group: { _id: "$period", count: { $sum: 1 } } }])
+		.toArray();
+
+	return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+};
+
+/**
+ * Leaderboards - "lowest" ranks by lowest emissions, "reduction" by how
+ * much users cut their emissions per logged day against their own baseline
+ */
+export const LEADERBOARD_WINDOWS = ["week", "month", "all"];
+export const LEADERBOARD_SCOPES = ["global", "team"];
+export const LEADERBOARD_NORMALISATIONS = ["total", "day", "activity"];
+export const LEADERBOARD_RANKINGS = ["lowest", "reduction"];
+const LEADERBOARD_SIZE = 15;
+
+// What each normalisation ranks users by
+const LEADERBOARD_SCORES = {
+	total: "$totalEmissions",
+	day: { $divide: ["$totalEmissions", "$loggedDays"] },
+	activity: { $divide: ["$totalEmissions", "$activityCount"] },
+};
+
+// Reduction ranking needs enough logging in the window and in the baseline
+// period just before it, so logging nothing never pays off
+const REDUCTION_RULES = {
+	week: { minLoggedDays: 3, baselineDays: 28, minBaselineDays: 7 },
+	month: { minLoggedDays: 10, baselineDays: 90, minBaselineDays: 20 },
+};
+
+const WINDOW_LABELS = {
+	week: "this week",
+	month: "this month",
+	all: "overall",
+};
+
+// The window's date range (the current UTC calendar week or month, to
+// line up with the userTotals buckets), or null for all time
+const getLeaderboardRange = (window, now = new Date()) => {
+	if (window === "all") return null;
+
+	const year = now.getUTCFullYear();
+	const month = now.getUTCMonth();
+
+	if (window === "week") {
+		const start = new Date(
+			Date.UTC(year, month, now.getUTCDate() - now.getUTCDay())
+		);
+		const end = new Date(start);
+		end.setUTCDate(end.getUTCDate() + 7);
+		return { start, end };
+	}
+
+	return {
+		start: new Date(Date.UTC(year, month, 1)),
+		end: new Date(Date.UTC(year, month + 1, 1)),
+	};
+};
+
+// The userTotals bucket holding a window's totals
+const getWindowBucket = (window) =>
+	window === "all"
+		? { period: "all", key: "all" }
+		: {
+				period: window,
+				key: getTotalsBuckets({
+					timestamp: getLeaderboardRange(window).start,
+				})[window],
+		  };
+
+// Who gets ranked and how, returned alongside results so the UI can
+// explain why someone isn't on the board
+export const getLeaderboardEligibility = ({
+	window = "all",
+	ranking = "lowest",
+	normalise = "total",
+} = {}) => {
+	const requiresVerifiedEmail =
+		process.env.LEADERBOARD_REQUIRE_VERIFIED === "true";
+	const rules = [];
+	let minLoggedDays = 1;
+	let baseline = null;
+
+	if (ranking === "reduction") {
+		const { baselineDays, minBaselineDays, ...reduction } =
+			REDUCTION_RULES[window];
+		const range = getLeaderboardRange(window);
+		minLoggedDays = reduction.minLoggedDays;
+		baseline = {
+			start: new Date(
+				range.start.getTime() - baselineDays * 24 * 60 * 60 * 1000
+			),
+			end: range.start,
+			minLoggedDays: minBaselineDays,
+		};
+
+		rules.push(
+			`Ranked by how much your average emissions per logged day dropped ${WINDOW_LABELS[window]}, compared with your own baseline`,
+			`Your baseline is the ${baselineDays} days before ${WINDOW_LABELS[window]}`,
+			`You need activities logged on at least ${minLoggedDays} days ${WINDOW_LABELS[window]} and ${minBaselineDays} days in your baseline`
+		);
+	} else {
+		const measure = {
+			total: "total emissions",
+			day: "emissions per logged day",
+			activity: "emissions per activity",
+		}[normalise];
+
+		rules.push(
+			`Ranked by lowest ${measure} ${WINDOW_LABELS[window]}`,
+			`You need at least one activity logged ${WINDOW_LABELS[window]}`
+		);
+	}
+
+	if (requiresVerifiedEmail) {
+		rules.push("Only users with a verified email address take part");
+	}
+
+	return {
+		ranking,
+		window,
+		minLoggedDays,
+		baseline,
+		requiresVerifiedEmail,
+		rules,
+	};
+};
+
+// The userTotals buckets each ranking reads, and the stages grouping them
+// per user into the fields it scores on. Window totals come from the
+// window's own bucket; reduction baselines don't line up with weeks or
+// months, so they are summed from day buckets
+const buildLeaderboardStages = (ranking, normalise, eligibility) => {
+	const windowBucket = getWindowBucket(eligibility.window);
+
+	if (ranking === "reduction") {
+		const inWindow = { $eq: ["$period", windowBucket.period] };
+		const perDay = (total, days) => ({ $divide: [total, days] });
+
+		return {
+			match: {
+				$or: [
+					windowBucket,
+					{
+						period: "day",
+						key: {
+							$gte: toDayKey(eligibility.baseline.start),
+							$lt: toDayKey(eligibility.baseline.end),
+						},
+					},
+				],
+			},
+			stages: [
+				{
+					$group: {
+						_id: "$userId",
+						totalEmissions: {
+							$sum: { $cond: [inWindow, "$totalEmissions", 0] },
+						},
+						activityCount: {
+							$sum: { $cond: [inWindow, "$activityCount", 0] },
+						},
+						loggedDays: {
+							$sum: { $cond: [inWindow, "$loggedDays", 0] },
+						},
+						baselineEmissions: {
+							$sum: { $cond: [inWindow, 0, "$totalEmissions"] },
+						},
+						baselineDays: { $sum: { $cond: [inWindow, 0, 1] } },
+					},
+				},
+				{
+					$set: {
+						eligible: {
+							$and: [
+								{
+									$gte: [
+										"$loggedDays",
+										eligibility.minLoggedDays,
+									],
+								},
+								{
+									$gte: [
+										"$baselineDays",
+										eligibility.baseline.minLoggedDays,
+									],
+								},
+								{ $gt: ["$baselineEmissions", 0] },
+							],
+						},
+					},
+				},
+				{
+					// Percentage drop, so higher is better
+					$set: {
+						score: {
+							$cond: [
+								"$eligible",
+								{
+									$multiply: [
+										100,
+										{
+											$subtract: [
+												1,
+												{
+													$divide: [
+														perDay(
+															"$totalEmissions",
+															"$loggedDays"
+														),
+														perDay(
+															"$baselineEmissions",
+															"$baselineDays"
+														),
+													],
+												},
+											],
+										},
+									],
+								},
+								null,
+							],
+						},
+					},
+				},
+			],
+			sortDirection: -1,
+		};
+	}
+
+	// One bucket per user, grouped only to key it by user like the above
+	return {
+		match: windowBucket,
+		stages: [
+			{
+				$group: {
+					_id: "$userId",
+					totalEmissions: { $sum: "$totalEmissions" },
+					activityCount: { $sum: "$activityCount" },
+					loggedDays: { $sum: "$loggedDays" },
+				},
+			},
+			{ $set: { eligible: { $gt: ["$totalEmissions", 0] } } },
+			{
+				$set: {
+					score: {
+						$cond: ["$eligible", LEADERBOARD_SCORES[normalise], null],
+					},
+				},
+			},
+		],
+		sortDirection: 1,
+	};
+};
+
+// Rank users over a window from their userTotals buckets, optionally
+// only among memberIds. Ranks come from $setWindowFields, so userId's own
+// entry is returned even when they are outside the top. limit: null
+// returns every ranked user
+export const getLeaderboard = async (
+	db,
+	userId,
+	{
+		window = "all",
+		ranking = "lowest",
+		normalise = "total",
+		memberIds,
+		limit = LEADERBOARD_SIZE,
+	} = {}
+) => {
+	const eligibility = getLeaderboardEligibility({
+		window,
+		ranking,
+		normalise,
+	});
+	const { match, stages, sortDirection } = buildLeaderboardStages(
+		ranking,
+		normalise,
+		eligibility
+	);
+
+	const filters = [
+		match,
+		getLeaderboardEligibilityMatch(),
+		{ activityCount: { $gt: 0 } },
+	];
+	if (memberIds) {
+		filters.push({ userId: { $in: memberIds } });
+	}
+
+	const rankedOnly = { $match: { eligible: true } };
+
+	const [result] = await db
+		.collection("userTotals")
+		.aggregate([
+			{ $match: { $and: filters } },
+			...stages,
+			{
+				$setWindowFields: {
+					partitionBy: "$eligible",
+					sortBy: { score: sortDirection },
+					output: { rank: { $rank: {} } },
+				},
+			},
+			{
+				$project: {
+					_id: 0,
+					userId: "$_id",
+					eligible: 1,
+					rank: { $cond: ["$eligible", "$rank", null] },
+					score: { $round: ["$score", 2] },
+					totalEmissions: { $round: ["$totalEmissions", 2] },
+					activityCount: 1,
+					loggedDays: 1,
+					baselineDays: 1,
+				},
+			},
+			{
+				$facet: {
+					leaderboard: [
+						rankedOnly,
+						{ $sort: { rank: 1, userId: 1 } },
+						...(limit ? [{ $limit: limit }] : []),
+					],
+					currentUser: [
+						{ $match: { userId: userId && new ObjectId(userId) } },
+					],
+					participants: [rankedOnly, { $count: "count" }],
+				},
+			},
+		])
+		.toArray();
+
+	// Swap internal ids for public names before anything leaves the server
+	const entries = [...result.leaderboard, ...result.currentUser];
+	const users = await db
+		.collection("users")
+		.find(
+			{ _id: { $in: entries.map((entry) => entry.userId) } },
+			{ projection: { name: 1, displayName: 1, leaderboardVisibility: 1 } }
+		)
+		.toArray();
+	const namesById = new Map(
+		users.map((user) => [user._id.toString(), getPublicName(user)])
+	);
+
+	const toPublicEntry = ({ userId: entryUserId, ...entry }) => ({
+		...entry,
+		displayName: namesById.get(entryUserId.toString()) || "Anonymous",
+		isCurrentUser: Boolean(userId) && entryUserId.equals(userId),
+	});
+
+	return {
+		leaderboard: result.leaderboard.map(toPublicEntry),
+		currentUser: result.currentUser.map(toPublicEntry)[0] || null,
+		participants: result.participants[0]?.count || 0,
+		eligibility,
+	};
+};
+
+/**
+ * Teams - aggregates only ever include members who opted in to sharing,
+ * and never break down to individual members
+ */
+export const calculateTeamSummary = async (db, teamId, options = {}) => {
+	const members = await db
+		.collection("teamMembers")
+		.find({ teamId: new ObjectId(teamId) })
+		.toArray();
+	const sharingIds = members
+		.filter((member) => member.shareEmissions)
+		.map((member) => member.userId);
+
+	const match = { userId: { $in: sharingIds } };
+	if (options.startDate || options.endDate) {
+		match.timestamp = {};
+		if (options.startDate) {
+			match.timestamp.$gte = new Date(options.startDate);
+		}
+		if (options.endDate) {
+			match.timestamp.$lt = new Date(options.endDate);
+		}
+	}
+
+	const [result] = await db
+		.collection("emissions")
+		.aggregate([
+			{ $match: match },
+			{
+				$facet: {
+					totals: [
+						{
+							$group: {
+								_id: null,
+								totalEmissions: { $sum: "$value" },
+								count: { $sum: 1 },
+								activeMembers: { $addToSet: "$userId" },
+							},
+						},
+					],
+					byCategory: [
+						{
+							$group: {
+								_id: "$category",
+								totalEmissions: { $sum: "$value" },
+								count: { $sum: 1 },
+							},
+						},
+						{ $sort: { totalEmissions: -1 } },
+					],
+				},
+			},
+		])
+		.toArray();
+
+	const round = (value) => Math.round(value * 1000) / 1000;
+	const totals = result.totals[0];
+	const totalEmissions = totals?.totalEmissions || 0;
+
+	return {
+		memberCount: members.length,
+		sharingMembers: sharingIds.length,
+		activeMembers: totals?.activeMembers.length || 0,
+		totalEmissions: round(totalEmissions),
+		averagePerMember:
+			sharingIds.length > 0
+				? round(totalEmissions / sharingIds.length)
+				: 0,
+		activityCount: totals?.count || 0,
+		byCategory: result.byCategory.map((category) => ({
+			category: category._id,
+			totalEmissions: round(category.totalEmissions),
+			count: category.count,
+		})),
+	};
+};
+
+// Collections holding per-user documents keyed by userId
+export const USER_DATA_COLLECTIONS = [
+	"emissions",
+	"goals",
+	"achievements",
+	"sessions",
+	"passwordResets",
+	"emailVerifications",
+	"teamMembers",
+	"userTotals",
+];
+
+// Remove a user together with everything stored for them, including the
+// organisations they created and those organisations' teams, so their
+// invite codes stop working
+export const deleteUserAccount = async (db, userId) => {
+	const id = new ObjectId(userId);
+
+	const organisationIds = await db
+		.collection("organisations")
+		.distinct("_id", { createdBy: id });
+	const teamIds = await db
+		.collection("teams")
+		.distinct("_id", { organisationId: { $in: organisationIds } });
+
+	const deleted = {};
+	for (const [name, filter] of [
+		["teamMembers", { teamId: { $in: teamIds } }],
+		["teams", { _id: { $in: teamIds } }],
+		["organisations", { _id: { $in: organisationIds } }],
+	]) {
+		const result = await db.collection(name).deleteMany(filter);
+		deleted[name] = result.deletedCount;
+	}
+
+	for (const name of USER_DATA_COLLECTIONS) {
+		const result = await db.collection(name).deleteMany({ userId: id });
+		deleted[name] = (deleted[name] || 0) + result.deletedCount;
+	}
+
+	await db.collection("users").deleteOne({ _id: id });
+	analysisCache.invalidateUser(userId);
+
+	return deleted;
+};
+
+// Fields that must never leave the server, even in a user's own export
+const EXPORT_EXCLUDED_FIELDS = {
+	users: ["password"],
+	sessions: ["refreshTokenHash", "previousRefreshTokenHash"],
+};
+
+// The owner's id is dropped since every document in the export is theirs
+const toExportDocument = (collection, doc) => {
+	const { _id, ...fields } = doc;
+	const excluded = ["userId", ...(EXPORT_EXCLUDED_FIELDS[collection] || [])];
+	for (const field of excluded) {
+		delete fields[field];
+	}
+	return { id: _id, ...fields };
+};
+
+// Everything stored about a user, one entry per collection, for the
+// personal data export
+export const collectUserData = async (db, userId) => {
+	const id = new ObjectId(userId);
+	const user = await db.collection("users").findOne({ _id: id });
+
+	const data = { profile: toExportDocument("users", user) };
+	for (const name of [
+		"emissions",
+		"goals",
+		"achievements",
+		"sessions",
+		"teamMembers",
+	]) {
+		const docs = await db
+			.collection(name)
+			.find({ userId: id })
+			.sort({ _id: 1 })
+			.toArray();
+		data[name] = docs.map((doc) => toExportDocument(name, doc));
+	}
+
+	return data;
+};
@@ -0,0 +1,95 @@
+// CSV helpers for importing and exporting emission data
+// Kept dependency-free; handles quoted fields, escaped quotes and CRLF
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export const parseCsv = (text) => {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			// Treat CRLF as a single line break
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	// Last line without a trailing newline
+	if (field !== "" || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// Drop blank lines
+	return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by lowercase header
+ */
+export const parseCsvWithHeader = (text) => {
+	const [header = [], ...rows] = parseCsv(text);
+	const columns = header.map((column) => column.trim().toLowerCase());
+
+	return {
+		columns,
+		records: rows.map((values) =>
+			Object.fromEntries(
+				columns.map((column, index) => [
+					column,
+					(values[index] ?? "").trim(),
+				])
+			)
+		),
+	};
+};
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Serialise one row of values as a CSV line, quoting where needed
+ * Text that would run as a formula is prefixed with ' so it stays text;
+ * numbers are left alone so negative values still read as numbers
+ */
+export const toCsvRow = (values) =>
+	values
+		.map((value) => {
+			if (value === undefined || value === null) return "";
+
+			let text =
+				value instanceof Date ? value.toISOString() : String(value);
+			if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+				text = `'${text}`;
+			}
+
+			return /[",\r\n]/.test(text)
+				? `"${text.replace(/"/g, '""')}"`
+				: text;
+		})
+		.join(",") + "\n";
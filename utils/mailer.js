@@ -0,0 +1,75 @@
+// Outgoing mail with pluggable transports
+// MAIL_TRANSPORT picks how messages are delivered:
+//   "file" (default) - writes each message to MAIL_DIR as an .eml file
+//   "console"        - logs each message, standing in for an SMTP relay
+// Other transports (e.g. a real SMTP client) are added with
+// registerMailTransport and selected through MAIL_TRANSPORT
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const DEFAULT_FROM = "Footprint Logger <no-reply@footprint-logger.local>";
+
+// Render a message in RFC 5322 form so it opens in any mail client
+const formatMessage = ({ from, to, subject, text, date }) =>
+	[
+		`From: ${from}`,
+		`To: ${to}`,
+		`Subject: ${subject}`,
+		`Date: ${date.toUTCString()}`,
+		"MIME-Version: 1.0",
+		"Content-Type: text/plain; charset=utf-8",
+		"",
+		text,
+	].join("\r\n");
+
+const fileTransport = async (message) => {
+	const dir = process.env.MAIL_DIR || path.join(process.cwd(), "mail-outbox");
+	await fs.mkdir(dir, { recursive: true });
+
+	const fileName = `${message.date.getTime()}-${crypto
+		.randomBytes(4)
+		.toString("hex")}.eml`;
+	const filePath = path.join(dir, fileName);
+
+	await fs.writeFile(filePath, formatMessage(message), "utf8");
+	console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+};
+
+const consoleTransport = async (message) => {
+	console.log(`📧 Mail to ${message.to}\n${formatMessage(message)}`);
+};
+
+const transports = {
+	file: fileTransport,
+	console: consoleTransport,
+};
+
+// Add or replace a transport; it receives { from, to, subject, text, date }
+export const registerMailTransport = (name, transport) => {
+	transports[name] = transport;
+};
+
+/**
+ * Send a plain-text email through the configured transport
+ */
+export const sendMail = async ({ to, subject, text }) => {
+	const transportName = process.env.MAIL_TRANSPORT || "file";
+	const transport = transports[transportName];
+
+	if (!transport) {
+		throw new Error(`Unknown mail transport: ${transportName}`);
+	}
+
+	await transport({
+		from: process.env.MAIL_FROM || DEFAULT_FROM,
+		to,
+		subject,
+		text,
+		date: new Date(),
+	});
+};
+
+// Base URL of the frontend, used for links in emails
+export const getAppUrl = () =>
+	(process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
@@ -0,0 +1,140 @@
+// Printable HTML report for emission exports
+// Laid out for A4 so the browser's "Save as PDF" gives a clean document
+
+const HTML_ESCAPES = {
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&#39;",
+};
+
+const escapeHtml = (value) =>
+	String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const formatKg = (value) => `${(value || 0).toFixed(2)} kg CO₂`;
+
+const formatDay = (date) => new Date(date).toISOString().split("T")[0];
+
+const REPORT_STYLES = `
+	@page { size: A4; margin: 16mm; }
+	body { font-family: system-ui, sans-serif; color: #111; margin: 0 auto; max-width: 180mm; }
+	h1 { margin-bottom: 4px; }
+	.meta { color: #555; margin: 0 0 16px; }
+	.totals { display: flex; gap: 24px; margin-bottom: 16px; }
+	.totals div { border: 1px solid #ccc; border-radius: 6px; padding: 8px 12px; }
+	.totals strong { display: block; font-size: 1.3em; }
+	table { width: 100%; border-collapse: collapse; margin-bottom: 24px; font-size: 0.9em; }
+	th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+	td.number, th.number { text-align: right; }
+	thead { display: table-header-group; }
+	tr { break-inside: avoid; }
+	.hint { color: #777; font-size: 0.85em; }
+	@media print { .hint { display: none; } }
+`;
+
+/**
+ * Opening of the report - title, period, totals and the category
+ * breakdown, up to the activity table that rows are streamed into
+ */
+export const renderReportStart = ({
+	userName,
+	generatedAt,
+	filters,
+	totals,
+	categories,
+}) => {
+	const period =
+		filters.startDate || filters.endDate
+			? `${filters.startDate ? formatDay(filters.startDate) : "start"} to ${
+					filters.endDate ? formatDay(filters.endDate) : "today"
+			  }`
+			: "All time";
+
+	const categoryRows = categories
+		.map(
+			(category) => `
+			<tr>
+				<td>${escapeHtml(category.category)}</td>
+				<td class="number">${category.activityCount}</td>
+				<td class="number">${formatKg(category.totalEmissions)}</td>
+				<td class="number">${
+					totals.totalEmissions > 0
+						? (
+								(category.totalEmissions / totals.totalEmissions) *
+								100
+						  ).toFixed(1)
+						: "0.0"
+				}%</td>
+			</tr>`
+		)
+		.join("");
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<title>Carbon footprint report</title>
+	<style>${REPORT_STYLES}</style>
+</head>
+<body>
+	<p class="hint">Use your browser's print dialog to save this report as a PDF.</p>
+	<h1>Carbon footprint report</h1>
+	<p class="meta">
+		${escapeHtml(userName)} · ${escapeHtml(period)}${
+		filters.category ? ` · ${escapeHtml(filters.category)} only` : ""
+	} · generated ${formatDay(generatedAt)}
+	</p>
+	<div class="totals">
+		<div><strong>${formatKg(totals.totalEmissions)}</strong>total emissions</div>
+		<div><strong>${totals.activityCount}</strong>activities</div>
+	</div>
+	<h2>By category</h2>
+	<table>
+		<thead>
+			<tr>
+				<th>Category</th>
+				<th class="number">Activities</th>
+				<th class="number">Emissions</th>
+				<th class="number">Share</th>
+			</tr>
+		</thead>
+		<tbody>${categoryRows}
+		</tbody>
+	</table>
+	<h2>Activities</h2>
+	<table>
+		<thead>
+			<tr>
+				<th>Date</th>
+				<th>Category</th>
+				<th>Activity</th>
+				<th class="number">Quantity</th>
+				<th class="number">Emissions</th>
+			</tr>
+		</thead>
+		<tbody>
+`;
+};
+
+/**
+ * One row of the activity table, from an export record
+ */
+export const renderReportRow = (record) => `			<tr>
+				<td>${formatDay(record.date)}</td>
+				<td>${escapeHtml(record.category)}</td>
+				<td>${escapeHtml(record.activity)}</td>
+				<td class="number">${escapeHtml(
+					record.quantity !== undefined
+						? `${record.quantity} ${record.unit || ""}`.trim()
+						: ""
+				)}</td>
+				<td class="number">${formatKg(record.value)}</td>
+			</tr>
+`;
+
+export const REPORT_END = `		</tbody>
+	</table>
+</body>
+</html>
+`;
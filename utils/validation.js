@@ -0,0 +1,188 @@
+// Request validation middleware
+// Routes describe their params, query and body with the field rules below;
+// requests that don't match get a 400 shaped by formatErrorResponse with
+// every problem listed in `errors`
+import { formatErrorResponse } from "./backendHelpers.js";
+import { isValidTimezone } from "./analysisHelpers.js";
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isMissing = (value) =>
+	value === undefined || value === null || value === "";
+
+// Numbers arrive as strings in params and query
+const toNumber = (value) => {
+	if (typeof value === "number") return value;
+	if (typeof value === "string" && value.trim() !== "") return Number(value);
+	return NaN;
+};
+
+// A rule pairs a check, returning a problem or null, with its options
+// `message` replaces the generated error text for this field
+const rule = (check, { required = false, message } = {}) => ({
+	check,
+	required,
+	message,
+});
+
+export const fields = {
+	objectId: (options) =>
+		rule(
+			(value) =>
+				typeof value === "string" && OBJECT_ID_PATTERN.test(value)
+					? null
+					: "must be a valid id",
+			options
+		),
+
+	string: ({ minLength, maxLength, pattern, ...options } = {}) =>
+		rule((value) => {
+			if (typeof value !== "string") return "must be text";
+			if (minLength !== undefined && value.length < minLength) {
+				return `must be at least ${minLength} characters`;
+			}
+			if (maxLength !== undefined && value.length > maxLength) {
+				return `must be at most ${maxLength} characters`;
+			}
+			if (pattern && !pattern.test(value)) return "is not valid";
+			return null;
+		}, options),
+
+	email: (options) =>
+		rule(
+			(value) =>
+				typeof value === "string" && EMAIL_PATTERN.test(value.trim())
+					? null
+					: "must be a valid email",
+			options
+		),
+
+	number: ({ min, max, integer = false, ...options } = {}) =>
+		rule((value) => {
+			const number = toNumber(value);
+			if (!Number.isFinite(number)) return "must be a number";
+			if (integer && !Number.isInteger(number)) {
+				return "must be a whole number";
+			}
+			if (min !== undefined && number < min) {
+				return `must be at least ${min}`;
+			}
+			if (max !== undefined && number > max) {
+				return `must be at most ${max}`;
+			}
+			return null;
+		}, options),
+
+	// Strictly positive, e.g. quantities and targets
+	positiveNumber: (options) =>
+		rule((value) => {
+			const number = toNumber(value);
+			return Number.isFinite(number) && number > 0
+				? null
+				: "must be a positive number";
+		}, options),
+
+	boolean: (options) =>
+		rule(
+			(value) =>
+				[true, false, "true", "false"].includes(value)
+					? null
+					: "must be true or false",
+			options
+		),
+
+	date: (options) =>
+		rule(
+			(value) =>
+				(typeof value === "string" || typeof value === "number") &&
+				!isNaN(new Date(value).getTime())
+					? null
+					: "must be a valid date",
+			options
+		),
+
+	oneOf: (values, options) =>
+		rule(
+			(value) =>
+				values.includes(value)
+					? null
+					: `must be one of: ${values.join(", ")}`,
+			options
+		),
+
+	timezone: (options) =>
+		rule(
+			(value) =>
+				typeof value === "string" && isValidTimezone(value)
+					? null
+					: "must be a valid IANA timezone",
+			options
+		),
+
+	array: (item, { minItems = 0, maxItems, ...options } = {}) =>
+		rule((value) => {
+			if (!Array.isArray(value)) return "must be a list";
+			if (value.length < minItems) {
+				return minItems === 1
+					? "must not be empty"
+					: `must have at least ${minItems} items`;
+			}
+			if (maxItems !== undefined && value.length > maxItems) {
+				return `must have at most ${maxItems} items`;
+			}
+			const invalid = value.findIndex((entry) => item.check(entry));
+			return invalid === -1
+				? null
+				: `item ${invalid + 1} ${item.check(value[invalid])}`;
+		}, options),
+};
+
+// Run a { field: rule } map against one part of the request
+const collectErrors = (rules, values, errors) => {
+	const source = values && typeof values === "object" ? values : {};
+
+	for (const [name, { check, required, message }] of Object.entries(
+		rules
+	)) {
+		const value = source[name];
+
+		if (isMissing(value)) {
+			if (required) errors.push(message || `${name} is required`);
+			continue;
+		}
+
+		const problem = check(value);
+		if (problem) errors.push(message || `${name} ${problem}`);
+	}
+};
+
+// Send a 400 for one problem or a list of them
+export const sendValidationError = (res, errors) => {
+	const list = Array.isArray(errors) ? errors : [errors];
+
+	return res.status(400).json({
+		...formatErrorResponse({ message: list.join(", ") }, 400),
+		errors: list,
+	});
+};
+
+/**
+ * Middleware validating req.params, req.query and req.body against a
+ * schema of the form { params: { id: fields.objectId(...) }, query, body }
+ */
+export const validate = (schema) => (req, res, next) => {
+	const errors = [];
+
+	for (const source of ["params", "query", "body"]) {
+		if (schema[source]) {
+			collectErrors(schema[source], req[source], errors);
+		}
+	}
+
+	if (errors.length > 0) {
+		return sendValidationError(res, errors);
+	}
+
+	next();
+};
@@ -0,0 +1,91 @@
+// Minimal ZIP archive writer for downloads such as the personal data export
+// Kept dependency-free; entries are deflated with zlib and the archive is
+// built in memory, so it suits small bundles rather than large files
+import zlib from "zlib";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (const byte of buffer) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields used by ZIP headers
+const toDosDateTime = (date) => ({
+	time:
+		(date.getHours() << 11) |
+		(date.getMinutes() << 5) |
+		Math.floor(date.getSeconds() / 2),
+	date:
+		((date.getFullYear() - 1980) << 9) |
+		((date.getMonth() + 1) << 5) |
+		date.getDate(),
+});
+
+/**
+ * Build a ZIP archive from [{ name, data }] where data is a string or Buffer
+ */
+export const createZip = (files, modifiedAt = new Date()) => {
+	const { time, date } = toDosDateTime(modifiedAt);
+	const localParts = [];
+	const centralParts = [];
+	let offset = 0;
+
+	for (const file of files) {
+		const name = Buffer.from(file.name, "utf8");
+		const data = Buffer.isBuffer(file.data)
+			? file.data
+			: Buffer.from(file.data, "utf8");
+		const compressed = zlib.deflateRawSync(data);
+		const crc = crc32(data);
+
+		// Fields shared by the local and central directory headers:
+		// version needed, flags (UTF-8 names), deflate, time, date, sizes
+		const common = Buffer.alloc(26);
+		common.writeUInt16LE(20, 0);
+		common.writeUInt16LE(0x0800, 2);
+		common.writeUInt16LE(8, 4);
+		common.writeUInt16LE(time, 6);
+		common.writeUInt16LE(date, 8);
+		common.writeUInt32LE(crc, 10);
+		common.writeUInt32LE(compressed.length, 14);
+		common.writeUInt32LE(data.length, 18);
+		common.writeUInt16LE(name.length, 22);
+		common.writeUInt16LE(0, 24);
+
+		const localHeader = Buffer.alloc(4);
+		localHeader.writeUInt32LE(0x04034b50, 0);
+		localParts.push(localHeader, common, name, compressed);
+
+		const centralHeader = Buffer.alloc(6);
+		centralHeader.writeUInt32LE(0x02014b50, 0);
+		centralHeader.writeUInt16LE(20, 4);
+
+		// Comment length, disk number, attributes and local header offset
+		const centralTail = Buffer.alloc(14);
+		centralTail.writeUInt32LE(offset, 10);
+		centralParts.push(centralHeader, common, centralTail, name);
+
+		offset += 4 + common.length + name.length + compressed.length;
+	}
+
+	const centralDirectory = Buffer.concat(centralParts);
+
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(files.length, 8);
+	end.writeUInt16LE(files.length, 10);
+	end.writeUInt32LE(centralDirectory.length, 12);
+	end.writeUInt32LE(offset, 16);
+
+	return Buffer.concat([...localParts, centralDirectory, end]);
+};